@@ -1,9 +1,16 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const access = require('../services/access');
+const sessions = require('../services/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// RFC 6750 challenge telling the client its token is bad or expired, so it
+// knows to refresh rather than treat the 401 as a failed request
+function rejectToken(res, message) {
+  res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+  return res.status(401).json({ error: message });
+}
 
-// Middleware to verify JWT token
+// Middleware to verify the JWT access token and that its session is still
+// signed in; sets req.user and req.authSession
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -13,8 +20,8 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { userId, session } = await sessions.verifyAccessToken(token);
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -24,31 +31,49 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    await access.loadOrganization(user);
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    if (error instanceof sessions.SessionError) {
+      return rejectToken(res, error.message);
+    }
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+      return rejectToken(res, 'Invalid token');
     }
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
+      return rejectToken(res, 'Token expired');
     }
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
-// Middleware to check if user is admin (optional)
+// Same as authenticateToken, but also accepts ?access_token= because
+// EventSource can't send an Authorization header
+const authenticateEventStream = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Middleware to check if user is a platform admin (use after authenticateToken)
 const requireAdmin = (req, res, next) => {
-  if (!req.user.isAdmin) {
+  if (!access.hasRole(req.user, access.ROLES.PLATFORM_ADMIN)) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Middleware to check the user's roles grant a permission from
+// services/access.js (use after authenticateToken)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!access.hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+  next();
 };
 
 // Optional authentication (doesn't fail if no token)
@@ -58,10 +83,12 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { userId, session } = await sessions.verifyAccessToken(token);
+      const user = await User.findById(userId).select('-password');
       if (user && user.isActive) {
+        await access.loadOrganization(user);
         req.user = user;
+        req.authSession = session;
       }
     }
     next();
@@ -73,7 +100,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateEventStream,
   requireAdmin,
-  generateToken,
+  requirePermission,
   optionalAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,35 @@
+const access = require('../services/access');
+
+// Staff of an active responder organization only; sets req.organization.
+// Use after authenticateToken.
+const requireOrganizationStaff = async (req, res, next) => {
+  try {
+    if (!req.user.organizationId) {
+      return res.status(403).json({ error: 'Responder organization access required' });
+    }
+
+    const organization = await access.loadOrganization(req.user);
+    if (!organization) {
+      return res.status(403).json({ error: 'Your organization is not active' });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Organization middleware error:', error);
+    res.status(500).json({ error: 'Failed to load organization' });
+  }
+};
+
+// Organization admins only (use after requireOrganizationStaff)
+const requireOrganizationAdmin = (req, res, next) => {
+  if (req.user.organizationRole !== 'admin') {
+    return res.status(403).json({ error: 'Organization admin access required' });
+  }
+  next();
+};
+
+module.exports = {
+  requireOrganizationStaff,
+  requireOrganizationAdmin
+};
@@ -0,0 +1,31 @@
+const twilio = require('twilio');
+
+// Middleware to verify that a webhook request really comes from Twilio.
+// The signature covers the full public URL Twilio called, so set
+// TWILIO_WEBHOOK_BASE_URL when the server sits behind a proxy.
+// SMS_WEBHOOK_ALLOW_UNSIGNED=true accepts unsigned requests for local testing.
+const validateTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!authToken) {
+    if (process.env.SMS_WEBHOOK_ALLOW_UNSIGNED === 'true') {
+      return next();
+    }
+    console.error('Rejected Twilio webhook: TWILIO_AUTH_TOKEN is not set');
+    return res.status(403).json({ error: 'Webhook signature cannot be verified' });
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateTwilioSignature
+};
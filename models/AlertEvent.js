@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const ALERT_EVENT_TYPES = [
+  'created',
+  'repeat_press',
+  'notification_attempt',
+  'notification_cancelled',
+  'contact_response',
+  'location_update',
+  'status_change',
+  'priority_change',
+  'escalation_step',
+  'escalation_stopped',
+  'police_update',
+  'evidence_added'
+];
+
+// One entry in an alert's timeline. Entries are only ever inserted.
+const alertEventSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_EVENT_TYPES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Who caused the event: the system (workers, escalation) or a person
+  actor: {
+    kind: {
+      type: String,
+      enum: ['system', 'owner', 'contact', 'user'],
+      default: 'system'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    phone: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading a timeline in order
+alertEventSchema.index({ alertId: 1, at: 1 });
+
+// The timeline is an audit trail: refuse edits and deletes
+alertEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Alert events are append-only'));
+  }
+  next();
+});
+
+alertEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], function(next) {
+  next(new Error('Alert events are append-only'));
+});
+
+const AlertEvent = mongoose.model('AlertEvent', alertEventSchema);
+AlertEvent.ALERT_EVENT_TYPES = ALERT_EVENT_TYPES;
+
+module.exports = AlertEvent;
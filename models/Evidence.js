@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const EVIDENCE_KINDS = ['audio', 'photo', 'video'];
+
+// A file recorded during an incident and attached to its alert. The hash
+// and upload time are the chain of custody, so records are never changed.
+const evidenceSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The uploader's role on the alert (see access.getAlertRole). Uploads
+  // from before alert roles used 'responder' for contacts on their way too.
+  uploaderRole: {
+    type: String,
+    enum: ['owner', 'guardian', 'responder', 'contact', 'platform_admin'],
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: EVIDENCE_KINDS,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Cut to 255 characters on upload
+  originalName: {
+    type: String,
+    maxlength: 255
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Hex SHA-256 of the file as received
+  sha256: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  // When the device says the recording was made, if it sent one
+  recordedAt: Date,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing an alert's evidence in upload order
+evidenceSchema.index({ alertId: 1, uploadedAt: 1 });
+
+// Refuse edits and deletes once a file is on record
+evidenceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Evidence records cannot be changed'));
+  }
+  next();
+});
+
+evidenceSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], function(next) {
+  next(new Error('Evidence records cannot be changed'));
+});
+
+// Method to get evidence summary
+evidenceSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    alertId: this.alertId,
+    kind: this.kind,
+    mimeType: this.mimeType,
+    originalName: this.originalName,
+    size: this.size,
+    sha256: this.sha256,
+    description: this.description,
+    uploaderRole: this.uploaderRole,
+    recordedAt: this.recordedAt,
+    uploadedAt: this.uploadedAt
+  };
+};
+
+const Evidence = mongoose.model('Evidence', evidenceSchema);
+Evidence.EVIDENCE_KINDS = EVIDENCE_KINDS;
+
+module.exports = Evidence;
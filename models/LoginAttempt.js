@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const LOGIN_OUTCOMES = [
+  'success',
+  'bad_password',
+  'unknown_account',
+  'deactivated',
+  'unverified',
+  'two_factor_required',
+  'bad_second_factor',
+  'throttled',
+  'locked'
+];
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS || '90', 10);
+
+// One password login attempt (or second-factor code), kept for review by
+// platform admins
+const loginAttemptSchema = new mongoose.Schema({
+  aadhar: {
+    type: String,
+    required: true
+  },
+  // Unset when no account uses the Aadhar number
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  outcome: {
+    type: String,
+    enum: LOGIN_OUTCOMES,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+loginAttemptSchema.index({ aadhar: 1, createdAt: -1 });
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+LoginAttempt.LOGIN_OUTCOMES = LOGIN_OUTCOMES;
+
+module.exports = LoginAttempt;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Failed password logins for one Aadhar number, kept whether or not an
+// account uses it so lockouts don't reveal which numbers are registered.
+const loginThrottleSchema = new mongoose.Schema({
+  aadhar: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Attempts since the last successful login or lockout; each is counted
+  // as a failure until it succeeds
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // No attempt is accepted before this (the progressive delay)
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Lockouts since the last successful login; each one lasts longer
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // Removed by MongoDB after a week without attempts
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60
+  }
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { DELIVERY_STATUSES } = require('../services/notifications/status');
+
+// One outbound SMS or call, retried by the outbox worker until it is
+// delivered or runs out of attempts
+const notificationJobSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert',
+    required: true
+  },
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Why the job exists: contacts, responders, police, all_clear
+  purpose: String,
+  kind: {
+    type: String,
+    enum: ['message', 'call'],
+    default: 'message'
+  },
+  recipient: {
+    name: String,
+    phone: String,
+    email: String,
+    relationship: String,
+    language: String
+  },
+  message: {
+    subject: String,
+    body: {
+      type: String,
+      required: true
+    },
+    // Compact text for SMS; other channels use the body
+    sms: String,
+    language: String
+  },
+  state: {
+    type: String,
+    enum: ['pending', 'processing', 'retrying', 'completed', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  channel: String,
+  providerMessageId: String,
+  deliveryStatus: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'queued'
+  },
+  lastError: String,
+  history: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    channel: String,
+    status: String,
+    error: String
+  }],
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the worker's due-job scan
+notificationJobSchema.index({ state: 1, nextAttemptAt: 1 });
+notificationJobSchema.index({ alertId: 1, createdAt: 1 });
+
+// Method to get per-recipient delivery state
+notificationJobSchema.methods.getDeliverySummary = function() {
+  return {
+    id: this._id,
+    purpose: this.purpose,
+    kind: this.kind,
+    recipient: this.recipient,
+    state: this.state,
+    status: this.deliveryStatus,
+    channel: this.channel,
+    providerMessageId: this.providerMessageId,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: ['pending', 'retrying'].includes(this.state) ? this.nextAttemptAt : null,
+    lastError: this.lastError,
+    history: this.history,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['register', 'login', 'password_reset'];
+
+// One-time code texted to a phone. Only the hash is stored; records are
+// kept for a day so resend limits can count them, then removed by MongoDB.
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Verification tries, right or wrong
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  // Replaced by a newer code for the same phone and purpose
+  supersededAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60
+  }
+});
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+OtpCode.OTP_PURPOSES = OTP_PURPOSES;
+
+module.exports = OtpCode;
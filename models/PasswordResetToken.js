@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset link sent by email. Only the hash of the
+// token's secret is stored; records are kept for a day so the send limit
+// can count them, then removed by MongoDB.
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: Date,
+  // Replaced by a newer link for the same account
+  supersededAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60
+  }
+});
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_TYPES = ['police', 'ngo', 'helpline'];
+
+// A police station, NGO or helpline whose staff take on SOS alerts inside
+// its jurisdiction
+const responderOrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ORGANIZATION_TYPES,
+    required: true
+  },
+  phone: String,
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    maxlength: 500
+  },
+  // The area it covers, as a GeoJSON Polygon or MultiPolygon
+  jurisdiction: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+responderOrganizationSchema.index({ jurisdiction: '2dsphere' });
+
+// Method to get organization summary
+responderOrganizationSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    phone: this.phone,
+    email: this.email,
+    address: this.address,
+    jurisdiction: this.jurisdiction,
+    isActive: this.isActive
+  };
+};
+
+const ResponderOrganization = mongoose.model('ResponderOrganization', responderOrganizationSchema);
+ResponderOrganization.ORGANIZATION_TYPES = ORGANIZATION_TYPES;
+
+module.exports = ResponderOrganization;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DELIVERY_STATUSES } = require('../services/notifications/status');
+const pointSchema = require('./pointSchema');
 
 const sosAlertSchema = new mongoose.Schema({
   userId: {
@@ -18,7 +20,19 @@ const sosAlertSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // GeoJSON Point; location.latitude / location.longitude are virtuals
   location: {
+    type: pointSchema,
+    required: true
+  },
+  // Raised without a position (location holds 0,0); cleared by the first
+  // real one. Nearby volunteers aren't searched for until then.
+  locationUnknown: {
+    type: Boolean,
+    default: false
+  },
+  // Breadcrumbs reported while the alert is active, oldest first
+  locationTrail: [{
     latitude: {
       type: Number,
       required: true
@@ -27,8 +41,13 @@ const sosAlertSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    address: String
-  },
+    accuracy: Number, // in meters
+    speed: Number, // in meters per second
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   description: {
     type: String,
     maxlength: 500
@@ -43,23 +62,77 @@ const sosAlertSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'critical'],
     default: 'high'
   },
+  // Latest rule-based triage (config/triage.json); rank orders active alerts
+  triage: {
+    score: Number,
+    rank: Number,
+    matchedRules: [String],
+    evaluatedAt: Date
+  },
   emergencyType: {
     type: String,
     enum: ['harassment', 'assault', 'medical', 'accident', 'other'],
     default: 'other'
   },
+  // What raised the alert: the SOS button, a duress login, or a missed safety timer check-in
+  trigger: {
+    type: String,
+    enum: ['manual', 'duress', 'timer'],
+    default: 'manual'
+  },
+  // Silent alerts are never shown on the owner's device
+  silent: {
+    type: Boolean,
+    default: false
+  },
+  // Repeated SOS presses merged into this alert (the first press counts)
+  pressCount: {
+    type: Number,
+    default: 1
+  },
+  lastPressAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Nobody is notified until the cancellation grace period ends
+  inGracePeriod: {
+    type: Boolean,
+    default: false
+  },
+  graceEndsAt: Date,
+  fanOutStartedAt: Date,
+  // Wrong safety PINs given when the owner tried to cancel
+  failedCancelAttempts: {
+    type: Number,
+    default: 0
+  },
   notifiedContacts: [{
     name: String,
     phone: String,
+    email: String,
+    channel: String,
+    providerMessageId: String,
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES
+    },
+    error: String,
+    attempts: Number,
+    deliveryJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationJob'
+    },
     notifiedAt: {
       type: Date,
       default: Date.now
     },
     response: {
       type: String,
-      enum: ['pending', 'acknowledged', 'responding', 'unreachable'],
+      enum: ['pending', 'acknowledged', 'responding', 'unreachable', 'declined'],
       default: 'pending'
-    }
+    },
+    respondedAt: Date,
+    responseSource: String
   }],
   policeNotified: {
     type: Boolean,
@@ -67,18 +140,71 @@ const sosAlertSchema = new mongoose.Schema({
   },
   policeResponse: {
     notifiedAt: Date,
-    responseTime: Number, // in minutes
+    responseTime: Number, // in minutes, from the alert to arrival on scene
     status: {
       type: String,
-      enum: ['pending', 'dispatched', 'arrived', 'resolved'],
+      enum: ['pending', 'claimed', 'dispatched', 'arrived', 'resolved'],
       default: 'pending'
-    }
+    },
+    // The responder organization handling the alert, and its progress
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResponderOrganization'
+    },
+    organizationName: String,
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date,
+    dispatchedAt: Date,
+    arrivedAt: Date,
+    resolvedAt: Date,
+    notes: [{
+      text: {
+        type: String,
+        maxlength: 1000
+      },
+      authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      authorName: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    nextStepAt: Date,
+    stoppedAt: Date,
+    stopReason: String,
+    log: [{
+      step: Number,
+      type: { type: String },
+      tier: Number,
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      recipients: Number,
+      note: String
+    }]
   },
   resolvedAt: Date,
   resolvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  resolutionNotes: {
+    type: String,
+    maxlength: 1000
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -93,8 +219,13 @@ const sosAlertSchema = new mongoose.Schema({
 
 // Index for efficient queries
 sosAlertSchema.index({ status: 1, createdAt: -1 });
+sosAlertSchema.index({ status: 1, 'triage.rank': -1, createdAt: -1 });
 sosAlertSchema.index({ userId: 1, createdAt: -1 });
 sosAlertSchema.index({ location: '2dsphere' });
+sosAlertSchema.index({ 'escalation.nextStepAt': 1 }, { sparse: true });
+sosAlertSchema.index({ 'notifiedContacts.deliveryJobId': 1 });
+sosAlertSchema.index({ 'policeResponse.organizationId': 1, status: 1 }, { sparse: true });
+sosAlertSchema.index({ graceEndsAt: 1 }, { partialFilterExpression: { inGracePeriod: true } });
 
 // Method to get alert summary
 sosAlertSchema.methods.getSummary = function() {
@@ -103,24 +234,104 @@ sosAlertSchema.methods.getSummary = function() {
     status: this.status,
     priority: this.priority,
     emergencyType: this.emergencyType,
+    pressCount: this.pressCount,
+    inGracePeriod: this.inGracePeriod,
+    graceEndsAt: this.graceEndsAt,
     location: this.location,
+    locationUnknown: this.locationUnknown,
     createdAt: this.createdAt,
     userName: this.userName,
     userPhone: this.userPhone
   };
 };
 
-// Static method to get active alerts
-sosAlertSchema.statics.getActiveAlerts = function() {
-  return this.find({ status: 'active' })
-    .sort({ createdAt: -1 })
+// Method to get alert summary without who raised it (for volunteers nearby)
+sosAlertSchema.methods.getPublicSummary = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    priority: this.priority,
+    emergencyType: this.emergencyType,
+    location: this.location,
+    createdAt: this.createdAt
+  };
+};
+
+// Method to get the responder organization's progress on the alert
+sosAlertSchema.methods.getDispatchSummary = function() {
+  const response = this.policeResponse || {};
+  return {
+    organizationId: response.organizationId,
+    organizationName: response.organizationName,
+    status: response.status,
+    claimedAt: response.claimedAt,
+    dispatchedAt: response.dispatchedAt,
+    arrivedAt: response.arrivedAt,
+    resolvedAt: response.resolvedAt,
+    responseTime: response.responseTime,
+    notes: (response.notes || []).map(note => ({
+      text: note.text,
+      authorName: note.authorName,
+      at: note.at
+    }))
+  };
+};
+
+// Method to get the location trail as a GeoJSON FeatureCollection
+sosAlertSchema.methods.getTrailGeoJSON = function() {
+  const points = this.locationTrail.map(point => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [point.longitude, point.latitude]
+    },
+    properties: {
+      accuracy: point.accuracy,
+      speed: point.speed,
+      recordedAt: point.recordedAt
+    }
+  }));
+
+  const features = [...points];
+  if (points.length > 1) {
+    features.unshift({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(point => point.geometry.coordinates)
+      },
+      properties: {
+        alertId: this._id,
+        status: this.status,
+        startedAt: this.locationTrail[0].recordedAt,
+        endedAt: this.locationTrail[this.locationTrail.length - 1].recordedAt,
+        pointCount: points.length
+      }
+    });
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+};
+
+// Static method to get active alerts (not those still in their grace period)
+sosAlertSchema.statics.getActiveAlerts = function(filter = {}) {
+  return this.find({ ...filter, status: 'active', inGracePeriod: { $ne: true } })
+    .sort({ 'triage.rank': -1, createdAt: -1 })
     .populate('userId', 'name phone aadhar');
 };
 
 // Static method to get alerts by user
 sosAlertSchema.statics.getUserAlerts = function(userId) {
-  return this.find({ userId })
+  return this.find({ userId, silent: { $ne: true } })
     .sort({ createdAt: -1 });
 };
 
-module.exports = mongoose.model('SOSAlert', sosAlertSchema); 
\ No newline at end of file
+const SOSAlert = mongoose.model('SOSAlert', sosAlertSchema);
+
+// Oldest breadcrumbs are dropped beyond this many
+SOSAlert.MAX_TRAIL_POINTS = 2000;
+
+module.exports = SOSAlert;
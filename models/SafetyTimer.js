@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const pointSchema = require('./pointSchema');
+
+// "Walk me home" timer: raises an SOS if the user hasn't checked in with
+// their safety PIN by expiresAt
+const safetyTimerSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  destination: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  durationMinutes: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    // 'expiring': the deadline passed and its SOS is being raised
+    enum: ['active', 'expiring', 'checked_in', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  extensions: [{
+    minutes: Number,
+    extendedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastLocation: pointSchema,
+  lastLocationAt: Date,
+  failedPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  checkedInAt: Date,
+  cancelledAt: Date,
+  expiringAt: Date,
+  expiredAt: Date,
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the expiry worker and for the user's timer history
+safetyTimerSchema.index({ status: 1, expiresAt: 1 });
+safetyTimerSchema.index({ userId: 1, status: 1 });
+// One active timer per user
+safetyTimerSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Method to get timer summary
+safetyTimerSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    destination: this.destination,
+    status: this.status,
+    durationMinutes: this.durationMinutes,
+    startedAt: this.startedAt,
+    expiresAt: this.expiresAt,
+    remainingSeconds: this.status === 'active'
+      ? Math.max(0, Math.round((this.expiresAt - Date.now()) / 1000))
+      : 0,
+    extensions: this.extensions.length,
+    lastLocation: this.lastLocation,
+    lastLocationAt: this.lastLocationAt,
+    alertId: this.alertId
+  };
+};
+
+module.exports = mongoose.model('SafetyTimer', safetyTimerSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens name the session they belong to, so
+// revoking it ends them too; the refresh token rotates on every use and only
+// its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, to spot an old refresh token being replayed
+  previousTokenHash: String,
+  rotatedAt: Date,
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  // How the session was signed in: 'password', 'otp' or 'register'
+  method: String,
+  // Second factor given at login: 'totp', 'recovery_code', or unset
+  secondFactor: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  // 'logout', 'revoked', 'password_changed', 'refresh_token_reuse'
+  revokedReason: String,
+  // Removed by MongoDB once the refresh token can no longer be used
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get what the user sees in their session list
+sessionSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    method: this.method,
+    secondFactor: this.secondFactor,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+// An organization admin's invitation for a user to join as staff. Staff can
+// look up any user, so nobody becomes staff until they accept.
+const staffInvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResponderOrganization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  organizationRole: {
+    type: String,
+    enum: ['staff', 'admin'],
+    default: 'staff'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: INVITATION_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// One open invitation per user and organization
+staffInvitationSchema.index(
+  { organizationId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to get invitation summary
+staffInvitationSchema.methods.getSummary = function() {
+  const organization = this.populated('organizationId') ? this.organizationId : null;
+  return {
+    id: this._id,
+    organization: organization
+      ? { id: organization._id, name: organization.name, type: organization.type }
+      : this.organizationId,
+    userId: this.userId,
+    organizationRole: this.organizationRole,
+    status: this.status,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+const StaffInvitation = mongoose.model('StaffInvitation', staffInvitationSchema);
+StaffInvitation.INVITATION_STATUSES = INVITATION_STATUSES;
+
+module.exports = StaffInvitation;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// The half-finished login of an account with two-factor authentication:
+// the first factor was right and the second is still owed. Only the hash of
+// the challenge token's secret is stored; MongoDB removes expired ones.
+const twoFactorChallengeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The first factor: 'password' or 'otp'
+  method: {
+    type: String,
+    required: true
+  },
+  // Code tries, right or wrong
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+module.exports = mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
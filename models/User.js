@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const pointSchema = require('./pointSchema');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { maskAadhar } = require('../utils/aadhar');
 
 const userSchema = new mongoose.Schema({
   aadhar: {
@@ -19,6 +22,48 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Secondary password that logs in normally but raises a silent SOS.
+  // Never selected unless asked for with .select('+duressPassword')
+  duressPassword: {
+    type: String,
+    select: false
+  },
+  // Short PIN used to check in or stand down (hashed, never selected by default)
+  safetyPin: {
+    type: String,
+    select: false
+  },
+  // TOTP two-factor authentication (see services/twoFactor.js). The secrets
+  // are encrypted and, with the recovery codes, never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set up but not yet confirmed with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Newest time step accepted, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Single-use backup codes (bcrypt hashes)
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
   phone: {
     type: String,
     required: true,
@@ -30,6 +75,11 @@ const userSchema = new mongoose.Schema({
       message: 'Please enter a valid Indian mobile number'
     }
   },
+  // Set to false at registration until the phone's OTP is entered.
+  // Accounts created before OTP verification have it unset: they can log in,
+  // but get no guardian or contact role until an SMS code login verifies it.
+  phoneVerified: Boolean,
+  phoneVerifiedAt: Date,
   name: {
     type: String,
     trim: true
@@ -48,13 +98,49 @@ const userSchema = new mongoose.Schema({
   emergencyContacts: [{
     name: String,
     phone: String,
-    relationship: String
+    relationship: String,
+    // Escalation tier: tier 1 is notified first, later tiers only if nobody responds
+    tier: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Language for SOS messages to this contact (the user's own language if unset)
+    language: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES
+    },
+    // Guardians may close the user's SOS alerts (signed in with this phone number)
+    guardian: {
+      type: Boolean,
+      default: false
+    }
   }],
-  location: {
-    latitude: Number,
-    longitude: Number,
-    address: String
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE
+  },
+  isVolunteer: {
+    type: Boolean,
+    default: false
+  },
+  // Staff of a responder organization (police station, NGO, helpline)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResponderOrganization'
   },
+  organizationRole: {
+    type: String,
+    enum: ['staff', 'admin']
+  },
+  // Runs the platform: sees every user and alert (granted with npm run admin:grant)
+  platformAdmin: {
+    type: Boolean,
+    default: false
+  },
+  // Last known location as a GeoJSON Point (latitude/longitude are virtuals)
+  location: pointSchema,
   isActive: {
     type: Boolean,
     default: true
@@ -75,6 +161,9 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for finding nearby volunteers
+userSchema.index({ location: '2dsphere' });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -88,16 +177,87 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Hash duress password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('duressPassword') || !this.duressPassword) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.duressPassword = await bcrypt.hash(this.duressPassword, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Hash safety PIN before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('safetyPin') || !this.safetyPin) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.safetyPin = await bcrypt.hash(this.safetyPin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare safety PIN (the document must be loaded with +safetyPin)
+userSchema.methods.compareSafetyPin = async function(candidatePin) {
+  if (!this.safetyPin) return false;
+  return bcrypt.compare(String(candidatePin), this.safetyPin);
+};
+
+// Method to compare duress password (the document must be loaded with +duressPassword)
+userSchema.methods.compareDuressPassword = async function(candidatePassword) {
+  if (!this.duressPassword) return false;
+  return bcrypt.compare(candidatePassword, this.duressPassword);
+};
+
 // Method to get public profile (without password)
 userSchema.methods.toPublicJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.duressPassword;
+  delete userObject.safetyPin;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
+// Method to get what responders see when looking someone up
+userSchema.methods.getResponderSummary = function() {
+  return {
+    id: this._id,
+    name: this.name || 'Anonymous',
+    phone: this.phone,
+    aadhar: maskAadhar(this.aadhar),
+    location: this.location,
+    emergencyContacts: this.emergencyContacts.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      relationship: contact.relationship
+    }))
+  };
+};
+
+userSchema.index({ organizationId: 1 }, { sparse: true });
+
+// A phone number can be verified by one account only; guardian and contact
+// roles are matched on it
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// GeoJSON Point with latitude/longitude virtuals, so documents can be
+// queried with 2dsphere indexes while the API keeps using lat/lng fields
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  // [longitude, latitude], as GeoJSON requires
+  coordinates: {
+    type: [Number],
+    default: undefined,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length === 2 &&
+          v[0] >= -180 && v[0] <= 180 &&
+          v[1] >= -90 && v[1] <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  },
+  address: String
+}, {
+  _id: false,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pointSchema.virtual('latitude')
+  .get(function() {
+    return this.coordinates && this.coordinates.length === 2 ? this.coordinates[1] : undefined;
+  })
+  .set(function(value) {
+    const longitude = this.coordinates && this.coordinates.length === 2 ? this.coordinates[0] : 0;
+    this.coordinates = [longitude, Number(value)];
+  });
+
+pointSchema.virtual('longitude')
+  .get(function() {
+    return this.coordinates && this.coordinates.length === 2 ? this.coordinates[0] : undefined;
+  })
+  .set(function(value) {
+    const latitude = this.coordinates && this.coordinates.length === 2 ? this.coordinates[1] : 0;
+    this.coordinates = [Number(value), latitude];
+  });
+
+// Build a GeoJSON point from lat/lng
+function toPoint(latitude, longitude, address) {
+  const point = {
+    type: 'Point',
+    coordinates: [Number(longitude), Number(latitude)]
+  };
+  if (address !== undefined) point.address = address;
+  return point;
+}
+
+module.exports = pointSchema;
+module.exports.toPoint = toPoint;
@@ -23,29 +23,75 @@ function removeCookie(name) {
   document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
 }
 
-// API request helper
-async function apiRequest(endpoint, options = {}) {
-  const token = localStorage.getItem('authToken');
-  
-  const defaultOptions = {
-    headers: {
-      'Content-Type': 'application/json',
-      ...(token && { 'Authorization': `Bearer ${token}` })
-    }
+// Access tokens are short-lived. Swap the refresh token for new ones; tabs
+// share localStorage, so only one refresh runs at a time in each tab.
+let refreshInFlight = null;
+
+function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (response.ok) {
+        const tokens = await response.json();
+        localStorage.setItem('authToken', tokens.token);
+        localStorage.setItem('refreshToken', tokens.refreshToken);
+        return true;
+      }
+      // Another tab rotated it first and already stored the new tokens
+      return localStorage.getItem('refreshToken') !== refreshToken;
+    })()
+      .catch(() => false)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+}
+
+// fetch() with the access token, refreshing it once if it has expired
+async function authorizedFetch(url, options = {}) {
+  const send = () => {
+    const token = localStorage.getItem('authToken');
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      }
+    });
   };
 
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-    ...defaultOptions,
+  const response = await send();
+  // Only a rejected token is worth refreshing, not e.g. a wrong OTP
+  const tokenRejected = response.status === 401 &&
+    (response.headers.get('WWW-Authenticate') || '').includes('invalid_token');
+  if (tokenRejected && await refreshAccessToken()) {
+    return send();
+  }
+  return response;
+}
+
+// API request helper
+async function apiRequest(endpoint, options = {}) {
+  const response = await authorizedFetch(`${API_BASE_URL}${endpoint}`, {
     ...options,
     headers: {
-      ...defaultOptions.headers,
+      'Content-Type': 'application/json',
       ...options.headers
     }
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Network error' }));
-    throw new Error(error.error || `HTTP ${response.status}`);
+    const requestError = new Error(error.error || `HTTP ${response.status}`);
+    requestError.status = response.status;
+    throw requestError;
   }
 
   return response.json();
@@ -65,11 +111,7 @@ async function registerUser(aadhar, password, phone, name = '', email = '') {
       })
     });
 
-    // Store token and user info
-    localStorage.setItem('authToken', response.token);
-    localStorage.setItem('userId', response.user._id);
-    setCookie('userId', response.user._id);
-
+    // No token yet: the account is activated with the code texted to the phone
     return response;
   } catch (error) {
     console.error('Registration error:', error);
@@ -77,6 +119,59 @@ async function registerUser(aadhar, password, phone, name = '', email = '') {
   }
 }
 
+// Store token and user info after any successful login
+function saveLogin(response) {
+  localStorage.setItem('authToken', response.token);
+  localStorage.setItem('refreshToken', response.refreshToken);
+  localStorage.setItem('userId', response.user._id);
+  localStorage.setItem('userRoles', JSON.stringify(response.roles || ['user']));
+  setCookie('userId', response.user._id);
+}
+
+async function verifyRegistration(phone, code) {
+  try {
+    const response = await apiRequest('/auth/register/verify', {
+      method: 'POST',
+      body: JSON.stringify({ phone, code })
+    });
+    saveLogin(response);
+    return response;
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    throw error;
+  }
+}
+
+// purpose: 'register' (resend the activation code) or 'login'
+async function requestOtp(phone, purpose) {
+  try {
+    return await apiRequest('/auth/otp/request', {
+      method: 'POST',
+      body: JSON.stringify({ phone, purpose })
+    });
+  } catch (error) {
+    console.error('Request code error:', error);
+    throw error;
+  }
+}
+
+// When two-factor authentication is on, the response has twoFactorRequired
+// and a challengeToken for completeTwoFactorLogin() instead of tokens
+async function loginWithOtp(phone, code) {
+  try {
+    const response = await apiRequest('/auth/login/otp', {
+      method: 'POST',
+      body: JSON.stringify({ phone, code })
+    });
+    if (!response.twoFactorRequired) saveLogin(response);
+    return response;
+  } catch (error) {
+    console.error('OTP login error:', error);
+    throw error;
+  }
+}
+
+// Same two-step response as loginWithOtp() when two-factor authentication is on
 async function loginUser(aadhar, password) {
   try {
     const response = await apiRequest('/auth/login', {
@@ -87,11 +182,7 @@ async function loginUser(aadhar, password) {
       })
     });
 
-    // Store token and user info
-    localStorage.setItem('authToken', response.token);
-    localStorage.setItem('userId', response.user._id);
-    setCookie('userId', response.user._id);
-
+    if (!response.twoFactorRequired) saveLogin(response);
     return response;
   } catch (error) {
     console.error('Login error:', error);
@@ -99,9 +190,136 @@ async function loginUser(aadhar, password) {
   }
 }
 
-function logout() {
+// Second login step. factors: { code } from the authenticator app, or { recoveryCode }
+async function completeTwoFactorLogin(challengeToken, factors) {
+  try {
+    const response = await apiRequest('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factors })
+    });
+    saveLogin(response);
+    return response;
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    throw error;
+  }
+}
+
+async function getTwoFactorStatus() {
+  try {
+    return await apiRequest('/auth/2fa');
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    throw error;
+  }
+}
+
+// Returns { secret, otpauthUri, qrCode }; show qrCode as an <img> src
+async function setupTwoFactor(currentPassword) {
+  try {
+    return await apiRequest('/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    throw error;
+  }
+}
+
+// Returns { recoveryCodes }, shown only this once
+async function enableTwoFactor(code) {
+  try {
+    return await apiRequest('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    throw error;
+  }
+}
+
+async function disableTwoFactor(currentPassword, factors) {
+  try {
+    return await apiRequest('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, ...factors })
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    throw error;
+  }
+}
+
+async function regenerateRecoveryCodes(currentPassword, factors) {
+  try {
+    return await apiRequest('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, ...factors })
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    throw error;
+  }
+}
+
+// Start a forgotten-password reset. account: { aadhar } or { phone };
+// method: 'sms' (texted code) or 'email' (link). The reply is the same
+// whether or not the account exists.
+async function forgotPassword(account, method = 'sms') {
+  try {
+    return await apiRequest('/auth/password/forgot', {
+      method: 'POST',
+      body: JSON.stringify({ ...account, method })
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    throw error;
+  }
+}
+
+// Finish a reset with the code texted to the account named in forgotPassword()
+async function resetPasswordWithCode(account, code, newPassword) {
+  try {
+    return await apiRequest('/auth/password/reset/otp', {
+      method: 'POST',
+      body: JSON.stringify({ ...account, code, newPassword })
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    throw error;
+  }
+}
+
+// Finish a reset with the token from the emailed link
+async function resetPasswordWithToken(token, newPassword) {
+  try {
+    return await apiRequest('/auth/password/reset', {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword })
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    throw error;
+  }
+}
+
+// Signs this device's session out on the server too, so the tokens stop
+// working even if a copy was kept
+async function logout() {
+  stopLocationTracking();
+  stopSafetyTimerCountdown();
+  stopSOSGraceCountdown();
+  try {
+    await apiRequest('/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
   localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('userId');
+  localStorage.removeItem('userRoles');
   removeCookie('userId');
   window.location.href = 'login.html';
 }
@@ -110,13 +328,49 @@ function isLoggedIn() {
   return localStorage.getItem('authToken') !== null;
 }
 
+// Roles from the last login: user, volunteer, responder, org_admin, platform_admin.
+// Only for showing or hiding UI; the server checks every request.
+function hasRole(role) {
+  const roles = JSON.parse(localStorage.getItem('userRoles') || '["user"]');
+  return roles.includes(role);
+}
+
 function getCurrentUser() {
   const userId = localStorage.getItem('userId');
   return userId ? { id: userId } : null;
 }
 
+// Signed-in devices; the one making the request has current: true
+async function getSessions() {
+  try {
+    const response = await apiRequest('/auth/sessions');
+    return response.sessions;
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    throw error;
+  }
+}
+
+async function revokeSession(sessionId) {
+  try {
+    return await apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    throw error;
+  }
+}
+
+async function signOutOtherSessions() {
+  try {
+    return await apiRequest('/auth/sessions', { method: 'DELETE' });
+  } catch (error) {
+    console.error('Sign out other sessions error:', error);
+    throw error;
+  }
+}
+
 // SOS Alert functions
-async function createSOSAlert(latitude, longitude, address = '', description = '', emergencyType = 'other') {
+async function createSOSAlert(latitude, longitude, address = '', description = '', emergencyType = 'other', accuracy = null) {
   try {
     const response = await apiRequest('/sos/create', {
       method: 'POST',
@@ -125,7 +379,8 @@ async function createSOSAlert(latitude, longitude, address = '', description = '
         longitude,
         address,
         description,
-        emergencyType
+        emergencyType,
+        accuracy
       })
     });
 
@@ -156,13 +411,19 @@ async function getUserAlerts() {
   }
 }
 
-async function updateAlertStatus(alertId, status) {
+// Close an alert as 'resolved' or 'false_alarm'. The alert owner must give
+// their safety PIN; guardians and responders don't need one.
+async function updateAlertStatus(alertId, status, pin = undefined) {
   try {
     const response = await apiRequest(`/sos/${alertId}/status`, {
       method: 'PUT',
-      body: JSON.stringify({ status })
+      body: JSON.stringify({ status, pin })
     });
 
+    if (status !== 'active' && localStorage.getItem('trackedAlertId') === alertId) {
+      stopLocationTracking();
+    }
+
     return response;
   } catch (error) {
     console.error('Update alert status error:', error);
@@ -170,6 +431,298 @@ async function updateAlertStatus(alertId, status) {
   }
 }
 
+// Cancel the user's own alert as a false alarm
+async function cancelSOSAlert(alertId, pin) {
+  try {
+    const response = await apiRequest(`/sos/${alertId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ pin })
+    });
+
+    stopSOSGraceCountdown();
+    if (localStorage.getItem('trackedAlertId') === alertId) {
+      stopLocationTracking();
+    }
+
+    return response;
+  } catch (error) {
+    console.error('Cancel SOS alert error:', error);
+    throw error;
+  }
+}
+
+// Count down to alert.graceEndsAt, calling onTick(remainingSeconds) every
+// second. Contacts are notified by the server when it reaches zero, so the
+// countdown is display only.
+let sosGraceTickId = null;
+
+function runSOSGraceCountdown(alert, onTick) {
+  stopSOSGraceCountdown();
+  if (!alert.inGracePeriod || !alert.graceEndsAt) {
+    onTick(0);
+    return;
+  }
+  const graceEndsAt = new Date(alert.graceEndsAt).getTime();
+
+  const tick = () => {
+    const remainingSeconds = Math.max(0, Math.ceil((graceEndsAt - Date.now()) / 1000));
+    onTick(remainingSeconds);
+    if (remainingSeconds === 0) {
+      stopSOSGraceCountdown();
+    }
+  };
+
+  sosGraceTickId = setInterval(tick, 1000);
+  tick();
+}
+
+function stopSOSGraceCountdown() {
+  clearInterval(sosGraceTickId);
+  sosGraceTickId = null;
+}
+
+async function getAlertTrail(alertId) {
+  try {
+    return await apiRequest(`/sos/${alertId}/trail`);
+  } catch (error) {
+    console.error('Get alert trail error:', error);
+    throw error;
+  }
+}
+
+async function getAlertTimeline(alertId) {
+  try {
+    return await apiRequest(`/sos/${alertId}/timeline`);
+  } catch (error) {
+    console.error('Get alert timeline error:', error);
+    throw error;
+  }
+}
+
+// Dispatch console for responder organization staff
+async function getMyOrganization() {
+  try {
+    return await apiRequest('/orgs/me');
+  } catch (error) {
+    console.error('Get organization error:', error);
+    throw error;
+  }
+}
+
+async function getDispatchQueue() {
+  try {
+    const response = await apiRequest('/orgs/me/queue');
+    return response.alerts;
+  } catch (error) {
+    console.error('Get dispatch queue error:', error);
+    throw error;
+  }
+}
+
+async function claimDispatchAlert(alertId) {
+  try {
+    const response = await apiRequest(`/orgs/alerts/${alertId}/claim`, { method: 'POST' });
+    return response.alert;
+  } catch (error) {
+    console.error('Claim alert error:', error);
+    throw error;
+  }
+}
+
+// status: 'dispatched', 'arrived' or 'resolved'
+async function updateDispatchStatus(alertId, status, note = undefined) {
+  try {
+    const response = await apiRequest(`/orgs/alerts/${alertId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note })
+    });
+    return response.alert;
+  } catch (error) {
+    console.error('Update dispatch status error:', error);
+    throw error;
+  }
+}
+
+async function addDispatchNote(alertId, text) {
+  try {
+    const response = await apiRequest(`/orgs/alerts/${alertId}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+    return response.dispatch;
+  } catch (error) {
+    console.error('Add dispatch note error:', error);
+    throw error;
+  }
+}
+
+// Invitations to join a responder organization's staff
+async function getStaffInvitations() {
+  try {
+    const response = await apiRequest('/orgs/invitations');
+    return response.invitations;
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    throw error;
+  }
+}
+
+async function acceptStaffInvitation(invitationId) {
+  try {
+    return await apiRequest(`/orgs/invitations/${invitationId}/accept`, { method: 'POST' });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    throw error;
+  }
+}
+
+async function declineStaffInvitation(invitationId) {
+  try {
+    return await apiRequest(`/orgs/invitations/${invitationId}/decline`, { method: 'POST' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    throw error;
+  }
+}
+
+// Incident report for a police complaint, as a Blob ('pdf' or 'json')
+async function downloadIncidentReport(alertId, format = 'pdf') {
+  const response = await authorizedFetch(`${API_BASE_URL}/sos/${alertId}/report?format=${format}`);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Network error' }));
+    const requestError = new Error(error.error || `HTTP ${response.status}`);
+    requestError.status = response.status;
+    console.error('Download incident report error:', requestError);
+    throw requestError;
+  }
+
+  return response.blob();
+}
+
+// Evidence (audio, photos, video) attached to an alert. Uploads are
+// multipart, so they bypass apiRequest's JSON content type.
+async function uploadEvidence(alertId, files, { description, recordedAt } = {}) {
+  const form = new FormData();
+  for (const file of files) {
+    form.append('files', file);
+  }
+  if (description) form.append('description', description);
+  if (recordedAt) form.append('recordedAt', new Date(recordedAt).toISOString());
+
+  const response = await authorizedFetch(`${API_BASE_URL}/sos/${alertId}/evidence`, {
+    method: 'POST',
+    body: form
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Network error' }));
+    const requestError = new Error(error.error || `HTTP ${response.status}`);
+    requestError.status = response.status;
+    console.error('Upload evidence error:', requestError);
+    throw requestError;
+  }
+
+  return (await response.json()).evidence;
+}
+
+async function getAlertEvidence(alertId) {
+  try {
+    const response = await apiRequest(`/sos/${alertId}/evidence`);
+    return response.evidence;
+  } catch (error) {
+    console.error('Get evidence error:', error);
+    throw error;
+  }
+}
+
+// Resolves with the file as a Blob and the SHA-256 recorded on upload
+async function downloadEvidence(alertId, evidenceId) {
+  const response = await authorizedFetch(`${API_BASE_URL}/sos/${alertId}/evidence/${evidenceId}`);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Network error' }));
+    const requestError = new Error(error.error || `HTTP ${response.status}`);
+    requestError.status = response.status;
+    throw requestError;
+  }
+
+  return {
+    blob: await response.blob(),
+    sha256: response.headers.get('X-Evidence-SHA256')
+  };
+}
+
+async function verifyEvidence(alertId, evidenceId) {
+  try {
+    return await apiRequest(`/sos/${alertId}/evidence/${evidenceId}/verify`);
+  } catch (error) {
+    console.error('Verify evidence error:', error);
+    throw error;
+  }
+}
+
+// Real-time alert updates (Server-Sent Events)
+const ALERT_EVENT_TYPES = [
+  'alert.snapshot',
+  'alert.created',
+  'alert.location',
+  'alert.contact_response',
+  'alert.status',
+  'alert.escalated',
+  'alert.priority',
+  'alert.dispatch'
+];
+
+// handlers: { 'alert.location': fn, ..., onEvent: fn, onError: fn }
+// Returns a function that closes the subscription.
+function openAlertEventStream(path, handlers = {}) {
+  const separator = path.includes('?') ? '&' : '?';
+  let source = null;
+  let closed = false;
+
+  const open = () => {
+    const token = localStorage.getItem('authToken');
+    source = new EventSource(`${API_BASE_URL}${path}${separator}access_token=${encodeURIComponent(token)}`);
+
+    ALERT_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (message) => {
+        const event = JSON.parse(message.data);
+        if (handlers[type]) handlers[type](event);
+        if (handlers.onEvent) handlers.onEvent(event);
+      });
+    });
+
+    source.onerror = async (error) => {
+      // EventSource reconnects by itself, except when the server turned it
+      // away (e.g. the access token expired): refresh and open a new one
+      if (source.readyState === EventSource.CLOSED && !closed && await refreshAccessToken()) {
+        if (!closed) open();
+        return;
+      }
+      if (handlers.onError) handlers.onError(error);
+    };
+  };
+
+  open();
+
+  return () => {
+    closed = true;
+    source.close();
+  };
+}
+
+function subscribeToAlert(alertId, handlers = {}) {
+  return openAlertEventStream(`/sos/${alertId}/events`, handlers);
+}
+
+function subscribeToNearbyAlerts(latitude, longitude, radiusKm = 5, handlers = {}) {
+  return openAlertEventStream(
+    `/sos/events/nearby?latitude=${latitude}&longitude=${longitude}&radius=${radiusKm}`,
+    handlers
+  );
+}
+
 // User profile functions
 async function getUserProfile() {
   try {
@@ -195,14 +748,16 @@ async function updateUserProfile(profileData) {
   }
 }
 
-async function addEmergencyContact(name, phone, relationship = '') {
+async function addEmergencyContact(name, phone, relationship = '', language = undefined, guardian = false) {
   try {
     const response = await apiRequest('/users/emergency-contacts', {
       method: 'POST',
       body: JSON.stringify({
         name,
         phone,
-        relationship
+        relationship,
+        language,
+        guardian
       })
     });
 
@@ -366,6 +921,239 @@ function getCurrentLocation() {
   });
 }
 
+// Live location tracking for an active SOS alert
+const TRACKING_MIN_INTERVAL_MS = 10000; // send an update every 10 seconds...
+const TRACKING_MIN_DISTANCE_M = 15; // ...or sooner if the user has moved at least this far
+const TRACKING_HARD_INTERVAL_MS = 3000; // but never more often than every 3 seconds
+let trackingWatchId = null;
+let trackingLastSent = null;
+
+function distanceInMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * 6371000 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+async function sendLocationUpdate(alertId, position) {
+  const { latitude, longitude, accuracy, speed } = position.coords;
+  const now = Date.now();
+
+  if (trackingLastSent) {
+    const elapsed = now - trackingLastSent.time;
+    if (elapsed < TRACKING_HARD_INTERVAL_MS) {
+      return;
+    }
+    const moved = distanceInMeters(trackingLastSent.latitude, trackingLastSent.longitude, latitude, longitude);
+    if (elapsed < TRACKING_MIN_INTERVAL_MS && moved < TRACKING_MIN_DISTANCE_M) {
+      return;
+    }
+  }
+  trackingLastSent = { time: now, latitude, longitude };
+
+  try {
+    await apiRequest(`/sos/${alertId}/location`, {
+      method: 'POST',
+      body: JSON.stringify({
+        latitude,
+        longitude,
+        accuracy,
+        speed,
+        timestamp: new Date(position.timestamp).toISOString()
+      })
+    });
+  } catch (error) {
+    // The alert was resolved (or removed): stop streaming
+    if (error.status === 409 || error.status === 404 || error.status === 403) {
+      console.log('SOS alert is no longer active, stopping location tracking');
+      stopLocationTracking();
+      return;
+    }
+    console.warn('Location update failed, will retry with the next position:', error.message);
+    trackingLastSent = null;
+  }
+}
+
+function startLocationTracking(alertId) {
+  if (!navigator.geolocation || !alertId) {
+    return false;
+  }
+
+  stopLocationTracking();
+  localStorage.setItem('trackedAlertId', alertId);
+
+  trackingWatchId = navigator.geolocation.watchPosition(
+    (position) => sendLocationUpdate(alertId, position),
+    (error) => console.warn('Location tracking error:', error.message),
+    {
+      enableHighAccuracy: true,
+      timeout: 20000,
+      maximumAge: 5000
+    }
+  );
+
+  console.log(`Started live location tracking for alert ${alertId}`);
+  return true;
+}
+
+function stopLocationTracking() {
+  if (trackingWatchId !== null) {
+    navigator.geolocation.clearWatch(trackingWatchId);
+    trackingWatchId = null;
+  }
+  trackingLastSent = null;
+  localStorage.removeItem('trackedAlertId');
+}
+
+function isLocationTrackingActive() {
+  return trackingWatchId !== null;
+}
+
+// Safety check-in timer ("walk me home")
+const SAFETY_TIMER_LOCATION_INTERVAL_MS = 60000; // report the user's position once a minute
+let safetyTimerTickId = null;
+let safetyTimerLocationId = null;
+
+async function setSafetyPin(currentPassword, pin) {
+  try {
+    return await apiRequest('/auth/safety-pin', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, pin })
+    });
+  } catch (error) {
+    console.error('Set safety PIN error:', error);
+    throw error;
+  }
+}
+
+async function startSafetyTimer(destination, durationMinutes) {
+  try {
+    // The starting point is only a fallback, so don't block on a slow GPS fix
+    let location = null;
+    try {
+      location = await getCurrentLocation();
+    } catch (error) {
+      console.warn('Starting safety timer without a location:', error.message);
+    }
+
+    const response = await apiRequest('/timers/start', {
+      method: 'POST',
+      body: JSON.stringify({
+        destination,
+        durationMinutes,
+        latitude: location ? location.latitude : null,
+        longitude: location ? location.longitude : null
+      })
+    });
+    return response.timer;
+  } catch (error) {
+    console.error('Start safety timer error:', error);
+    throw error;
+  }
+}
+
+async function getActiveSafetyTimer() {
+  try {
+    const response = await apiRequest('/timers/active');
+    return response.timer;
+  } catch (error) {
+    console.error('Get safety timer error:', error);
+    throw error;
+  }
+}
+
+async function extendSafetyTimer(timerId, minutes) {
+  try {
+    const response = await apiRequest(`/timers/${timerId}/extend`, {
+      method: 'POST',
+      body: JSON.stringify({ minutes })
+    });
+    return response.timer;
+  } catch (error) {
+    console.error('Extend safety timer error:', error);
+    throw error;
+  }
+}
+
+async function checkInSafetyTimer(timerId, pin) {
+  try {
+    const response = await apiRequest(`/timers/${timerId}/check-in`, {
+      method: 'POST',
+      body: JSON.stringify({ pin })
+    });
+    stopSafetyTimerCountdown();
+    return response.timer;
+  } catch (error) {
+    console.error('Safety timer check-in error:', error);
+    throw error;
+  }
+}
+
+async function cancelSafetyTimer(timerId, pin) {
+  try {
+    const response = await apiRequest(`/timers/${timerId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ pin })
+    });
+    stopSafetyTimerCountdown();
+    return response.timer;
+  } catch (error) {
+    console.error('Cancel safety timer error:', error);
+    throw error;
+  }
+}
+
+async function reportSafetyTimerLocation(timerId) {
+  try {
+    const location = await getCurrentLocation();
+    await apiRequest(`/timers/${timerId}/location`, {
+      method: 'POST',
+      body: JSON.stringify({
+        latitude: location.latitude,
+        longitude: location.longitude
+      })
+    });
+  } catch (error) {
+    // The timer was checked in, cancelled or has expired
+    if (error.status === 409 || error.status === 404 || error.status === 403) {
+      stopSafetyTimerCountdown();
+      return;
+    }
+    console.warn('Safety timer location update failed:', error.message);
+  }
+}
+
+// Count down to timer.expiresAt, calling onTick(remainingSeconds) every second,
+// and keep the server's last known location fresh. The server raises the SOS
+// on expiry, so the countdown is display only.
+function runSafetyTimerCountdown(timer, onTick) {
+  stopSafetyTimerCountdown();
+  const expiresAt = new Date(timer.expiresAt).getTime();
+
+  const tick = () => {
+    const remainingSeconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+    onTick(remainingSeconds);
+    if (remainingSeconds === 0) {
+      stopSafetyTimerCountdown();
+    }
+  };
+
+  safetyTimerTickId = setInterval(tick, 1000);
+  safetyTimerLocationId = setInterval(() => reportSafetyTimerLocation(timer.id), SAFETY_TIMER_LOCATION_INTERVAL_MS);
+  reportSafetyTimerLocation(timer.id);
+  tick();
+}
+
+function stopSafetyTimerCountdown() {
+  clearInterval(safetyTimerTickId);
+  clearInterval(safetyTimerLocationId);
+  safetyTimerTickId = null;
+  safetyTimerLocationId = null;
+}
+
 // Get address from coordinates using reverse geocoding
 async function getAddressFromCoordinates(latitude, longitude) {
   try {
@@ -440,12 +1228,22 @@ async function sendSOSAlert(description = '', emergencyType = 'other') {
       location.longitude,
       address,
       description,
-      emergencyType
+      emergencyType,
+      location.accuracy < 999999 ? location.accuracy : null
     );
 
+    // Keep responders updated while the user is on the move
+    if (response.alert && response.alert.id) {
+      startLocationTracking(response.alert.id);
+    }
+
     // Notifications are now handled automatically during SOS creation
-    if (response.notifications) {
-      const successfulNotifications = response.notifications.filter(n => n.status === 'sent');
+    if (response.merged) {
+      console.log(`SOS press attached to active alert ${response.alert.id}`);
+    } else if (response.alert && response.alert.inGracePeriod) {
+      console.log(`SOS alert ${response.alert.id} can be cancelled until ${response.alert.graceEndsAt}`);
+    } else if (response.notifications) {
+      const successfulNotifications = response.notifications.filter(n => ['queued', 'sent', 'delivered'].includes(n.status));
       const failedNotifications = response.notifications.filter(n => n.status === 'failed');
       const loggedNotifications = response.notifications.filter(n => n.status === 'logged');
       
@@ -465,11 +1263,18 @@ function initializeApp() {
   if (!isLoggedIn()) {
     // Redirect to login if not on login or register page
     const currentPage = window.location.pathname.split('/').pop();
-    if (currentPage !== 'login.html' && currentPage !== 'Register.html' && currentPage !== 'index.html') {
+    const publicPages = ['login.html', 'Register.html', 'reset-password.html', 'index.html'];
+    if (!publicPages.includes(currentPage)) {
       window.location.href = 'login.html';
     }
   }
 
+  // Resume live tracking for an alert that was still active when the page was left
+  const trackedAlertId = localStorage.getItem('trackedAlertId');
+  if (trackedAlertId && isLoggedIn()) {
+    startLocationTracking(trackedAlertId);
+  }
+
   // Add logout functionality to protected pages
   const logoutButtons = document.querySelectorAll('.logout-btn');
   logoutButtons.forEach(button => {
@@ -481,8 +1286,10 @@ function initializeApp() {
   sosButtons.forEach(button => {
     button.addEventListener('click', async () => {
       try {
-        await sendSOSAlert();
-        alert('SOS alert sent successfully! Emergency contacts have been notified.');
+        const response = await sendSOSAlert();
+        alert(response.merged
+          ? 'SOS added to your active alert. Your location has been updated.'
+          : 'SOS alert sent successfully! Emergency contacts have been notified.');
       } catch (error) {
         alert('Failed to send SOS alert. Please try again.');
         console.error('SOS button error:', error);
@@ -494,13 +1301,46 @@ function initializeApp() {
 // Make functions available globally for non-module usage
 window.registerUser = registerUser;
 window.loginUser = loginUser;
+window.verifyRegistration = verifyRegistration;
+window.requestOtp = requestOtp;
+window.loginWithOtp = loginWithOtp;
+window.completeTwoFactorLogin = completeTwoFactorLogin;
+window.getTwoFactorStatus = getTwoFactorStatus;
+window.setupTwoFactor = setupTwoFactor;
+window.enableTwoFactor = enableTwoFactor;
+window.disableTwoFactor = disableTwoFactor;
+window.regenerateRecoveryCodes = regenerateRecoveryCodes;
+window.forgotPassword = forgotPassword;
+window.resetPasswordWithCode = resetPasswordWithCode;
+window.resetPasswordWithToken = resetPasswordWithToken;
 window.logout = logout;
 window.isLoggedIn = isLoggedIn;
 window.getCurrentUser = getCurrentUser;
+window.getSessions = getSessions;
+window.revokeSession = revokeSession;
+window.signOutOtherSessions = signOutOtherSessions;
+window.hasRole = hasRole;
 window.createSOSAlert = createSOSAlert;
 window.getActiveAlerts = getActiveAlerts;
 window.getUserAlerts = getUserAlerts;
 window.updateAlertStatus = updateAlertStatus;
+window.cancelSOSAlert = cancelSOSAlert;
+window.runSOSGraceCountdown = runSOSGraceCountdown;
+window.stopSOSGraceCountdown = stopSOSGraceCountdown;
+window.getAlertTrail = getAlertTrail;
+window.getAlertTimeline = getAlertTimeline;
+window.downloadIncidentReport = downloadIncidentReport;
+window.getMyOrganization = getMyOrganization;
+window.getDispatchQueue = getDispatchQueue;
+window.claimDispatchAlert = claimDispatchAlert;
+window.updateDispatchStatus = updateDispatchStatus;
+window.addDispatchNote = addDispatchNote;
+window.uploadEvidence = uploadEvidence;
+window.getAlertEvidence = getAlertEvidence;
+window.downloadEvidence = downloadEvidence;
+window.verifyEvidence = verifyEvidence;
+window.subscribeToAlert = subscribeToAlert;
+window.subscribeToNearbyAlerts = subscribeToNearbyAlerts;
 window.getUserProfile = getUserProfile;
 window.updateUserProfile = updateUserProfile;
 window.addEmergencyContact = addEmergencyContact;
@@ -511,6 +1351,17 @@ window.getAllUsersNumbers = getAllUsersNumbers;
 window.getCurrentLocation = getCurrentLocation;
 window.getAddressFromCoordinates = getAddressFromCoordinates;
 window.sendSOSAlert = sendSOSAlert;
+window.startLocationTracking = startLocationTracking;
+window.stopLocationTracking = stopLocationTracking;
+window.isLocationTrackingActive = isLocationTrackingActive;
+window.setSafetyPin = setSafetyPin;
+window.startSafetyTimer = startSafetyTimer;
+window.getActiveSafetyTimer = getActiveSafetyTimer;
+window.extendSafetyTimer = extendSafetyTimer;
+window.checkInSafetyTimer = checkInSafetyTimer;
+window.cancelSafetyTimer = cancelSafetyTimer;
+window.runSafetyTimerCountdown = runSafetyTimerCountdown;
+window.stopSafetyTimerCountdown = stopSafetyTimerCountdown;
 window.initializeApp = initializeApp;
 
 // Debug function to check emergency contacts
@@ -0,0 +1,114 @@
+// Public page opened from the signed link in an SOS message.
+// It doesn't use fire.js: recipients are usually not logged in.
+const API_BASE_URL = window.location.hostname.includes("localhost")
+  ? "http://localhost:3000/api"
+  : "https://voiceofher.onrender.com/api";
+
+const REFRESH_INTERVAL_MS = 15000;
+
+const RESPONSE_LABELS = {
+  pending: "No response yet",
+  acknowledged: "Acknowledged",
+  responding: "On my way",
+  declined: "Can't help",
+  unreachable: "Unreachable",
+};
+
+const token = new URLSearchParams(window.location.search).get("t");
+const alertCard = document.getElementById("alert-card");
+const responseButtons = document.getElementById("response-buttons");
+const statusMessage = document.getElementById("status-message");
+let refreshTimer = null;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text == null ? "" : String(text);
+  return div.innerHTML;
+}
+
+function showStatus(message, type = "success") {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message status-${type}`;
+  statusMessage.style.display = "block";
+}
+
+// Link no longer usable: stop refreshing and hide the buttons
+function closePage(message) {
+  clearInterval(refreshTimer);
+  responseButtons.style.display = "none";
+  alertCard.textContent = message;
+}
+
+async function request(method, body) {
+  const response = await fetch(`${API_BASE_URL}/sos/respond/${encodeURIComponent(token)}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({ error: "Network error" }));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function render(view) {
+  const { alert, recipient } = view;
+  const location = alert.location;
+
+  alertCard.innerHTML = `
+    <p><strong>${escapeHtml(alert.userName)}</strong> (<a href="tel:${escapeHtml(alert.userPhone)}">${escapeHtml(alert.userPhone)}</a>) needs help.</p>
+    <p>Emergency: ${escapeHtml(alert.emergencyType)}</p>
+    ${location.address ? `<p>📍 ${escapeHtml(location.address)}</p>` : ""}
+    <p class="updated-at">
+      Location updated ${new Date(location.updatedAt).toLocaleTimeString()}
+      ${location.accuracy ? ` (±${Math.round(location.accuracy)} m)` : ""}
+    </p>
+    <p>Your response: <strong>${escapeHtml(RESPONSE_LABELS[recipient.response] || recipient.response)}</strong></p>
+    <a class="map-link" href="${escapeHtml(alert.mapLink)}" target="_blank" rel="noopener">Open live location in Maps</a>
+  `;
+  responseButtons.style.display = "block";
+}
+
+function handleError(error) {
+  if (error.status === 410) {
+    closePage("This alert has been closed. Thank you for responding.");
+  } else if (error.status === 404) {
+    closePage("This link is invalid or has expired.");
+  } else {
+    showStatus("Could not reach the server. Retrying...", "error");
+  }
+}
+
+async function loadAlert() {
+  try {
+    render(await request("GET"));
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+responseButtons.querySelectorAll(".response-btn").forEach((button) => {
+  button.addEventListener("click", async () => {
+    const buttons = responseButtons.querySelectorAll(".response-btn");
+    buttons.forEach((b) => (b.disabled = true));
+    try {
+      render(await request("POST", { response: button.dataset.response }));
+      showStatus("Thank you. Your response has been recorded.");
+    } catch (error) {
+      handleError(error);
+    } finally {
+      buttons.forEach((b) => (b.disabled = false));
+    }
+  });
+});
+
+if (!token) {
+  closePage("This link is invalid or has expired.");
+} else {
+  loadAlert();
+  refreshTimer = setInterval(loadAlert, REFRESH_INTERVAL_MS);
+}
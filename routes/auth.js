@@ -1,7 +1,15 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { generateToken } = require("../middleware/auth");
+const { authenticateToken } = require("../middleware/auth");
+const sosPipeline = require("../services/sosPipeline");
+const access = require("../services/access");
+const otp = require("../services/otp");
+const sessions = require("../services/sessions");
+const passwordReset = require("../services/passwordReset");
+const loginProtection = require("../services/loginProtection");
+const twoFactor = require("../services/twoFactor");
+const { SUPPORTED_LANGUAGES } = require("../utils/languages");
 
 const router = express.Router();
 
@@ -27,6 +35,10 @@ const registerValidation = [
     .optional()
     .isEmail()
     .withMessage("Please enter a valid email address"),
+  body("preferredLanguage")
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage("Unsupported language"),
 ];
 
 const loginValidation = [
@@ -38,6 +50,106 @@ const loginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+const phoneValidation = body("phone")
+  .matches(/^[6-9]\d{9}$/)
+  .withMessage("Please enter a valid Indian mobile number");
+
+const codeValidation = body("code")
+  .matches(/^\d{4,8}$/)
+  .withMessage("Enter the code sent to your phone");
+
+// A password reset names the account by Aadhar or by phone number
+const resetAccountValidation = [
+  body("aadhar")
+    .optional()
+    .isLength({ min: 12, max: 12 })
+    .withMessage("Aadhar number must be exactly 12 digits")
+    .isNumeric()
+    .withMessage("Aadhar number must contain only digits"),
+  body("phone")
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage("Please enter a valid Indian mobile number"),
+  body().custom((value) => {
+    if (!value.aadhar && !value.phone) {
+      throw new Error("Enter your Aadhar number or phone number");
+    }
+    return true;
+  }),
+];
+
+// A code from the authenticator app or a recovery code
+const secondFactorValidation = body().custom((value) => {
+  if (!value.code && !value.recoveryCode) {
+    throw new Error("Enter the code from your authenticator app or a recovery code");
+  }
+  return true;
+});
+
+const newPasswordValidation = body("newPassword")
+  .isLength({ min: 6 })
+  .withMessage("New password must be at least 6 characters long");
+
+function sendAuthError(res, error, fallbackMessage) {
+  if (error instanceof loginProtection.LoginThrottleError) {
+    res.set("Retry-After", String(error.retryAfterSeconds));
+    return res.status(error.status).json({
+      error: error.message,
+      retryAfter: error.retryAfterSeconds,
+    });
+  }
+  if (
+    error instanceof otp.OtpError ||
+    error instanceof sessions.SessionError ||
+    error instanceof passwordReset.PasswordResetError ||
+    error instanceof twoFactor.TwoFactorError
+  ) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Start a session and return its tokens with the account details.
+// method: how the user signed in ('password', 'otp' or 'register');
+// secondFactor: 'totp' or 'recovery_code' when two-factor is on
+async function completeLogin(user, req, method, secondFactor) {
+  user.lastLogin = new Date();
+  await user.save();
+  await access.loadOrganization(user);
+
+  const deviceName = typeof req.body.deviceName === "string"
+    ? req.body.deviceName.trim().slice(0, 100)
+    : undefined;
+
+  return {
+    user: user.toPublicJSON(),
+    roles: access.getRoles(user),
+    ...(await sessions.createSession(user, req, { method, secondFactor, deviceName })),
+  };
+}
+
+// Silent SOS for a duress login. Not awaited, and nothing about it goes
+// into the login response, so the device shows no sign of it.
+function raiseDuressAlert(user, body) {
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+  const hasDeviceLocation = !isNaN(latitude) && !isNaN(longitude);
+  const lastKnown = user.location && user.location.coordinates ? user.location : null;
+
+  sosPipeline
+    .raiseAlert(user, {
+      latitude: hasDeviceLocation ? latitude : lastKnown ? lastKnown.latitude : 0,
+      longitude: hasDeviceLocation ? longitude : lastKnown ? lastKnown.longitude : 0,
+      address: hasDeviceLocation ? "" : lastKnown ? lastKnown.address : "Location unknown",
+      description: "Silent SOS: duress password used to log in",
+      trigger: "duress",
+      silent: true,
+    })
+    .then(({ alert }) => console.log(`Silent duress SOS raised: ${alert._id}`))
+    .catch((error) => console.error("Duress SOS error:", error));
+}
+
 // Register new user
 router.post("/register", registerValidation, async (req, res) => {
   try {
@@ -50,7 +162,26 @@ router.post("/register", registerValidation, async (req, res) => {
       });
     }
 
-    const { aadhar, password, phone, name, email } = req.body;
+    const { aadhar, password, phone, name, email, preferredLanguage } = req.body;
+
+    // A registration whose phone was never verified can be started over by
+    // the same Aadhar and phone pair, or by anyone once its code has expired,
+    // so a stranger can't wipe one that is waiting for its code
+    const pending = await User.find({ $or: [{ aadhar }, { phone }], phoneVerified: false });
+    for (const registration of pending) {
+      const samePair = registration.aadhar === aadhar && registration.phone === phone;
+      if (!samePair && (await otp.hasOpenCode(registration.phone, "register"))) {
+        return res.status(409).json({
+          error: "A registration with this Aadhar number or phone number is waiting for its code; try again later",
+        });
+      }
+    }
+    if (pending.length > 0) {
+      await User.deleteMany({
+        _id: { $in: pending.map((registration) => registration._id) },
+        phoneVerified: false,
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -70,20 +201,26 @@ router.post("/register", registerValidation, async (req, res) => {
       phone,
       name: name || "",
       email: email || "",
+      preferredLanguage,
+      phoneVerified: false,
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // The account stays inactive until the code texted to the phone is entered
+    const verification = await otp.requestCode(phone, "register", { language: preferredLanguage });
 
-    // Return user data (without password) and token
     res.status(201).json({
-      message: "User registered successfully",
-      user: user.toPublicJSON(),
-      token,
+      message: "Enter the code sent to your phone to activate your account",
+      phone,
+      verificationRequired: true,
+      verification,
     });
   } catch (error) {
+    if (error instanceof otp.OtpError) {
+      return sendAuthError(res, error, "Registration failed");
+    }
+
     console.error("Registration error:", error);
 
     if (error.code === 11000) {
@@ -96,6 +233,133 @@ router.post("/register", registerValidation, async (req, res) => {
   }
 });
 
+// Activate a new account with the code texted to its phone
+router.post("/register/verify", [phoneValidation, codeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ phone: req.body.phone, phoneVerified: false });
+    if (!user) {
+      return res.status(404).json({ error: "No pending registration for this phone number" });
+    }
+
+    await otp.verifyCode(user.phone, "register", req.body.code);
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+
+    res.json({
+      message: "Phone number verified. Your account is active",
+      ...(await completeLogin(user, req, "register")),
+    });
+  } catch (error) {
+    // Verified phone numbers are unique
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "This phone number is already verified on another account",
+      });
+    }
+    sendAuthError(res, error, "Phone verification failed");
+  }
+});
+
+// Text a code to a phone: to finish registering, or to log in without a password
+router.post(
+  "/otp/request",
+  [
+    phoneValidation,
+    body("purpose")
+      .isIn(["register", "login"])
+      .withMessage("Purpose must be register or login"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { phone, purpose } = req.body;
+
+      if (purpose === "register") {
+        const user = await User.findOne({ phone, phoneVerified: false });
+        if (!user) {
+          return res.status(404).json({ error: "No pending registration for this phone number" });
+        }
+        const verification = await otp.requestCode(phone, purpose, { language: user.preferredLanguage });
+        return res.json({ message: "Code sent", verification });
+      }
+
+      // Same answer whether or not the number has an account
+      const user = await User.findOne({ phone, phoneVerified: { $ne: false }, isActive: true });
+      if (user) {
+        await otp.requestCode(phone, purpose, { language: user.preferredLanguage });
+      }
+      res.json({ message: "If an account uses this number, a code has been sent to it" });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to send code");
+    }
+  }
+);
+
+// Log in with a code texted to the account's phone instead of a password
+router.post("/login/otp", [phoneValidation, codeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      });
+    }
+
+    const { phone, code } = req.body;
+    await otp.verifyCode(phone, "login", code);
+
+    const users = await User.find({ phone, phoneVerified: { $ne: false } });
+    if (users.length > 1) {
+      return res.status(409).json({
+        error: "More than one account uses this phone number; log in with your Aadhar number",
+      });
+    }
+    const user = users[0];
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    // The code proves the phone, so an account from before phone
+    // verification becomes verified here
+    if (user.phoneVerified !== true) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      await user.save();
+    }
+
+    if (twoFactor.isEnabled(user)) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        ...(await twoFactor.createChallenge(user, "otp")),
+      });
+    }
+
+    res.json({
+      message: "Login successful",
+      ...(await completeLogin(user, req, "otp")),
+    });
+  } catch (error) {
+    sendAuthError(res, error, "Login failed");
+  }
+});
+
 // Login user
 router.post("/login", loginValidation, async (req, res) => {
   try {
@@ -110,97 +374,331 @@ router.post("/login", loginValidation, async (req, res) => {
 
     const { aadhar, password } = req.body;
 
+    // Refused while the Aadhar number is locked or waiting out its delay
+    const attempt = await loginProtection.reserveAttempt(aadhar, req);
+
     // Find user by Aadhar number
-    const user = await User.findOne({ aadhar });
+    const user = await User.findOne({ aadhar }).select("+duressPassword");
     if (!user) {
+      await loginProtection.recordFailure(attempt, null, req, "unknown_account");
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     // Check if account is active
     if (!user.isActive) {
+      await loginProtection.recordFailure(attempt, user, req, "deactivated");
       return res.status(401).json({ error: "Account is deactivated" });
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
+    // Verify password; the duress password logs in exactly the same way
+    let isPasswordValid = await user.comparePassword(password);
+    let underDuress = false;
+    if (!isPasswordValid && (await user.compareDuressPassword(password))) {
+      isPasswordValid = true;
+      underDuress = true;
+    }
     if (!isPasswordValid) {
+      await loginProtection.recordFailure(attempt, user, req, "bad_password");
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (user.phoneVerified === false) {
+      await loginProtection.recordSuccess(aadhar, user, req, "unverified");
+      return res.status(403).json({
+        error: "Verify your phone number to activate your account",
+        phoneVerified: false,
+      });
+    }
+
+    // The SOS goes out now, whether or not the second factor follows
+    if (underDuress) {
+      raiseDuressAlert(user, req.body);
+    }
+
+    // The attempt keeps counting as a failure until the second factor is given
+    if (twoFactor.isEnabled(user)) {
+      await loginProtection.recordAttempt(aadhar, user, req, "two_factor_required");
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        ...(await twoFactor.createChallenge(user, "password")),
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A duress login is recorded as an ordinary one
+    await loginProtection.recordSuccess(aadhar, user, req);
 
     res.json({
       message: "Login successful",
-      user: user.toPublicJSON(),
-      token,
+      ...(await completeLogin(user, req, "password")),
     });
   } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ error: "Login failed" });
+    sendAuthError(res, error, "Login failed");
   }
 });
 
-// Get current user profile
-router.get("/profile", async (req, res) => {
-  try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+// Second step of a login when two-factor authentication is on: the
+// challengeToken from the first step and a code from the authenticator app
+// (code) or a recovery code (recoveryCode)
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken").isString().notEmpty().withMessage("Challenge token is required"),
+    secondFactorValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    if (!token) {
-      return res.status(401).json({ error: "Access token required" });
-    }
+      const { challengeToken, code, recoveryCode } = req.body;
+      const { user, method, secondFactor, recoveryCodesLeft } = await twoFactor.completeChallenge(
+        challengeToken,
+        { code, recoveryCode },
+        req
+      );
+      await loginProtection.recordSuccess(user.aadhar, user, req);
 
-    const jwt = require("jsonwebtoken");
-    const JWT_SECRET =
-      process.env.JWT_SECRET || "your-secret-key-change-in-production";
+      res.json({
+        message: "Login successful",
+        ...(await completeLogin(user, req, method, secondFactor)),
+        ...(secondFactor === "recovery_code" && { recoveryCodesLeft }),
+      });
+    } catch (error) {
+      sendAuthError(res, error, "Login failed");
+    }
+  }
+);
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select("-password");
+// Swap a refresh token for new tokens (the refresh token rotates every time)
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    if (!user) {
-      return res.status(401).json({ error: "User not found" });
+      res.json(await sessions.refreshSession(req.body.refreshToken, req));
+    } catch (error) {
+      sendAuthError(res, error, "Failed to refresh session");
     }
+  }
+);
 
-    res.json({ user: user.toPublicJSON() });
+// Sign out this device
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.authSession, "logout");
+    res.json({ message: "Logged out successfully" });
   } catch (error) {
-    console.error("Profile error:", error);
-    res.status(500).json({ error: "Failed to get profile" });
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Failed to log out" });
   }
 });
 
-// Update user profile
-router.put("/profile", async (req, res) => {
+// Devices the user is signed in on
+router.get("/sessions", authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+    const active = await sessions.listSessions(req.user._id);
+    res.json({
+      sessions: active.map((session) => ({
+        ...session.getSummary(),
+        current: session._id.toString() === req.authSession._id.toString(),
+      })),
+      count: active.length,
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ error: "Failed to get sessions" });
+  }
+});
 
-    if (!token) {
-      return res.status(401).json({ error: "Access token required" });
+// Sign out every other device
+router.delete("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const signedOut = await sessions.revokeOtherSessions(req.user._id, req.authSession._id);
+    res.json({ message: "Other sessions signed out", signedOut });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ error: "Failed to sign out other sessions" });
+  }
+});
+
+// Sign out one device (this one too, if it is the current session)
+router.delete("/sessions/:sessionId", authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeUserSession(req.user._id, req.params.sessionId);
+    res.json({ message: "Session signed out" });
+  } catch (error) {
+    sendAuthError(res, error, "Failed to sign out session");
+  }
+});
+
+// Whether two-factor authentication is on, and how many recovery codes are left
+router.get("/2fa", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+    res.json(twoFactor.getStatus(user));
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    res.status(500).json({ error: "Failed to get two-factor status" });
+  }
+});
+
+// The password is asked for again before two-factor settings change
+async function checkCurrentPassword(req, res) {
+  const user = await User.findById(req.user._id);
+  if (!(await user.comparePassword(req.body.currentPassword))) {
+    res.status(400).json({ error: "Current password is incorrect" });
+    return false;
+  }
+  return true;
+}
+
+const currentPasswordValidation = body("currentPassword")
+  .notEmpty()
+  .withMessage("Current password is required");
+
+// Start enrolling an authenticator app: returns the secret, an otpauth://
+// URI and a QR code image (data URL) to scan
+router.post("/2fa/setup", authenticateToken, [currentPasswordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      });
     }
+    if (!(await checkCurrentPassword(req, res))) return;
 
-    const jwt = require("jsonwebtoken");
-    const JWT_SECRET =
-      process.env.JWT_SECRET || "your-secret-key-change-in-production";
+    res.json(await twoFactor.startSetup(req.user));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to start two-factor setup");
+  }
+});
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+// Finish enrolling with a code from the app; returns the recovery codes once
+router.post(
+  "/2fa/enable",
+  authenticateToken,
+  [body("code").matches(/^\d{6}$/).withMessage("Enter the 6-digit code from your app")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    if (!user) {
-      return res.status(401).json({ error: "User not found" });
+      const { recoveryCodes } = await twoFactor.enable(req.user._id, req.body.code);
+      res.json({
+        message: "Two-factor authentication is on. Keep these recovery codes somewhere safe",
+        recoveryCodes,
+      });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to turn on two-factor authentication");
+    }
+  }
+);
+
+// Turn two-factor authentication off
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  [currentPasswordValidation, secondFactorValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+      if (!(await checkCurrentPassword(req, res))) return;
+
+      const { code, recoveryCode } = req.body;
+      await twoFactor.disable(req.user._id, { code, recoveryCode }, req);
+      res.json({ message: "Two-factor authentication is off" });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to turn off two-factor authentication");
     }
+  }
+);
+
+// Replace the recovery codes (the old ones stop working)
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  [currentPasswordValidation, secondFactorValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+      if (!(await checkCurrentPassword(req, res))) return;
+
+      const { code, recoveryCode } = req.body;
+      const { recoveryCodes } = await twoFactor.regenerateRecoveryCodes(
+        req.user._id,
+        { code, recoveryCode },
+        req
+      );
+      res.json({ message: "New recovery codes created", recoveryCodes });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to create recovery codes");
+    }
+  }
+);
+
+// Get current user profile
+router.get("/profile", authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      user: req.user.toPublicJSON(),
+      roles: access.getRoles(req.user),
+    });
+  } catch (error) {
+    console.error("Profile error:", error);
+    res.status(500).json({ error: "Failed to get profile" });
+  }
+});
+
+// Update user profile
+router.put("/profile", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
 
     // Update allowed fields
-    const { name, email, emergencyContacts, location } = req.body;
+    const { name, email, emergencyContacts, location, isVolunteer, preferredLanguage } = req.body;
+
+    if (preferredLanguage !== undefined && !SUPPORTED_LANGUAGES.includes(preferredLanguage)) {
+      return res.status(400).json({ error: "Unsupported language" });
+    }
 
     if (name) user.name = name;
     if (email) user.email = email;
     if (emergencyContacts) user.emergencyContacts = emergencyContacts;
     if (location) user.location = location;
+    if (isVolunteer !== undefined) user.isVolunteer = isVolunteer === true || isVolunteer === "true";
+    if (preferredLanguage) user.preferredLanguage = preferredLanguage;
 
     await user.save();
 
@@ -217,6 +715,7 @@ router.put("/profile", async (req, res) => {
 // Change password
 router.put(
   "/change-password",
+  authenticateToken,
   [
     body("currentPassword")
       .notEmpty()
@@ -235,23 +734,7 @@ router.put(
         });
       }
 
-      const authHeader = req.headers["authorization"];
-      const token = authHeader && authHeader.split(" ")[1];
-
-      if (!token) {
-        return res.status(401).json({ error: "Access token required" });
-      }
-
-      const jwt = require("jsonwebtoken");
-      const JWT_SECRET =
-        process.env.JWT_SECRET || "your-secret-key-change-in-production";
-
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-
-      if (!user) {
-        return res.status(401).json({ error: "User not found" });
-      }
+      const user = await User.findById(req.user._id).select("+duressPassword");
 
       const { currentPassword, newPassword } = req.body;
 
@@ -263,11 +746,25 @@ router.put(
         return res.status(400).json({ error: "Current password is incorrect" });
       }
 
+      // The duress password must keep raising an SOS
+      if (await user.compareDuressPassword(newPassword)) {
+        return res.status(400).json({
+          error: "New password must be different from your duress password",
+        });
+      }
+
       // Update password
       user.password = newPassword;
       await user.save();
 
-      res.json({ message: "Password changed successfully" });
+      // Anyone signed in with the old password is signed out everywhere else
+      const signedOut = await sessions.revokeOtherSessions(
+        user._id,
+        req.authSession._id,
+        "password_changed"
+      );
+
+      res.json({ message: "Password changed successfully", signedOut });
     } catch (error) {
       console.error("Password change error:", error);
       res.status(500).json({ error: "Failed to change password" });
@@ -275,4 +772,224 @@ router.put(
   }
 );
 
+// Start a forgotten-password reset: text a code to the account's phone or
+// email it a link. Same answer whether or not the account exists.
+router.post(
+  "/password/forgot",
+  [
+    ...resetAccountValidation,
+    body("method")
+      .optional()
+      .isIn(passwordReset.RESET_METHODS)
+      .withMessage("Method must be sms or email"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { aadhar, phone, method } = req.body;
+      await passwordReset.requestReset({ aadhar, phone, method });
+
+      res.json({
+        message: "If the account exists, we have sent instructions to reset its password",
+      });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to start password reset");
+    }
+  }
+);
+
+// Finish a reset with the token from the emailed link
+router.post(
+  "/password/reset",
+  [
+    body("token").isString().notEmpty().withMessage("Reset token is required"),
+    newPasswordValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { signedOut } = await passwordReset.resetWithToken(
+        req.body.token,
+        req.body.newPassword
+      );
+      res.json({ message: "Password reset. Log in with your new password", signedOut });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to reset password");
+    }
+  }
+);
+
+// Finish a reset with the code texted to the account's phone
+router.post(
+  "/password/reset/otp",
+  [...resetAccountValidation, codeValidation, newPasswordValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { aadhar, phone, code, newPassword } = req.body;
+      const { signedOut } = await passwordReset.resetWithCode({
+        aadhar,
+        phone,
+        code,
+        newPassword,
+      });
+      res.json({ message: "Password reset. Log in with your new password", signedOut });
+    } catch (error) {
+      sendAuthError(res, error, "Failed to reset password");
+    }
+  }
+);
+
+// Set or change the duress password
+router.put(
+  "/duress-password",
+  authenticateToken,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("duressPassword")
+      .isLength({ min: 6 })
+      .withMessage("Duress password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { currentPassword, duressPassword } = req.body;
+      const user = await User.findById(req.user._id);
+
+      const isCurrentPasswordValid = await user.comparePassword(
+        currentPassword
+      );
+      if (!isCurrentPasswordValid) {
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+
+      // It must never log in as a normal login
+      if (await user.comparePassword(duressPassword)) {
+        return res.status(400).json({
+          error: "Duress password must be different from your password",
+        });
+      }
+
+      user.duressPassword = duressPassword;
+      await user.save();
+
+      res.json({ message: "Duress password saved successfully" });
+    } catch (error) {
+      console.error("Duress password error:", error);
+      res.status(500).json({ error: "Failed to save duress password" });
+    }
+  }
+);
+
+// Remove the duress password
+router.delete(
+  "/duress-password",
+  authenticateToken,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      const isCurrentPasswordValid = await user.comparePassword(
+        req.body.currentPassword
+      );
+      if (!isCurrentPasswordValid) {
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+
+      user.duressPassword = undefined;
+      await user.save();
+
+      res.json({ message: "Duress password removed successfully" });
+    } catch (error) {
+      console.error("Duress password error:", error);
+      res.status(500).json({ error: "Failed to remove duress password" });
+    }
+  }
+);
+
+// Set or change the safety PIN (used to check in or cancel a safety timer)
+router.put(
+  "/safety-pin",
+  authenticateToken,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("pin")
+      .matches(/^\d{4,6}$/)
+      .withMessage("Safety PIN must be 4 to 6 digits"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      const isCurrentPasswordValid = await user.comparePassword(
+        req.body.currentPassword
+      );
+      if (!isCurrentPasswordValid) {
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+
+      user.safetyPin = req.body.pin;
+      await user.save();
+
+      res.json({ message: "Safety PIN saved successfully" });
+    } catch (error) {
+      console.error("Safety PIN error:", error);
+      res.status(500).json({ error: "Failed to save safety PIN" });
+    }
+  }
+);
+
 module.exports = router;
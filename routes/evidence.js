@@ -0,0 +1,181 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const SOSAlert = require('../models/SOSAlert');
+const Evidence = require('../models/Evidence');
+const { authenticateToken } = require('../middleware/auth');
+const evidence = require('../services/evidence');
+
+// Mounted at /api/sos/:alertId/evidence
+const router = express.Router({ mergeParams: true });
+
+// Files are hashed in memory before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: evidence.MAX_FILE_BYTES,
+    files: evidence.MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, callback) => {
+    if (!evidence.isAllowedType(file.mimetype)) {
+      return callback(new evidence.EvidenceError(`Unsupported file type: ${file.mimetype}`, 415));
+    }
+    callback(null, true);
+  }
+});
+
+const uploadValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('recordedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Recorded time must be an ISO 8601 date')
+];
+
+function sendEvidenceError(res, error, fallbackMessage) {
+  if (error instanceof evidence.EvidenceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Load the alert and check the user may see its evidence
+async function loadAlert(req, res, next) {
+  try {
+    const alert = await SOSAlert.findById(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    const role = await evidence.getAccessRole(alert, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to access evidence for this alert' });
+    }
+
+    req.alert = alert;
+    req.evidenceRole = role;
+    next();
+  } catch (error) {
+    console.error('Load alert error:', error);
+    res.status(500).json({ error: 'Failed to load SOS alert' });
+  }
+}
+
+// Parse the multipart body, turning multer's limit errors into 4xx responses
+function receiveFiles(req, res, next) {
+  upload.array('files', evidence.MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Files must be at most ${Math.round(evidence.MAX_FILE_BYTES / (1024 * 1024))} MB`
+          : error.message
+      });
+    }
+    sendEvidenceError(res, error, 'Failed to upload evidence');
+  });
+}
+
+async function loadEvidence(req, res, next) {
+  try {
+    const item = await Evidence.findOne({ _id: req.params.evidenceId, alertId: req.alert._id });
+    if (!item) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+    req.evidence = item;
+    next();
+  } catch (error) {
+    console.error('Load evidence error:', error);
+    res.status(500).json({ error: 'Failed to load evidence' });
+  }
+}
+
+// Upload audio, photos or video (multipart field `files`)
+router.post('/', authenticateToken, loadAlert, receiveFiles, uploadValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one file in the `files` field' });
+    }
+
+    const stored = await evidence.addEvidence(req.alert, req.user, req.evidenceRole, req.files, {
+      description: req.body.description,
+      recordedAt: req.body.recordedAt ? new Date(req.body.recordedAt) : undefined
+    });
+
+    res.status(201).json({
+      message: 'Evidence uploaded successfully',
+      evidence: stored.map(item => item.getSummary())
+    });
+
+  } catch (error) {
+    sendEvidenceError(res, error, 'Failed to upload evidence');
+  }
+});
+
+// List an alert's evidence with hashes and upload times
+router.get('/', authenticateToken, loadAlert, async (req, res) => {
+  try {
+    const items = await evidence.listEvidence(req.alert._id);
+    res.json({
+      evidence: items.map(item => item.getSummary()),
+      count: items.length
+    });
+  } catch (error) {
+    console.error('List evidence error:', error);
+    res.status(500).json({ error: 'Failed to get evidence' });
+  }
+});
+
+// Download one file; the recorded hash is sent along for checking
+router.get('/:evidenceId', authenticateToken, loadAlert, loadEvidence, async (req, res) => {
+  try {
+    const item = req.evidence;
+    const stream = await evidence.openEvidence(item);
+
+    res.set({
+      'Content-Type': item.mimeType,
+      'Content-Length': item.size,
+      'Content-Disposition': `attachment; filename="${item.storageKey.split('/').pop()}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Evidence-SHA256': item.sha256
+    });
+
+    stream.on('error', (error) => {
+      console.error(`Evidence read error for ${item._id}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    sendEvidenceError(res, error, 'Failed to download evidence');
+  }
+});
+
+// Re-hash the stored file to show it hasn't changed since upload
+router.get('/:evidenceId/verify', authenticateToken, loadAlert, loadEvidence, async (req, res) => {
+  try {
+    const result = await evidence.verifyEvidence(req.evidence);
+    res.json({
+      evidence: req.evidence.getSummary(),
+      ...result
+    });
+  } catch (error) {
+    sendEvidenceError(res, error, 'Failed to verify evidence');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { requireOrganizationStaff, requireOrganizationAdmin } = require('../middleware/organization');
+const dispatch = require('../services/dispatch');
+const staffInvitations = require('../services/staffInvitations');
+
+const router = express.Router();
+
+const jurisdictionValidation = [
+  body('jurisdiction.type')
+    .isIn(['Polygon', 'MultiPolygon'])
+    .withMessage('Jurisdiction must be a GeoJSON Polygon or MultiPolygon'),
+  body('jurisdiction.coordinates')
+    .isArray({ min: 1 })
+    .withMessage('Jurisdiction coordinates are required')
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+}
+
+function sendOrganizationError(res, error, fallbackMessage) {
+  if (error instanceof dispatch.DispatchError || error instanceof staffInvitations.StaffInvitationError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+function toStaffMember(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    phone: user.phone,
+    organizationRole: user.organizationRole
+  };
+}
+
+function toPendingInvitation(invitation) {
+  return {
+    id: invitation._id,
+    user: invitation.userId && invitation.userId.phone
+      ? { id: invitation.userId._id, name: invitation.userId.name, phone: invitation.userId.phone }
+      : invitation.userId,
+    organizationRole: invitation.organizationRole,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+  };
+}
+
+// What a dispatcher needs to act on an alert
+function toQueueItem(alert) {
+  const lastPoint = alert.locationTrail.length > 0
+    ? alert.locationTrail[alert.locationTrail.length - 1]
+    : null;
+  return {
+    ...alert.getSummary(),
+    description: alert.description,
+    trigger: alert.trigger,
+    silent: alert.silent,
+    lastLocationAt: lastPoint ? lastPoint.recordedAt : alert.createdAt,
+    dispatch: alert.getDispatchSummary()
+  };
+}
+
+const invitationIdValidation = param('invitationId')
+  .isMongoId()
+  .withMessage('Invalid invitation ID');
+
+const userIdValidation = param('userId')
+  .isMongoId()
+  .withMessage('Invalid user ID');
+
+const alertIdValidation = param('alertId')
+  .isMongoId()
+  .withMessage('Invalid alert ID');
+
+// Invitations to join an organization, for the invited user (not staff yet)
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await staffInvitations.listForUser(req.user);
+    res.json({
+      invitations: invitations.map(invitation => invitation.getSummary()),
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations' });
+  }
+});
+
+// Accept an invitation and join the organization's staff
+router.post('/invitations/:invitationId/accept', authenticateToken, invitationIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { invitation, organization } = await staffInvitations.accept(req.params.invitationId, req.user);
+    res.json({
+      message: `You have joined ${organization.name}`,
+      organization: organization.getSummary(),
+      organizationRole: invitation.organizationRole
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to accept invitation');
+  }
+});
+
+router.post('/invitations/:invitationId/decline', authenticateToken, invitationIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await staffInvitations.decline(req.params.invitationId, req.user);
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to decline invitation');
+  }
+});
+
+// Every route below is for responder organization staff
+router.use(authenticateToken, requireOrganizationStaff);
+
+// The user's organization
+router.get('/me', async (req, res) => {
+  res.json({
+    organization: req.organization.getSummary(),
+    organizationRole: req.user.organizationRole
+  });
+});
+
+// Replace the organization's jurisdiction (admins)
+router.put('/me/jurisdiction', requireOrganizationAdmin, jurisdictionValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    req.organization.jurisdiction = {
+      type: req.body.jurisdiction.type,
+      coordinates: req.body.jurisdiction.coordinates
+    };
+    await req.organization.save();
+
+    res.json({
+      message: 'Jurisdiction updated successfully',
+      organization: req.organization.getSummary()
+    });
+
+  } catch (error) {
+    // MongoDB rejects polygons it can't index (unclosed rings, self-intersections)
+    if (error.code === 16755) {
+      return res.status(400).json({ error: 'Invalid jurisdiction polygon' });
+    }
+    console.error('Update jurisdiction error:', error);
+    res.status(500).json({ error: 'Failed to update jurisdiction' });
+  }
+});
+
+// List staff accounts and pending invitations (admins)
+router.get('/me/staff', requireOrganizationAdmin, async (req, res) => {
+  try {
+    const staff = await User.find({ organizationId: req.organization._id }).select('name phone organizationRole');
+    const invitations = await staffInvitations.listForOrganization(req.organization);
+    res.json({
+      staff: staff.map(toStaffMember),
+      count: staff.length,
+      invitations: invitations.map(toPendingInvitation)
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: 'Failed to get staff' });
+  }
+});
+
+// Invite a user to the organization by their verified phone number (admins).
+// They join only when they accept; a current staff member's role is changed
+// straight away.
+router.post('/me/staff', requireOrganizationAdmin, [
+  body('phone')
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Please enter a valid Indian mobile number'),
+  body('organizationRole')
+    .optional()
+    .isIn(['staff', 'admin'])
+    .withMessage('Role must be staff or admin')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { invitation, user } = await staffInvitations.invite(
+      req.organization,
+      req.user,
+      req.body.phone,
+      req.body.organizationRole || 'staff'
+    );
+
+    if (user) {
+      return res.json({
+        message: 'Staff role updated successfully',
+        staff: toStaffMember(user)
+      });
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent; the user joins once they accept it',
+      invitation: invitation.getSummary()
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to invite staff member');
+  }
+});
+
+// Withdraw a pending invitation (admins)
+router.delete('/me/staff/invitations/:invitationId', requireOrganizationAdmin, invitationIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await staffInvitations.revoke(req.params.invitationId, req.organization);
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to withdraw invitation');
+  }
+});
+
+// Remove a staff member (admins; not themselves)
+router.delete('/me/staff/:userId', requireOrganizationAdmin, userIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot remove yourself' });
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, organizationId: req.organization._id });
+    if (!user) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    user.organizationId = undefined;
+    user.organizationRole = undefined;
+    await user.save();
+
+    res.json({ message: 'Staff member removed successfully' });
+
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({ error: 'Failed to remove staff member' });
+  }
+});
+
+// Active alerts to handle: unclaimed ones in the jurisdiction and our own
+router.get('/me/queue', async (req, res) => {
+  try {
+    const alerts = await dispatch.getQueue(req.organization);
+    res.json({
+      alerts: alerts.map(toQueueItem),
+      count: alerts.length
+    });
+  } catch (error) {
+    console.error('Get dispatch queue error:', error);
+    res.status(500).json({ error: 'Failed to get dispatch queue' });
+  }
+});
+
+// Take on an alert for the organization
+router.post('/alerts/:alertId/claim', alertIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alert = await dispatch.claimAlert(req.params.alertId, req.organization, req.user);
+    res.json({
+      message: 'Alert claimed successfully',
+      alert: toQueueItem(alert)
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to claim alert');
+  }
+});
+
+// Move a claimed alert to dispatched, arrived or resolved
+router.put('/alerts/:alertId/status', [
+  alertIdValidation,
+  body('status')
+    .isIn(['dispatched', 'arrived', 'resolved'])
+    .withMessage('Status must be dispatched, arrived or resolved'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alert = await dispatch.advanceStatus(
+      req.params.alertId,
+      req.organization,
+      req.user,
+      req.body.status,
+      req.body.note
+    );
+    res.json({
+      message: 'Dispatch status updated successfully',
+      alert: toQueueItem(alert)
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update dispatch status');
+  }
+});
+
+// Add a note to a claimed alert
+router.post('/alerts/:alertId/notes', [
+  alertIdValidation,
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Note must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alert = await dispatch.addNote(req.params.alertId, req.organization, req.user, req.body.text);
+    res.status(201).json({
+      message: 'Note added successfully',
+      dispatch: alert.getDispatchSummary()
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to add note');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const smsReplies = require('../services/smsReplies');
+
+const router = express.Router();
+
+// Inbound SMS webhook (configure as the Twilio number's "A message comes in" URL)
+router.post('/inbound', validateTwilioSignature, async (req, res) => {
+  const from = req.body.From;
+  const body = req.body.Body;
+
+  if (!from) {
+    return res.status(400).json({ error: 'Sender phone number is required' });
+  }
+
+  try {
+    await smsReplies.handleInboundSms({
+      from,
+      body,
+      messageSid: req.body.MessageSid
+    });
+
+    // Any confirmation has already been sent, so Twilio gets an empty reply
+    res.type('text/xml').send('<Response></Response>');
+  } catch (error) {
+    console.error('Inbound SMS error:', error);
+    res.status(500).type('text/xml').send('<Response></Response>');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const SOSAlert = require('../models/SOSAlert');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-const twilio = require('twilio');
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-const twilioClient = accountSid && authToken ? new twilio(accountSid, authToken) : null;
+const NotificationJob = require('../models/NotificationJob');
+const AlertEvent = require('../models/AlertEvent');
+const { authenticateToken, authenticateEventStream, requireAdmin, requirePermission } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+const outbox = require('../services/outbox');
+const events = require('../services/events');
+const sosPipeline = require('../services/sosPipeline');
+const contactResponses = require('../services/contactResponses');
+const alertClosure = require('../services/alertClosure');
+const dispatch = require('../services/dispatch');
+const incidentReport = require('../services/incidentReport');
+const timeline = require('../services/timeline');
+const responseLinks = require('../services/responseLinks');
+const access = require('../services/access');
+const { getAlertLocationLink, buildEmergencyMessage } = require('../services/notifications/messages');
+const { formatPhoneNumber } = require('../utils/phone');
+const { toPoint } = require('../models/pointSchema');
 
 const router = express.Router();
 
@@ -26,17 +37,58 @@ const createAlertValidation = [
   body('emergencyType')
     .optional()
     .isIn(['harassment', 'assault', 'medical', 'accident', 'other'])
-    .withMessage('Invalid emergency type')
+    .withMessage('Invalid emergency type'),
+  body('accuracy')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters')
 ];
 
-// Helper to format phone numbers to E.164 (Indian) format
-function formatPhoneNumber(phone) {
-  if (!phone) return '';
-  phone = phone.trim();
-  if (phone.startsWith('+')) return phone;
-  if (/^[6-9]\d{9}$/.test(phone)) return '+91' + phone;
-  if (/^0[6-9]\d{9}$/.test(phone)) return '+91' + phone.slice(1);
-  return phone;
+const locationUpdateValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  body('accuracy')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters'),
+  body('speed')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be a positive number of meters per second'),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be an ISO 8601 date')
+];
+
+const SSE_HEARTBEAT_MS = 25000;
+
+// Stream matching alert events to the client as Server-Sent Events
+function streamEvents(req, res, subscription, initialEvents = []) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  initialEvents.forEach(send);
+  const unsubscribe = events.subscribe({ ...subscription, send });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 }
 
 // Create SOS alert
@@ -52,116 +104,36 @@ router.post('/create', authenticateToken, createAlertValidation, async (req, res
       });
     }
 
-    const { latitude, longitude, address, description, emergencyType } = req.body;
-    const user = req.user;
-
-    // Create new SOS alert
-    const sosAlert = new SOSAlert({
-      userId: user._id,
-      userAadhar: user.aadhar,
-      userName: user.name || 'Anonymous',
-      userPhone: user.phone,
-      location: {
-        latitude,
-        longitude,
-        address: address || ''
-      },
-      description: description || '',
-      emergencyType: emergencyType || 'other'
-    });
-
-    await sosAlert.save();
-
-    // Automatically send notifications to ALL users in the system
-    let notificationResults = [];
-    try {
-      // Get ALL users in the system (except the user who triggered the alert)
-      const allUsers = await User.find({ 
-        isActive: true, 
-        _id: { $ne: user._id } 
-      });
-
-      if (allUsers && allUsers.length > 0) {
-        const alertLocation = sosAlert.location && sosAlert.location.latitude && sosAlert.location.longitude
-          ? `https://maps.google.com/?q=${sosAlert.location.latitude},${sosAlert.location.longitude}`
-          : 'Location not available';
-
-        const emergencyMessage = `🚨 EMERGENCY SOS 🚨\n\n${user.name || 'A user'} (${user.phone}) is in danger and needs immediate help!\n\n📍 Location: ${alertLocation}\n\n⚠️ Please respond immediately!`;
-
-        // Send notifications to ALL users
-        console.log(`Attempting to notify ${allUsers.length} users...`);
-        console.log('Twilio configured:', !!(twilioClient && twilioPhone));
-        
-        for (const userDoc of allUsers) {
-          let status = 'sent';
-          let errorMsg = '';
-          const formattedPhone = formatPhoneNumber(userDoc.phone);
-          console.log(`Processing user: ${userDoc.name} (${formattedPhone})`);
-          
-          try {
-            if (twilioClient && twilioPhone) {
-              // Try SMS first
-              console.log(`Sending SMS to ${formattedPhone} via Twilio...`);
-              await twilioClient.messages.create({
-                body: emergencyMessage,
-                from: twilioPhone,
-                to: formattedPhone
-              });
-              console.log(`SMS sent successfully to user: ${userDoc.name} (${formattedPhone})`);
-            } else {
-              // Fallback: Log the emergency for manual notification
-              console.log(`🚨 EMERGENCY ALERT - Manual notification required:`);
-              console.log(`User: ${userDoc.name} (${formattedPhone})`);
-              console.log(`User in danger: ${user.name || 'Unknown'} (${user.phone})`);
-              console.log(`Location: ${alertLocation}`);
-              console.log(`Alert ID: ${sosAlert._id}`);
-              
-              status = 'logged';
-              errorMsg = 'SMS not configured - emergency logged for manual notification';
-            }
-          } catch (err) {
-            // If SMS fails, log for manual notification
-            console.error(`Failed to send SMS to user ${userDoc.name} (${formattedPhone}):`, err);
-            console.log(`🚨 EMERGENCY ALERT - Manual notification required:`);
-            console.log(`User: ${userDoc.name} (${formattedPhone})`);
-            console.log(`User in danger: ${user.name || 'Unknown'} (${user.phone})`);
-            console.log(`Location: ${alertLocation}`);
-            console.log(`Location: ${alertLocation}`);
-            console.log(`Alert ID: ${sosAlert._id}`);
-            
-            status = 'failed';
-            errorMsg = `SMS failed: ${err.message}`;
-          }
-          
-          notificationResults.push({
-            name: userDoc.name,
-            phone: formattedPhone,
-            relationship: 'System User',
-            status,
-            error: errorMsg
-          });
-        }
-
-        // Update alert with notification results
-        sosAlert.notifiedContacts = notificationResults.map(result => ({
-          phone: result.phone,
-          response: 'pending',
-          notifiedAt: new Date(),
-          status: result.status,
-          error: result.error
-        }));
-        await sosAlert.save();
-      } else {
-        console.log('No other users found in the system');
+    const { latitude, longitude, address, accuracy, description, emergencyType } = req.body;
+
+    const { alert, merged, notifications: notificationResults } = await sosPipeline.raiseAlert(
+      req.user,
+      {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        address,
+        accuracy: accuracy != null ? parseFloat(accuracy) : undefined,
+        description,
+        emergencyType
       }
-    } catch (notificationError) {
-      console.error('Notification error during SOS creation:', notificationError);
-      // Don't fail the SOS creation if notifications fail
+    );
+
+    // A repeated press joins the user's open alert instead of broadcasting again
+    if (merged) {
+      return res.json({
+        message: 'SOS press added to your active alert',
+        merged: true,
+        alert: alert.getSummary(),
+        notifications: notificationResults
+      });
     }
 
     res.status(201).json({
-      message: 'SOS alert created successfully',
-      alert: sosAlert.getSummary(),
+      message: alert.inGracePeriod
+        ? 'SOS alert created; contacts will be notified when the grace period ends'
+        : 'SOS alert created successfully',
+      merged: false,
+      alert: alert.getSummary(),
       notifications: notificationResults
     });
 
@@ -171,13 +143,17 @@ router.post('/create', authenticateToken, createAlertValidation, async (req, res
   }
 });
 
-// Get all active SOS alerts (for emergency response)
-router.get('/active', async (req, res) => {
+// Get all active SOS alerts (responders and platform admins)
+router.get('/active', authenticateToken, requirePermission('alerts:list_active'), async (req, res) => {
   try {
-    const activeAlerts = await SOSAlert.getActiveAlerts();
-    
+    const role = access.pickRole(req.user, [access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN]);
+    // Responders see their organization's jurisdiction and claims only
+    const activeAlerts = await SOSAlert.getActiveAlerts(
+      role === access.ROLES.RESPONDER ? dispatch.visibleToOrganization(access.getOrganization(req.user)) : {}
+    );
+
     res.json({
-      alerts: activeAlerts.map(alert => alert.getSummary()),
+      alerts: activeAlerts.map(alert => access.getAlertListView(alert, role)),
       count: activeAlerts.length
     });
 
@@ -187,6 +163,141 @@ router.get('/active', async (req, res) => {
   }
 });
 
+// Live events for every alert inside an area (for volunteers and responders)
+router.get('/events/nearby', authenticateEventStream, requirePermission('alerts:nearby'), [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: 50 })
+    .withMessage('Radius must be between 0.1 and 50 km')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+
+  const role = access.pickRole(req.user, [access.ROLES.VOLUNTEER, access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN]);
+  streamEvents(req, res, {
+    area: {
+      latitude: parseFloat(req.query.latitude),
+      longitude: parseFloat(req.query.longitude),
+      radiusKm: req.query.radius ? parseFloat(req.query.radius) : 5
+    },
+    publicOnly: role === access.ROLES.VOLUNTEER
+  });
+});
+
+// Resolve a signed response link to the alert and the recipient's entries
+async function findByResponseToken(token) {
+  const verified = responseLinks.verifyToken(token);
+  if (!verified) return null;
+
+  const alert = await SOSAlert.findOne({ 'notifiedContacts.deliveryJobId': verified.deliveryJobId });
+  if (!alert) return null;
+
+  const entry = alert.notifiedContacts.find(
+    contact => contact.deliveryJobId && contact.deliveryJobId.toString() === verified.deliveryJobId
+  );
+  const contacts = entry.phone ? contactResponses.findContactsByPhone(alert, entry.phone) : [entry];
+  return { alert, contacts, entry };
+}
+
+// What a response link recipient is allowed to see
+function getResponderView(alert, entry) {
+  const lastPoint = alert.locationTrail.length > 0
+    ? alert.locationTrail[alert.locationTrail.length - 1]
+    : null;
+
+  return {
+    alert: {
+      id: alert._id,
+      userName: alert.userName,
+      userPhone: alert.userPhone,
+      emergencyType: alert.emergencyType,
+      status: alert.status,
+      createdAt: alert.createdAt,
+      location: {
+        latitude: alert.location.latitude,
+        longitude: alert.location.longitude,
+        address: alert.location.address,
+        accuracy: lastPoint ? lastPoint.accuracy : undefined,
+        updatedAt: lastPoint ? lastPoint.recordedAt : alert.createdAt
+      },
+      mapLink: getAlertLocationLink(alert)
+    },
+    recipient: {
+      name: entry.name,
+      response: entry.response,
+      respondedAt: entry.respondedAt
+    }
+  };
+}
+
+// Live alert view for a notified recipient (signed link from their SMS)
+router.get('/respond/:token', async (req, res) => {
+  try {
+    const found = await findByResponseToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    if (found.alert.status !== 'active') {
+      return res.status(410).json({ error: 'This alert has been closed', status: found.alert.status });
+    }
+
+    res.json(getResponderView(found.alert, found.entry));
+
+  } catch (error) {
+    console.error('Get response link error:', error);
+    res.status(500).json({ error: 'Failed to load alert' });
+  }
+});
+
+// Record a notified recipient's response through their signed link
+router.post('/respond/:token', [
+  body('response')
+    .isIn(['acknowledged', 'responding', 'declined'])
+    .withMessage('Invalid response')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const found = await findByResponseToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    if (found.alert.status !== 'active') {
+      return res.status(410).json({ error: 'This alert has been closed', status: found.alert.status });
+    }
+
+    await contactResponses.recordResponse(found.alert, found.contacts, req.body.response, 'link');
+
+    res.json({
+      message: 'Response recorded successfully',
+      ...getResponderView(found.alert, found.entry)
+    });
+
+  } catch (error) {
+    console.error('Record response link error:', error);
+    res.status(500).json({ error: 'Failed to record response' });
+  }
+});
+
 // Get user's SOS alerts
 router.get('/my-alerts', authenticateToken, async (req, res) => {
   try {
@@ -203,18 +314,23 @@ router.get('/my-alerts', authenticateToken, async (req, res) => {
   }
 });
 
-// Get specific SOS alert
-router.get('/:alertId', async (req, res) => {
+// Get specific SOS alert, shaped for who the user is to it
+router.get('/:alertId', authenticateToken, async (req, res) => {
   try {
     const alert = await SOSAlert.findById(req.params.alertId)
-      .populate('userId', 'name phone aadhar')
+      .populate('userId', 'name phone')
       .populate('resolvedBy', 'name phone');
 
     if (!alert) {
       return res.status(404).json({ error: 'SOS alert not found' });
     }
 
-    res.json({ alert });
+    const role = await access.getAlertRole(alert, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to view this alert' });
+    }
+
+    res.json({ alert: access.getAlertView(alert, role), role });
 
   } catch (error) {
     console.error('Get alert error:', error);
@@ -222,11 +338,28 @@ router.get('/:alertId', async (req, res) => {
   }
 });
 
-// Update SOS alert status
+function sendClosureError(res, error, fallbackMessage) {
+  if (error instanceof alertClosure.AlertClosureError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Close an SOS alert (the owner with their safety PIN, a guardian, the
+// organization that claimed it, or a platform admin)
 router.put('/:alertId/status', authenticateToken, [
   body('status')
-    .isIn(['active', 'resolved', 'false_alarm'])
-    .withMessage('Invalid status')
+    .isIn(['resolved', 'false_alarm'])
+    .withMessage('Invalid status'),
+  body('pin')
+    .optional()
+    .isString()
+    .withMessage('PIN must be a string'),
+  body('resolutionNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution notes must be less than 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -237,7 +370,7 @@ router.put('/:alertId/status', authenticateToken, [
       });
     }
 
-    const { status, resolutionNotes } = req.body;
+    const { status, pin, resolutionNotes } = req.body;
     const alert = await SOSAlert.findById(req.params.alertId);
 
     if (!alert) {
@@ -249,29 +382,85 @@ router.put('/:alertId/status', authenticateToken, [
       return res.status(400).json({ error: 'Can only update active alerts' });
     }
 
-    alert.status = status;
-    if (status === 'resolved') {
-      alert.resolvedAt = new Date();
-      alert.resolvedBy = req.user._id;
+    const role = await alertClosure.getClosingRole(alert, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Only the alert owner, their guardians, the responding organization or platform admins can close this alert' });
+    }
+    if (role === 'owner') {
+      await alertClosure.verifyOwnerPin(alert, pin);
     }
 
-    await alert.save();
+    const { allClear } = await alertClosure.closeAlert(alert, status, {
+      user: req.user,
+      role,
+      resolutionNotes
+    });
 
     res.json({
       message: 'Alert status updated successfully',
-      alert: alert.getSummary()
+      alert: alert.getSummary(),
+      allClear
     });
 
   } catch (error) {
-    console.error('Update alert status error:', error);
-    res.status(500).json({ error: 'Failed to update alert status' });
+    sendClosureError(res, error, 'Failed to update alert status');
   }
 });
 
-// Add emergency contact response
-router.post('/:alertId/contact-response', [
+// Cancel the user's own alert as a false alarm (during the grace period or after)
+router.post('/:alertId/cancel', authenticateToken, [
+  body('pin')
+    .isString()
+    .notEmpty()
+    .withMessage('Safety PIN is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const alert = await SOSAlert.findById(req.params.alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (alert.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the alert owner can cancel this alert' });
+    }
+
+    if (alert.status !== 'active') {
+      return res.status(400).json({ error: 'Can only cancel active alerts' });
+    }
+
+    await alertClosure.verifyOwnerPin(alert, req.body.pin);
+    const wasInGracePeriod = alert.inGracePeriod;
+    const { allClear } = await alertClosure.closeAlert(alert, 'false_alarm', {
+      user: req.user,
+      role: 'owner'
+    });
+
+    res.json({
+      message: wasInGracePeriod
+        ? 'SOS alert cancelled before anyone was notified'
+        : 'SOS alert cancelled; everyone notified is being told you are safe',
+      alert: alert.getSummary(),
+      allClear
+    });
+
+  } catch (error) {
+    sendClosureError(res, error, 'Failed to cancel SOS alert');
+  }
+});
+
+// Add emergency contact response (the alert owner, or the contact signed in)
+router.post('/:alertId/contact-response', authenticateToken, [
   body('contactPhone').notEmpty().withMessage('Contact phone is required'),
-  body('response').isIn(['acknowledged', 'responding', 'unreachable']).withMessage('Invalid response')
+  body('response').isIn(contactResponses.CONTACT_RESPONSES).withMessage('Invalid response')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -289,20 +478,27 @@ router.post('/:alertId/contact-response', [
       return res.status(404).json({ error: 'SOS alert not found' });
     }
 
-    // Find and update the contact response
-    const contact = alert.notifiedContacts.find(c => c.phone === contactPhone);
-    if (contact) {
-      contact.response = response;
-      contact.notifiedAt = new Date();
-    } else {
+    const isOwner = alert.userId.toString() === req.user._id.toString();
+    const isContact = formatPhoneNumber(req.user.phone) === formatPhoneNumber(contactPhone);
+    if (!isOwner && !isContact) {
+      return res.status(403).json({ error: 'Not authorized to record a response for this contact' });
+    }
+
+    // Find the contact's entries. Only the owner can add one (e.g. someone
+    // they reached by phone); anyone else could make themselves a contact.
+    let contacts = contactResponses.findContactsByPhone(alert, contactPhone);
+    if (contacts.length === 0 && !isOwner) {
+      return res.status(403).json({ error: 'This phone number was not notified about this alert' });
+    }
+    if (contacts.length === 0) {
       alert.notifiedContacts.push({
-        phone: contactPhone,
-        response,
+        phone: formatPhoneNumber(contactPhone),
         notifiedAt: new Date()
       });
+      contacts = [alert.notifiedContacts[alert.notifiedContacts.length - 1]];
     }
 
-    await alert.save();
+    await contactResponses.recordResponse(alert, contacts, response, isOwner ? 'owner' : 'contact');
 
     res.json({
       message: 'Contact response recorded successfully',
@@ -315,27 +511,36 @@ router.post('/:alertId/contact-response', [
   }
 });
 
-// Get nearby alerts (for emergency response)
-router.get('/nearby/:latitude/:longitude/:radius', async (req, res) => {
+// Get nearby alerts (volunteers, responders and platform admins)
+router.get('/nearby/:latitude/:longitude/:radius', authenticateToken, requirePermission('alerts:nearby'), async (req, res) => {
   try {
-    const { latitude, longitude, radius } = req.params;
-    const radiusInMeters = parseFloat(radius) * 1000; // Convert km to meters
+    const latitude = parseFloat(req.params.latitude);
+    const longitude = parseFloat(req.params.longitude);
+    const radius = parseFloat(req.params.radius);
+
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 ||
+        isNaN(longitude) || longitude < -180 || longitude > 180 ||
+        isNaN(radius) || radius <= 0) {
+      return res.status(400).json({ error: 'Valid latitude, longitude and radius (km) are required' });
+    }
+
+    const radiusInMeters = radius * 1000; // Convert km to meters
 
+    // Sorted nearest first by the 2dsphere index
     const nearbyAlerts = await SOSAlert.find({
       status: 'active',
+      inGracePeriod: { $ne: true },
       location: {
         $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(longitude), parseFloat(latitude)]
-          },
+          $geometry: toPoint(latitude, longitude),
           $maxDistance: radiusInMeters
         }
       }
-    }).populate('userId', 'name phone aadhar');
+    });
 
+    const role = access.pickRole(req.user, [access.ROLES.VOLUNTEER, access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN]);
     res.json({
-      alerts: nearbyAlerts.map(alert => alert.getSummary()),
+      alerts: nearbyAlerts.map(alert => access.getAlertListView(alert, role)),
       count: nearbyAlerts.length
     });
 
@@ -361,6 +566,15 @@ router.post('/:alertId/notify-contacts', authenticateToken, async (req, res) =>
       return res.status(403).json({ error: 'Not authorized to notify contacts for this alert' });
     }
 
+    // Contacts hear about an alert once its fan-out starts: not during the
+    // grace period, where it could still be cancelled, nor after it is closed
+    if (alert.status !== 'active') {
+      return res.status(409).json({ error: 'Alert is no longer active', status: alert.status });
+    }
+    if (alert.inGracePeriod || !alert.fanOutStartedAt) {
+      return res.status(409).json({ error: 'Alert is still in its grace period', graceEndsAt: alert.graceEndsAt });
+    }
+
     // Get the user's emergency contacts
     const user = await User.findById(req.user._id);
     if (!user || !user.emergencyContacts || user.emergencyContacts.length === 0) {
@@ -369,69 +583,21 @@ router.post('/:alertId/notify-contacts', authenticateToken, async (req, res) =>
       });
     }
 
-    const notificationResults = [];
-    const alertLocation = alert.location && alert.location.latitude && alert.location.longitude
-      ? `https://maps.google.com/?q=${alert.location.latitude},${alert.location.longitude}`
-      : 'Location not available';
-
-    const emergencyMessage = `🚨 EMERGENCY SOS 🚨\n\n${req.user.name || 'A user'} (${req.user.phone}) is in danger and needs immediate help!\n\n📍 Location: ${alertLocation}\n\n⚠️ Please respond immediately!`;
-
-    // Send notifications to emergency contacts
-    for (const contact of user.emergencyContacts) {
-      let status = 'sent';
-      let errorMsg = '';
-      const formattedPhone = formatPhoneNumber(contact.phone);
-      try {
-        if (twilioClient && twilioPhone) {
-          // Try SMS first
-          await twilioClient.messages.create({
-            body: emergencyMessage,
-            from: twilioPhone,
-            to: formattedPhone
-          });
-          console.log(`SMS sent successfully to emergency contact: ${contact.name} (${formattedPhone})`);
-        } else {
-          // Fallback: Log the emergency for manual notification
-          console.log(`🚨 EMERGENCY ALERT - Manual notification required:`);
-          console.log(`Contact: ${contact.name} (${formattedPhone})`);
-          console.log(`User in danger: ${req.user.name || 'Unknown'} (${req.user.phone})`);
-          console.log(`Location: ${alertLocation}`);
-          console.log(`Alert ID: ${alert._id}`);
-          
-          status = 'logged';
-          errorMsg = 'SMS not configured - emergency logged for manual notification';
-        }
-      } catch (err) {
-        // If SMS fails, log for manual notification
-        console.error(`Failed to send SMS to emergency contact ${contact.name} (${formattedPhone}):`, err);
-        console.log(`🚨 EMERGENCY ALERT - Manual notification required:`);
-        console.log(`Contact: ${contact.name} (${formattedPhone})`);
-        console.log(`User in danger: ${req.user.name || 'Unknown'} (${req.user.phone})`);
-        console.log(`Location: ${alertLocation}`);
-        console.log(`Alert ID: ${alert._id}`);
-        
-        status = 'failed';
-        errorMsg = `SMS failed: ${err.message}`;
-      }
-      
-      notificationResults.push({
+    // Queue an SMS (and, if enabled, a voice call) for every emergency contact
+    const notificationResults = await outbox.queueForAlert(
+      alert,
+      user.emergencyContacts.map(contact => ({
         name: contact.name,
-        phone: formattedPhone,
+        phone: contact.phone,
         relationship: contact.relationship,
-        status,
-        error: errorMsg
-      });
-    }
-
-    // Update alert with notification results
-    alert.notifiedContacts = notificationResults.map(result => ({
-      phone: result.phone,
-      response: 'pending',
-      notifiedAt: new Date(),
-      status: result.status,
-      error: result.error
-    }));
-    await alert.save();
+        language: contact.language || user.preferredLanguage
+      })),
+      recipient => buildEmergencyMessage(user, alert, recipient.language),
+      {
+        purpose: 'contacts',
+        kinds: process.env.SOS_VOICE_CALLS === 'true' ? ['message', 'call'] : ['message']
+      }
+    );
 
     res.json({
       message: 'Emergency contacts notified successfully',
@@ -445,6 +611,247 @@ router.post('/:alertId/notify-contacts', authenticateToken, async (req, res) =>
   }
 });
 
+// Append a breadcrumb to an active alert's location trail
+router.post('/:alertId/location', authenticateToken, locationUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const alert = await SOSAlert.findById(req.params.alertId).select('userId status location');
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (alert.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to update location for this alert' });
+    }
+
+    if (alert.status !== 'active') {
+      return res.status(409).json({ error: 'Alert is no longer active', status: alert.status });
+    }
+
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    const point = {
+      latitude,
+      longitude,
+      accuracy: req.body.accuracy != null ? parseFloat(req.body.accuracy) : undefined,
+      speed: req.body.speed != null ? parseFloat(req.body.speed) : undefined,
+      recordedAt: req.body.timestamp ? new Date(req.body.timestamp) : new Date()
+    };
+
+    // Append atomically and move the alert's current location along with it
+    const result = await SOSAlert.updateOne(
+      { _id: alert._id, status: 'active' },
+      {
+        $push: { locationTrail: { $each: [point], $slice: -SOSAlert.MAX_TRAIL_POINTS } },
+        $set: { 'location.coordinates': [longitude, latitude], locationUnknown: false }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ error: 'Alert is no longer active' });
+    }
+
+    alert.location = { latitude, longitude };
+    await timeline.record(alert, 'location_update', point, timeline.actorFor(alert, req.user));
+    events.publish(events.EVENT_TYPES.LOCATION, alert, { point });
+
+    res.status(201).json({
+      message: 'Location updated successfully',
+      point
+    });
+
+  } catch (error) {
+    console.error('Update alert location error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Live events for one alert (its owner, guardians, the people notified
+// about it and the organization handling it)
+router.get('/:alertId/events', authenticateEventStream, async (req, res) => {
+  try {
+    const alert = await SOSAlert.findById(req.params.alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    const role = await access.getAlertRole(alert, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to follow this alert' });
+    }
+
+    // Start with the current state so the client doesn't need a separate fetch
+    streamEvents(req, res, { alertId: alert._id.toString() }, [{
+      id: 0,
+      type: 'alert.snapshot',
+      alertId: alert._id.toString(),
+      data: { alert: alert.getSummary(), dispatch: alert.getDispatchSummary(), role },
+      at: new Date().toISOString()
+    }]);
+
+  } catch (error) {
+    console.error('Alert event stream error:', error);
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
+// Get an alert's location trail as GeoJSON
+router.get('/:alertId/trail', authenticateToken, async (req, res) => {
+  try {
+    const alert = await SOSAlert.findById(req.params.alertId)
+      .select('userId status locationTrail notifiedContacts policeResponse');
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (!(await access.getAlertRole(alert, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to view the trail for this alert' });
+    }
+
+    res.json(alert.getTrailGeoJSON());
+
+  } catch (error) {
+    console.error('Get alert trail error:', error);
+    res.status(500).json({ error: 'Failed to get location trail' });
+  }
+});
+
+// Get an alert's event timeline with derived response metrics (the owner,
+// the organization handling it and platform admins)
+router.get('/:alertId/timeline', authenticateToken, [
+  query('types')
+    .optional()
+    .custom(value => value.split(',').every(type => AlertEvent.ALERT_EVENT_TYPES.includes(type)))
+    .withMessage('Invalid event type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const alert = await SOSAlert.findById(req.params.alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (!(await access.canViewRecord(alert, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to view the timeline for this alert' });
+    }
+
+    // Metrics always come from the full timeline, whatever is filtered out
+    const allEvents = await timeline.getTimeline(alert._id);
+    const types = req.query.types ? req.query.types.split(',') : null;
+    const shown = types ? allEvents.filter(event => types.includes(event.type)) : allEvents;
+
+    res.json({
+      alertId: alert._id,
+      status: alert.status,
+      createdAt: alert.createdAt,
+      events: shown,
+      metrics: timeline.computeMetrics(alert, allEvents),
+      count: shown.length
+    });
+
+  } catch (error) {
+    console.error('Get alert timeline error:', error);
+    res.status(500).json({ error: 'Failed to get alert timeline' });
+  }
+});
+
+// Download an incident report for a police complaint (PDF, or ?format=json;
+// the owner, the organization handling it and platform admins)
+router.get('/:alertId/report', authenticateToken, [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'json'])
+    .withMessage('Format must be pdf or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const alert = await SOSAlert.findById(req.params.alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (!(await access.canViewRecord(alert, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to download the report for this alert' });
+    }
+
+    const report = await incidentReport.buildReport(alert);
+    const filename = `incident-report-${alert._id}`;
+
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(report);
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    incidentReport.renderPdf(report).pipe(res);
+
+  } catch (error) {
+    console.error('Generate incident report error:', error);
+    res.status(500).json({ error: 'Failed to generate incident report' });
+  }
+});
+
+// Get per-recipient delivery state for an alert
+router.get('/:alertId/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const alert = await SOSAlert.findById(req.params.alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'SOS alert not found' });
+    }
+
+    if (alert.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to view deliveries for this alert' });
+    }
+
+    const jobs = await NotificationJob.find({ alertId: alert._id }).sort({ createdAt: 1 });
+    const summary = jobs.reduce((counts, job) => {
+      counts[job.state] = (counts[job.state] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      alertId: alert._id,
+      deliveries: jobs.map(job => job.getDeliverySummary()),
+      summary,
+      count: jobs.length
+    });
+
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get deliveries' });
+  }
+});
+
 // Test endpoint to check emergency contacts (for debugging)
 router.get('/test/emergency-contacts', authenticateToken, async (req, res) => {
   try {
@@ -461,7 +868,8 @@ router.get('/test/emergency-contacts', authenticateToken, async (req, res) => {
       },
       emergencyContacts: user.emergencyContacts || [],
       contactCount: user.emergencyContacts ? user.emergencyContacts.length : 0,
-      twilioConfigured: !!(twilioClient && twilioPhone),
+      twilioConfigured: notifications.getConfiguredChannels().includes('sms'),
+      notificationChannels: notifications.getConfiguredChannels(),
       message: user.emergencyContacts && user.emergencyContacts.length > 0 
         ? 'Emergency contacts found and ready for notifications'
         : 'No emergency contacts found. Please add contacts in your profile.'
@@ -473,8 +881,8 @@ router.get('/test/emergency-contacts', authenticateToken, async (req, res) => {
   }
 });
 
-// Test endpoint to check all users in system (for debugging)
-router.get('/test/all-users', authenticateToken, async (req, res) => {
+// Test endpoint to check all users in system (for debugging, platform admins)
+router.get('/test/all-users', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const allUsers = await User.find({ isActive: true });
     const currentUser = await User.findById(req.user._id);
@@ -496,7 +904,8 @@ router.get('/test/all-users', authenticateToken, async (req, res) => {
         phone: u.phone,
         isActive: u.isActive
       })),
-      twilioConfigured: !!(twilioClient && twilioPhone),
+      twilioConfigured: notifications.getConfiguredChannels().includes('sms'),
+      notificationChannels: notifications.getConfiguredChannels(),
       message: otherUsers.length > 0 
         ? `${otherUsers.length} other users found and ready for notifications`
         : 'No other users found in the system.'
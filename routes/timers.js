@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SafetyTimer = require('../models/SafetyTimer');
+const { authenticateToken } = require('../middleware/auth');
+const safetyTimers = require('../services/safetyTimers');
+
+const router = express.Router();
+
+// Validation rules
+const startTimerValidation = [
+  body('durationMinutes')
+    .isInt({ min: 1, max: safetyTimers.MAX_DURATION_MINUTES })
+    .withMessage(`Duration must be between 1 and ${safetyTimers.MAX_DURATION_MINUTES} minutes`),
+  body('destination')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Destination must be less than 200 characters'),
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required')
+];
+
+const pinValidation = [
+  body('pin')
+    .notEmpty()
+    .withMessage('Safety PIN is required')
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+}
+
+function sendTimerError(res, error, fallbackMessage) {
+  if (error instanceof safetyTimers.SafetyTimerError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Load the user's own running timer for the :timerId routes
+async function loadActiveTimer(req, res, next) {
+  try {
+    const timer = await SafetyTimer.findById(req.params.timerId);
+
+    if (!timer) {
+      return res.status(404).json({ error: 'Safety timer not found' });
+    }
+
+    if (timer.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to manage this safety timer' });
+    }
+
+    if (timer.status !== 'active') {
+      return res.status(409).json({ error: 'Safety timer is no longer running', timer: timer.getSummary() });
+    }
+
+    req.timer = timer;
+    next();
+  } catch (error) {
+    console.error('Load safety timer error:', error);
+    res.status(500).json({ error: 'Failed to load safety timer' });
+  }
+}
+
+// Start a "walk me home" timer
+router.post('/start', authenticateToken, startTimerValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { destination, durationMinutes, latitude, longitude } = req.body;
+    const timer = await safetyTimers.startTimer(req.user, {
+      destination,
+      durationMinutes: parseInt(durationMinutes, 10),
+      latitude: latitude != null ? parseFloat(latitude) : null,
+      longitude: longitude != null ? parseFloat(longitude) : null
+    });
+
+    res.status(201).json({
+      message: 'Safety timer started',
+      timer: timer.getSummary()
+    });
+  } catch (error) {
+    sendTimerError(res, error, 'Failed to start safety timer');
+  }
+});
+
+// Get the user's running timer, if any
+router.get('/active', authenticateToken, async (req, res) => {
+  try {
+    const timer = await safetyTimers.getActiveTimer(req.user._id);
+    res.json({ timer: timer ? timer.getSummary() : null });
+  } catch (error) {
+    console.error('Get safety timer error:', error);
+    res.status(500).json({ error: 'Failed to get safety timer' });
+  }
+});
+
+// Add time to a running timer
+router.post('/:timerId/extend', authenticateToken, [
+  body('minutes')
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Extension must be between 1 and 120 minutes')
+], loadActiveTimer, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const timer = await safetyTimers.extendTimer(req.timer, parseInt(req.body.minutes, 10));
+
+    res.json({
+      message: 'Safety timer extended',
+      timer: timer.getSummary()
+    });
+  } catch (error) {
+    sendTimerError(res, error, 'Failed to extend safety timer');
+  }
+});
+
+// Report the user's position; used for the SOS if the timer runs out
+router.post('/:timerId/location', authenticateToken, [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required')
+], loadActiveTimer, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const timer = await safetyTimers.recordLocation(req.timer, {
+      latitude: parseFloat(req.body.latitude),
+      longitude: parseFloat(req.body.longitude),
+      address: req.body.address
+    });
+
+    res.json({ timer: timer.getSummary() });
+  } catch (error) {
+    sendTimerError(res, error, 'Failed to update safety timer location');
+  }
+});
+
+// Check in safely with the safety PIN
+router.post('/:timerId/check-in', authenticateToken, pinValidation, loadActiveTimer, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const timer = await safetyTimers.checkIn(req.timer, req.body.pin);
+
+    res.json({
+      message: 'Checked in safely',
+      timer: timer.getSummary()
+    });
+  } catch (error) {
+    sendTimerError(res, error, 'Failed to check in');
+  }
+});
+
+// Cancel a timer with the safety PIN
+router.post('/:timerId/cancel', authenticateToken, pinValidation, loadActiveTimer, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const timer = await safetyTimers.cancelTimer(req.timer, req.body.pin);
+
+    res.json({
+      message: 'Safety timer cancelled',
+      timer: timer.getSummary()
+    });
+  } catch (error) {
+    sendTimerError(res, error, 'Failed to cancel safety timer');
+  }
+});
+
+module.exports = router;
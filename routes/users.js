@@ -1,7 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const access = require('../services/access');
+const loginProtection = require('../services/loginProtection');
+const { SUPPORTED_LANGUAGES } = require('../utils/languages');
 
 const router = express.Router();
 
@@ -19,30 +23,22 @@ router.get('/emergency-contacts', authenticateToken, async (req, res) => {
   }
 });
 
-// Search users by phone number (for emergency response)
-router.get('/search/phone/:phone', async (req, res) => {
+// Search users by phone number (responders and platform admins)
+router.get('/search/phone/:phone', authenticateToken, requirePermission('users:search'), async (req, res) => {
   try {
     const { phone } = req.params;
     
     const user = await User.findOne({ 
       phone,
       isActive: true 
-    }).select('name phone aadhar location emergencyContacts');
+    }).select('-password');
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({
-      user: {
-        id: user._id,
-        name: user.name || 'Anonymous',
-        phone: user.phone,
-        aadhar: user.aadhar,
-        location: user.location,
-        emergencyContacts: user.emergencyContacts
-      }
-    });
+    const role = access.pickRole(req.user, [access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN]);
+    res.json({ user: access.getUserView(user, role) });
 
   } catch (error) {
     console.error('Search user error:', error);
@@ -50,8 +46,8 @@ router.get('/search/phone/:phone', async (req, res) => {
   }
 });
 
-// Get user statistics (for admin dashboard)
-router.get('/stats/overview', async (req, res) => {
+// Get user statistics (for the platform admin dashboard)
+router.get('/stats/overview', authenticateToken, requirePermission('users:stats'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ isActive: true });
     const usersWithEmergencyContacts = await User.countDocuments({
@@ -60,8 +56,7 @@ router.get('/stats/overview', async (req, res) => {
     });
     const usersWithLocation = await User.countDocuments({
       isActive: true,
-      'location.latitude': { $exists: true },
-      'location.longitude': { $exists: true }
+      'location.coordinates': { $exists: true }
     });
 
     res.json({
@@ -78,22 +73,102 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
-// Get all users (for emergency response - limited info)
-router.get('/', async (req, res) => {
+// Password login attempts, newest first, for reviewing suspicious patterns
+// (platform admins). Filter by aadhar, userId (the account's Aadhar number),
+// ipAddress, outcome and since.
+router.get('/login-attempts', authenticateToken, requirePermission('users:login_attempts'), [
+  query('aadhar')
+    .optional()
+    .matches(/^\d{12}$/)
+    .withMessage('Aadhar number must be exactly 12 digits'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('outcome')
+    .optional()
+    .isIn(LoginAttempt.LOGIN_OUTCOMES)
+    .withMessage('Unknown outcome'),
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('since must be an ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { aadhar, userId, ipAddress, outcome, since, limit } = req.query;
+    const filter = {};
+    if (userId) {
+      // Attempts are kept by Aadhar number so refused ones are included
+      const user = await User.findById(userId).select('aadhar');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      filter.aadhar = user.aadhar;
+    }
+    if (aadhar) filter.aadhar = aadhar;
+    if (ipAddress) filter.ipAddress = String(ipAddress);
+    if (outcome) filter.outcome = outcome;
+    if (since) filter.createdAt = { $gte: new Date(since) };
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit || '100', 10));
+
+    res.json({
+      attempts,
+      count: attempts.length,
+      ...(filter.aadhar && { status: await loginProtection.getStatus(filter.aadhar) })
+    });
+
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ error: 'Failed to get login attempts' });
+  }
+});
+
+// Lift a login lockout or delay on an account (platform admins)
+router.post('/:userId/unlock', authenticateToken, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('aadhar');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasLocked = await loginProtection.unlock(user.aadhar);
+    console.log(`Login unlocked for user ${user._id} by ${req.user._id}`);
+
+    res.json({
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked',
+      wasLocked
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Get all users (platform admins)
+router.get('/', authenticateToken, requirePermission('users:list'), async (req, res) => {
   try {
     const users = await User.find({ isActive: true })
-      .select('name phone aadhar location emergencyContacts')
+      .select('-password')
       .limit(100);
 
     res.json({
-      users: users.map(user => ({
-        id: user._id,
-        name: user.name || 'Anonymous',
-        phone: user.phone,
-        aadhar: user.aadhar,
-        location: user.location,
-        emergencyContacts: user.emergencyContacts
-      })),
+      users: users.map(user => access.getUserView(user, access.ROLES.PLATFORM_ADMIN)),
       count: users.length
     });
 
@@ -103,9 +178,14 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get user by ID (should be last)
-router.get('/:userId', async (req, res) => {
+// Get user by ID: yourself, or anyone for responders and platform admins (should be last)
+router.get('/:userId', authenticateToken, async (req, res) => {
   try {
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !access.hasPermission(req.user, 'users:read')) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
     const user = await User.findById(req.params.userId)
       .select('-password');
 
@@ -113,7 +193,8 @@ router.get('/:userId', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: user.toPublicJSON() });
+    const role = access.pickRole(req.user, [access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN]);
+    res.json({ user: isSelf ? user.toPublicJSON() : access.getUserView(user, role) });
 
   } catch (error) {
     console.error('Get user error:', error);
@@ -139,7 +220,15 @@ router.put('/profile', authenticateToken, [
   body('location.longitude')
     .optional()
     .isFloat({ min: -180, max: 180 })
-    .withMessage('Valid longitude is required')
+    .withMessage('Valid longitude is required'),
+  body('isVolunteer')
+    .optional()
+    .isBoolean()
+    .withMessage('isVolunteer must be true or false'),
+  body('preferredLanguage')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Unsupported language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,12 +239,14 @@ router.put('/profile', authenticateToken, [
       });
     }
 
-    const { name, email, location } = req.body;
+    const { name, email, location, isVolunteer, preferredLanguage } = req.body;
     const user = req.user;
 
     if (name) user.name = name;
     if (email) user.email = email;
     if (location) user.location = location;
+    if (isVolunteer !== undefined) user.isVolunteer = isVolunteer === true || isVolunteer === 'true';
+    if (preferredLanguage) user.preferredLanguage = preferredLanguage;
 
     await user.save();
 
@@ -179,11 +270,24 @@ router.post('/emergency-contacts', authenticateToken, [
   body('phone')
     .matches(/^[6-9]\d{9}$/)
     .withMessage('Please enter a valid Indian mobile number'),
+  body('tier')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Tier must be a number from 1 to 5'),
   body('relationship')
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Relationship must be less than 50 characters')
+    .withMessage('Relationship must be less than 50 characters'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Unsupported language'),
+  body('guardian')
+    .optional()
+    .isBoolean()
+    .withMessage('Guardian must be true or false')
+    .toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -194,7 +298,7 @@ router.post('/emergency-contacts', authenticateToken, [
       });
     }
 
-    const { name, phone, relationship } = req.body;
+    const { name, phone, relationship, tier, language, guardian } = req.body;
     const user = req.user;
 
     // Check if contact already exists
@@ -210,7 +314,10 @@ router.post('/emergency-contacts', authenticateToken, [
     user.emergencyContacts.push({
       name,
       phone,
-      relationship: relationship || ''
+      relationship: relationship || '',
+      tier: tier || 1,
+      language,
+      guardian: guardian || false
     });
 
     await user.save();
@@ -237,11 +344,24 @@ router.put('/emergency-contacts/:contactId', authenticateToken, [
     .optional()
     .matches(/^[6-9]\d{9}$/)
     .withMessage('Please enter a valid Indian mobile number'),
+  body('tier')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Tier must be a number from 1 to 5'),
   body('relationship')
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Relationship must be less than 50 characters')
+    .withMessage('Relationship must be less than 50 characters'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Unsupported language'),
+  body('guardian')
+    .optional()
+    .isBoolean()
+    .withMessage('Guardian must be true or false')
+    .toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -252,7 +372,7 @@ router.put('/emergency-contacts/:contactId', authenticateToken, [
       });
     }
 
-    const { name, phone, relationship } = req.body;
+    const { name, phone, relationship, tier, language, guardian } = req.body;
     const user = req.user;
 
     // Find the contact to update
@@ -268,6 +388,9 @@ router.put('/emergency-contacts/:contactId', authenticateToken, [
     if (name) user.emergencyContacts[contactIndex].name = name;
     if (phone) user.emergencyContacts[contactIndex].phone = phone;
     if (relationship !== undefined) user.emergencyContacts[contactIndex].relationship = relationship;
+    if (tier) user.emergencyContacts[contactIndex].tier = tier;
+    if (language) user.emergencyContacts[contactIndex].language = language;
+    if (guardian !== undefined) user.emergencyContacts[contactIndex].guardian = guardian;
 
     await user.save();
 
@@ -0,0 +1,72 @@
+// Creates a responder organization (police station, NGO, helpline) and makes
+// an existing user its first admin. Further staff are added through the API.
+//
+//   node scripts/create-organization.js --name "Ameerpet PS" --type police \
+//     --jurisdiction ameerpet.geojson --admin-phone 9876543210 [--phone ...] [--email ...]
+//
+// The jurisdiction file holds a GeoJSON Polygon or MultiPolygon (a bare
+// geometry, or a Feature wrapping one).
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ResponderOrganization = require('../models/ResponderOrganization');
+const User = require('../models/User');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument: ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+function readJurisdiction(file) {
+  const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const geometry = geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    throw new Error('Jurisdiction must be a GeoJSON Polygon or MultiPolygon');
+  }
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.name || !args.type || !args.jurisdiction || !args['admin-phone']) {
+    console.error('Usage: node scripts/create-organization.js --name <name> --type <police|ngo|helpline> --jurisdiction <file.geojson> --admin-phone <phone> [--phone <phone>] [--email <email>]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/voice-of-her');
+
+  const admin = await User.findOne({ phone: args['admin-phone'] });
+  if (!admin) {
+    throw new Error(`No user registered with phone ${args['admin-phone']}`);
+  }
+  if (admin.organizationId) {
+    throw new Error('That user already belongs to an organization');
+  }
+
+  const organization = await ResponderOrganization.create({
+    name: args.name,
+    type: args.type,
+    phone: args.phone,
+    email: args.email,
+    jurisdiction: readJurisdiction(args.jurisdiction)
+  });
+
+  admin.organizationId = organization._id;
+  admin.organizationRole = 'admin';
+  await admin.save();
+
+  console.log(`Created ${organization.type} organization "${organization.name}" (${organization._id})`);
+  console.log(`Admin: ${admin.name || admin.phone}`);
+}
+
+main()
+  .catch(error => {
+    console.error('Failed to create organization:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+// Makes an existing user a platform admin, or takes it away with --revoke.
+//
+//   node scripts/grant-platform-admin.js --phone 9876543210 [--revoke]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const phone = args[args.indexOf('--phone') + 1];
+  const revoke = args.includes('--revoke');
+  if (!args.includes('--phone') || !phone) {
+    console.error('Usage: node scripts/grant-platform-admin.js --phone <phone> [--revoke]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/voice-of-her');
+
+  const user = await User.findOne({ phone });
+  if (!user) {
+    throw new Error(`No user registered with phone ${phone}`);
+  }
+
+  user.platformAdmin = !revoke;
+  await user.save();
+
+  console.log(`${user.name || user.phone} is ${revoke ? 'no longer' : 'now'} a platform admin`);
+}
+
+main()
+  .catch(error => {
+    console.error('Failed to update platform admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,131 @@
+// Converts stored {latitude, longitude} locations to GeoJSON Points.
+//
+//   node scripts/migrate-geojson.js                  # migrate MONGODB_URI
+//   node scripts/migrate-geojson.js --dump <dir>     # rewrite a mongodump directory
+//
+// Safe to run more than once: documents that already hold a Point are skipped.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { BSON } = require('mongodb');
+require('dotenv').config();
+
+const COLLECTIONS = ['users', 'sosalerts'];
+
+// Dump documents keep their BSON number wrappers (Double, Int32, ...)
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value && (value._bsontype === 'Double' || value._bsontype === 'Int32' || value._bsontype === 'Long')) {
+    return Number(value.valueOf());
+  }
+  return NaN;
+}
+
+function hasLegacyLocation(location) {
+  return location && typeof location === 'object' && !location.coordinates &&
+    !isNaN(toNumber(location.latitude)) && !isNaN(toNumber(location.longitude));
+}
+
+function hasEmptyLocation(location) {
+  return location && typeof location === 'object' && !location.coordinates &&
+    !hasLegacyLocation(location);
+}
+
+// Same conversion as the database pipeline below, for one dump document
+function convertDocument(doc) {
+  if (hasLegacyLocation(doc.location)) {
+    const { latitude, longitude, address } = doc.location;
+    doc.location = {
+      type: 'Point',
+      coordinates: [new BSON.Double(toNumber(longitude)), new BSON.Double(toNumber(latitude))]
+    };
+    if (address !== undefined) doc.location.address = address;
+    return true;
+  }
+  if (hasEmptyLocation(doc.location)) {
+    delete doc.location;
+    return true;
+  }
+  return false;
+}
+
+async function migrateDatabase() {
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/voice-of-her';
+  await mongoose.connect(uri);
+  const db = mongoose.connection.db;
+
+  for (const name of COLLECTIONS) {
+    const collection = db.collection(name);
+
+    const converted = await collection.updateMany(
+      {
+        'location.coordinates': { $exists: false },
+        'location.latitude': { $type: 'number' },
+        'location.longitude': { $type: 'number' }
+      },
+      [{
+        $set: {
+          location: {
+            type: 'Point',
+            coordinates: ['$location.longitude', '$location.latitude'],
+            address: '$location.address'
+          }
+        }
+      }]
+    );
+
+    // Half-filled locations (e.g. only an address) can't be indexed
+    const cleared = await collection.updateMany(
+      {
+        location: { $exists: true },
+        'location.coordinates': { $exists: false }
+      },
+      { $unset: { location: '' } }
+    );
+
+    console.log(`${name}: ${converted.modifiedCount} converted, ${cleared.modifiedCount} empty locations removed`);
+  }
+
+  // Build the 2dsphere indexes declared on the models
+  const User = require('../models/User');
+  const SOSAlert = require('../models/SOSAlert');
+  await User.syncIndexes();
+  await SOSAlert.syncIndexes();
+
+  await mongoose.disconnect();
+}
+
+function migrateDump(dir) {
+  for (const name of COLLECTIONS) {
+    const file = path.join(dir, `${name}.bson`);
+    if (!fs.existsSync(file)) {
+      console.log(`${name}: no dump file, skipped`);
+      continue;
+    }
+
+    const buffer = fs.readFileSync(file);
+    const documents = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+      const size = buffer.readInt32LE(offset);
+      documents.push(BSON.deserialize(buffer.subarray(offset, offset + size), { promoteValues: false }));
+      offset += size;
+    }
+
+    const changed = documents.filter(convertDocument).length;
+    if (changed > 0) {
+      fs.writeFileSync(file, Buffer.concat(documents.map(doc => BSON.serialize(doc))));
+    }
+    console.log(`${name}: ${changed} of ${documents.length} documents converted`);
+  }
+}
+
+const dumpIndex = process.argv.indexOf('--dump');
+if (dumpIndex !== -1) {
+  migrateDump(process.argv[dumpIndex + 1] || path.join(__dirname, '..', 'db_backup', 'voice-of-her'));
+} else {
+  migrateDatabase().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
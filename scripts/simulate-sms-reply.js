@@ -0,0 +1,49 @@
+// Local stand-in for Twilio's inbound SMS webhook. Posts a reply to a
+// running server exactly as Twilio would, signed with TWILIO_AUTH_TOKEN
+// when it is set (otherwise start the server with SMS_WEBHOOK_ALLOW_UNSIGNED=true).
+//
+//   node scripts/simulate-sms-reply.js <from> <message...>
+//   node scripts/simulate-sms-reply.js 9876543210 COMING
+//
+// SMS_WEBHOOK_URL overrides the target (default http://localhost:3002/api/sms/inbound).
+const crypto = require('crypto');
+const twilio = require('twilio');
+require('dotenv').config();
+
+const { formatPhoneNumber } = require('../utils/phone');
+
+async function main() {
+  const [from, ...words] = process.argv.slice(2);
+  if (!from || words.length === 0) {
+    console.error('Usage: node scripts/simulate-sms-reply.js <from> <message...>');
+    process.exit(1);
+  }
+
+  const url = process.env.SMS_WEBHOOK_URL || 'http://localhost:3002/api/sms/inbound';
+  const params = {
+    MessageSid: `SMlocal${crypto.randomBytes(12).toString('hex')}`,
+    From: formatPhoneNumber(from),
+    To: process.env.TWILIO_PHONE_NUMBER || '',
+    Body: words.join(' ')
+  };
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (process.env.TWILIO_AUTH_TOKEN) {
+    headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params).toString()
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+  if (!response.ok) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('Failed to send simulated SMS:', error.message);
+  process.exit(1);
+});
@@ -9,6 +9,15 @@ require("dotenv").config();
 const authRoutes = require("./routes/auth");
 const sosRoutes = require("./routes/sos");
 const userRoutes = require("./routes/users");
+const timerRoutes = require("./routes/timers");
+const smsRoutes = require("./routes/sms");
+const evidenceRoutes = require("./routes/evidence");
+const organizationRoutes = require("./routes/organizations");
+const outbox = require("./services/outbox");
+const escalation = require("./services/escalation");
+const safetyTimers = require("./services/safetyTimers");
+const triage = require("./services/triage");
+const sosPipeline = require("./services/sosPipeline");
 
 const app = express();
 const PORT = 3002;
@@ -23,6 +32,9 @@ app.use(
       "https://voiceofher-frontend.onrender.com",
     ],
     credentials: true,
+    // Lets the browser read the hash sent with evidence downloads and
+    // the challenge that tells it to refresh an expired access token
+    exposedHeaders: ["X-Evidence-SHA256", "WWW-Authenticate"],
   })
 );
 
@@ -33,9 +45,21 @@ app.use(express.static(path.join(__dirname, "public")));
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  // Live location updates have their own limiter below, and inbound SMS
+  // arrive from Twilio's shared addresses (and are signature-checked)
+  skip: (req) =>
+    /^\/api\/sos\/[^/]+\/location$/.test(req.path) ||
+    req.path === "/api/sms/inbound",
 });
 app.use(limiter);
 
+// A tracked phone reports its position every few seconds during an SOS
+const locationLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 location updates per minute
+});
+app.use("/api/sos/:alertId/location", locationLimiter);
+
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
@@ -49,13 +73,24 @@ mongoose
       useUnifiedTopology: true,
     }
   )
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    outbox.startWorker();
+    escalation.startWorker();
+    safetyTimers.startWorker();
+    triage.startWorker();
+    sosPipeline.startWorker();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/sos/:alertId/evidence", evidenceRoutes);
 app.use("/api/sos", sosRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/timers", timerRoutes);
+app.use("/api/sms", smsRoutes);
+app.use("/api/orgs", organizationRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
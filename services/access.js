@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const ResponderOrganization = require('../models/ResponderOrganization');
+const contactResponses = require('./contactResponses');
+const { getAlertLocationLink } = require('./notifications/messages');
+const { formatPhoneNumber } = require('../utils/phone');
+
+// Account roles. Every account is a user; the others come from the account's
+// own fields. Guardian is per alert: a guardian contact of the alert's owner.
+const ROLES = {
+  USER: 'user',
+  GUARDIAN: 'guardian',
+  VOLUNTEER: 'volunteer',
+  RESPONDER: 'responder',
+  ORG_ADMIN: 'org_admin',
+  PLATFORM_ADMIN: 'platform_admin'
+};
+
+// Which account roles hold each permission
+const PERMISSIONS = {
+  'users:list': [ROLES.PLATFORM_ADMIN],
+  'users:stats': [ROLES.PLATFORM_ADMIN],
+  'users:search': [ROLES.RESPONDER, ROLES.PLATFORM_ADMIN],
+  'users:read': [ROLES.RESPONDER, ROLES.PLATFORM_ADMIN],
+  'users:login_attempts': [ROLES.PLATFORM_ADMIN],
+  'users:unlock': [ROLES.PLATFORM_ADMIN],
+  'alerts:list_active': [ROLES.RESPONDER, ROLES.PLATFORM_ADMIN],
+  'alerts:nearby': [ROLES.VOLUNTEER, ROLES.RESPONDER, ROLES.PLATFORM_ADMIN]
+};
+
+// Load the user's organization for getRoles(), once per request. Staff of a
+// missing or deactivated organization get null. Kept in $locals, so it is
+// never saved with the user.
+async function loadOrganization(user) {
+  if (user.$locals.organization === undefined) {
+    const organization = user.organizationId
+      ? await ResponderOrganization.findById(user.organizationId)
+      : null;
+    user.$locals.organization = organization && organization.isActive ? organization : null;
+  }
+  return user.$locals.organization;
+}
+
+// The user's active organization, as loaded by loadOrganization()
+function getOrganization(user) {
+  return (user.$locals && user.$locals.organization) || null;
+}
+
+// Responder roles need loadOrganization() first; without it they are left out
+function getRoles(user) {
+  const roles = [ROLES.USER];
+  const organization = getOrganization(user);
+  if (user.isVolunteer) roles.push(ROLES.VOLUNTEER);
+  if (organization) roles.push(ROLES.RESPONDER);
+  if (organization && user.organizationRole === 'admin') roles.push(ROLES.ORG_ADMIN);
+  if (user.platformAdmin) roles.push(ROLES.PLATFORM_ADMIN);
+  return roles;
+}
+
+function hasRole(user, role) {
+  return getRoles(user).includes(role);
+}
+
+function hasPermission(user, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return getRoles(user).some(role => allowed.includes(role));
+}
+
+// The most privileged role the user has out of the given ones
+function pickRole(user, roles) {
+  const held = getRoles(user);
+  return [...roles].reverse().find(role => held.includes(role)) || null;
+}
+
+// Guardian and contact roles come from the account's phone number, so they
+// only count once the account has proved it holds that number. Verified
+// numbers are unique (see models/User.js); accounts from before phone
+// verification verify theirs by logging in with an SMS code.
+function hasVerifiedPhone(user) {
+  return user.phoneVerified === true;
+}
+
+async function isGuardianOf(ownerId, user) {
+  if (!hasVerifiedPhone(user)) return false;
+  const owner = await User.findById(ownerId).select('emergencyContacts');
+  return Boolean(owner) && owner.emergencyContacts.some(
+    contact => contact.guardian && formatPhoneNumber(contact.phone) === formatPhoneNumber(user.phone)
+  );
+}
+
+// Who the user is to one alert, most privileged first: 'platform_admin',
+// 'owner', 'responder' (staff of the organization that claimed it),
+// 'guardian', 'contact' (someone it was sent to), or null. The last two
+// need a verified phone number.
+async function getAlertRole(alert, user) {
+  if (user.platformAdmin) return ROLES.PLATFORM_ADMIN;
+
+  const ownerId = alert.userId._id || alert.userId;
+  if (ownerId.toString() === user._id.toString()) return 'owner';
+
+  const claimant = alert.policeResponse && alert.policeResponse.organizationId;
+  const organization = getOrganization(user);
+  if (claimant && organization && claimant.toString() === organization._id.toString()) {
+    return ROLES.RESPONDER;
+  }
+
+  if (!hasVerifiedPhone(user)) return null;
+  if (await isGuardianOf(ownerId, user)) return ROLES.GUARDIAN;
+
+  return contactResponses.findContactsByPhone(alert, user.phone).length > 0 ? 'contact' : null;
+}
+
+// Alert roles that may see the alert's full record (its timeline and the
+// incident report): the owner, the organization handling it and platform admins
+const RECORD_ROLES = ['owner', ROLES.RESPONDER, ROLES.PLATFORM_ADMIN];
+
+async function canViewRecord(alert, user) {
+  return RECORD_ROLES.includes(await getAlertRole(alert, user));
+}
+
+function lastLocation(alert) {
+  const lastPoint = alert.locationTrail.length > 0
+    ? alert.locationTrail[alert.locationTrail.length - 1]
+    : null;
+  return {
+    latitude: alert.location.latitude,
+    longitude: alert.location.longitude,
+    address: alert.location.address,
+    accuracy: lastPoint ? lastPoint.accuracy : undefined,
+    updatedAt: lastPoint ? lastPoint.recordedAt : alert.createdAt
+  };
+}
+
+// The alert as the given alert role may see it. Owners and platform admins
+// get the whole record; nobody else sees the owner's Aadhaar.
+function getAlertView(alert, role) {
+  if (role === 'owner' || role === ROLES.PLATFORM_ADMIN) {
+    return alert.toObject();
+  }
+
+  const view = {
+    ...alert.getSummary(),
+    location: lastLocation(alert),
+    mapLink: getAlertLocationLink(alert)
+  };
+  if (role === 'contact') {
+    return view;
+  }
+
+  return {
+    ...view,
+    description: alert.description,
+    trigger: alert.trigger,
+    resolvedAt: alert.resolvedAt,
+    resolutionNotes: alert.resolutionNotes,
+    contactResponses: alert.notifiedContacts
+      .filter(contact => contact.name || contact.phone)
+      .map(contact => ({
+        name: contact.name,
+        response: contact.response,
+        respondedAt: contact.respondedAt
+      })),
+    dispatch: alert.getDispatchSummary()
+  };
+}
+
+// An alert in a list, for a user with the given account role. Volunteers
+// only learn where help is needed, not who asked for it.
+function getAlertListView(alert, role) {
+  return role === ROLES.VOLUNTEER ? alert.getPublicSummary() : alert.getSummary();
+}
+
+// Another user's account, for a viewer with the given account role
+function getUserView(user, role) {
+  return role === ROLES.PLATFORM_ADMIN ? user.toPublicJSON() : user.getResponderSummary();
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  loadOrganization,
+  getOrganization,
+  getRoles,
+  hasRole,
+  hasPermission,
+  pickRole,
+  hasVerifiedPhone,
+  isGuardianOf,
+  getAlertRole,
+  RECORD_ROLES,
+  canViewRecord,
+  getAlertView,
+  getAlertListView,
+  getUserView
+};
@@ -0,0 +1,127 @@
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const NotificationJob = require('../models/NotificationJob');
+const outbox = require('./outbox');
+const escalation = require('./escalation');
+const events = require('./events');
+const timeline = require('./timeline');
+const access = require('./access');
+const { buildAllClearMessage } = require('./notifications/messages');
+const { formatPhoneNumber } = require('../utils/phone');
+
+const MAX_CANCEL_PIN_ATTEMPTS = parseInt(process.env.SOS_CANCEL_MAX_PIN_ATTEMPTS || '5', 10);
+
+class AlertClosureError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Alert roles (see access.getAlertRole) that may close an alert. People
+// who were only sent it may not, whatever they answered.
+const CLOSING_ROLES = ['owner', access.ROLES.GUARDIAN, access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN];
+
+// Who the user is to the alert, if they may close it
+async function getClosingRole(alert, user) {
+  // The owner always closes with their PIN, whatever other roles they hold
+  if (alert.userId.toString() === user._id.toString()) return 'owner';
+
+  const role = await access.getAlertRole(alert, user);
+  return CLOSING_ROLES.includes(role) ? role : null;
+}
+
+// The owner proves it is really them with their safety PIN. Too many wrong
+// PINs lock them out, leaving closure to guardians and the responding organization.
+async function verifyOwnerPin(alert, pin) {
+  if (alert.failedCancelAttempts >= MAX_CANCEL_PIN_ATTEMPTS) {
+    throw new AlertClosureError('Too many incorrect PIN attempts; a guardian or the responding organization must close this alert', 403);
+  }
+
+  const owner = await User.findById(alert.userId).select('+safetyPin');
+  if (!owner || !owner.safetyPin) {
+    throw new AlertClosureError('Set a safety PIN before cancelling an alert', 400);
+  }
+
+  if (!pin || !(await owner.compareSafetyPin(pin))) {
+    await SOSAlert.updateOne({ _id: alert._id }, { $inc: { failedCancelAttempts: 1 } });
+    throw new AlertClosureError('Incorrect safety PIN', 401);
+  }
+}
+
+// Everyone who was sent (or called about) the alert, once per phone or email
+async function notifiedRecipients(alert) {
+  const jobs = await NotificationJob.find({
+    alertId: alert._id,
+    purpose: { $ne: 'all_clear' },
+    attempts: { $gt: 0 }
+  }).sort({ createdAt: 1 });
+
+  const seen = new Set();
+  return jobs.reduce((recipients, job) => {
+    const recipient = job.toObject().recipient;
+    const key = recipient.phone ? formatPhoneNumber(recipient.phone) : recipient.email;
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      recipients.push(recipient);
+    }
+    return recipients;
+  }, []);
+}
+
+// Close an active alert as resolved or a false alarm: stop the escalation
+// ladder, record and announce the change, and tell everyone who was
+// notified that the user is safe
+async function closeAlert(alert, status, { user, role, resolutionNotes } = {}) {
+  if (alert.status !== 'active') {
+    throw new AlertClosureError('Can only update active alerts', 400);
+  }
+
+  const previousStatus = alert.status;
+  alert.status = status;
+  alert.inGracePeriod = false;
+  if (resolutionNotes) {
+    alert.resolutionNotes = resolutionNotes;
+  }
+  if (status === 'resolved') {
+    alert.resolvedAt = new Date();
+    alert.resolvedBy = user && user._id;
+  }
+  await escalation.stop(alert, `Alert ${status}`);
+
+  await alert.save();
+
+  await timeline.record(alert, 'status_change', {
+    from: previousStatus,
+    to: status,
+    closedBy: role,
+    resolutionNotes
+  }, timeline.actorFor(alert, user));
+
+  events.publish(events.EVENT_TYPES.STATUS, alert, {
+    status: alert.status,
+    resolvedAt: alert.resolvedAt
+  });
+
+  let allClear = [];
+  try {
+    allClear = await outbox.queueFollowUp(
+      alert,
+      await notifiedRecipients(alert),
+      recipient => buildAllClearMessage(alert, recipient.language),
+      { purpose: 'all_clear' }
+    );
+  } catch (error) {
+    console.error(`All-clear error for alert ${alert._id}:`, error);
+  }
+
+  return { alert, allClear };
+}
+
+module.exports = {
+  CLOSING_ROLES,
+  AlertClosureError,
+  getClosingRole,
+  verifyOwnerPin,
+  closeAlert
+};
@@ -0,0 +1,66 @@
+const escalation = require('./escalation');
+const events = require('./events');
+const timeline = require('./timeline');
+const triage = require('./triage');
+const { formatPhoneNumber } = require('../utils/phone');
+
+// Responses a notified person can give
+const CONTACT_RESPONSES = ['acknowledged', 'responding', 'unreachable', 'declined'];
+
+// Every notifiedContacts entry for a phone (one person may hold several,
+// e.g. an SMS and a call)
+function findContactsByPhone(alert, phone) {
+  const formatted = formatPhoneNumber(phone);
+  return alert.notifiedContacts.filter(contact => contact.phone === formatted);
+}
+
+// Whether the phone belongs to someone notified who said they are on their way
+function isResponding(alert, phone) {
+  return findContactsByPhone(alert, phone).some(contact => contact.response === 'responding');
+}
+
+// Record a response on the given entries, stop escalating if someone is
+// on their way, save the alert and tell live subscribers
+async function recordResponse(alert, contacts, response, source) {
+  const respondedAt = new Date();
+  for (const contact of contacts) {
+    contact.response = response;
+    contact.respondedAt = respondedAt;
+    contact.responseSource = source;
+  }
+
+  if (['acknowledged', 'responding'].includes(response)) {
+    await escalation.stop(alert, 'Acknowledged by a contact');
+  }
+
+  await alert.save();
+
+  await timeline.record(alert, 'contact_response', {
+    response,
+    source,
+    contacts: contacts.length
+  }, {
+    kind: source === 'owner' ? 'owner' : 'contact',
+    userId: source === 'owner' ? alert.userId : undefined,
+    name: contacts[0].name,
+    phone: contacts[0].phone
+  });
+
+  events.publish(events.EVENT_TYPES.CONTACT_RESPONSE, alert, {
+    contactName: contacts[0].name,
+    contactPhone: contacts[0].phone,
+    response,
+    source
+  });
+
+  // An acknowledgement (or a refusal) can change the alert's priority
+  await triage.reevaluate(alert);
+  return alert;
+}
+
+module.exports = {
+  CONTACT_RESPONSES,
+  findContactsByPhone,
+  isResponding,
+  recordResponse
+};
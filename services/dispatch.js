@@ -0,0 +1,224 @@
+const SOSAlert = require('../models/SOSAlert');
+const escalation = require('./escalation');
+const events = require('./events');
+const timeline = require('./timeline');
+const alertClosure = require('./alertClosure');
+
+// A responder organization moves an alert through these, in order
+const DISPATCH_STATUSES = ['claimed', 'dispatched', 'arrived', 'resolved'];
+
+// Alert timestamp set when each status is reached
+const STATUS_TIMESTAMPS = {
+  claimed: 'claimedAt',
+  dispatched: 'dispatchedAt',
+  arrived: 'arrivedAt',
+  resolved: 'resolvedAt'
+};
+
+class DispatchError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Mongo filter for alerts located inside the organization's jurisdiction
+function withinJurisdiction(organization) {
+  return {
+    location: {
+      $geoWithin: {
+        $geometry: {
+          type: organization.jurisdiction.type,
+          coordinates: organization.jurisdiction.coordinates
+        }
+      }
+    }
+  };
+}
+
+function claimedBy(alert, organization) {
+  const claimant = alert.policeResponse && alert.policeResponse.organizationId;
+  return Boolean(claimant) && claimant.toString() === organization._id.toString();
+}
+
+function staffActor(user) {
+  return { kind: 'user', userId: user._id, name: user.name, phone: user.phone };
+}
+
+async function announce(alert, organization, user, data) {
+  await timeline.record(alert, 'police_update', {
+    organization: organization.name,
+    organizationId: organization._id,
+    ...data
+  }, staffActor(user));
+
+  events.publish(events.EVENT_TYPES.DISPATCH, alert, {
+    organizationName: organization.name,
+    ...data
+  });
+}
+
+// Mongo filter for the alerts the organization's staff may list: those in
+// its jurisdiction and those it has claimed
+function visibleToOrganization(organization) {
+  return {
+    $or: [
+      withinJurisdiction(organization),
+      { 'policeResponse.organizationId': organization._id }
+    ]
+  };
+}
+
+// Active alerts the organization can take or is handling: unclaimed ones in
+// its jurisdiction and its own claims. Highest priority first, then oldest.
+function getQueue(organization) {
+  return SOSAlert.find({
+    status: 'active',
+    inGracePeriod: { $ne: true },
+    $or: [
+      { 'policeResponse.organizationId': null, ...withinJurisdiction(organization) },
+      { 'policeResponse.organizationId': organization._id }
+    ]
+  }).sort({ 'triage.rank': -1, createdAt: 1 });
+}
+
+// Take on an alert for the organization. Only one organization can hold an
+// alert; the claim is atomic so two stations can't both take it.
+async function claimAlert(alertId, organization, user) {
+  const now = new Date();
+  const alert = await SOSAlert.findOneAndUpdate(
+    {
+      _id: alertId,
+      status: 'active',
+      inGracePeriod: { $ne: true },
+      'policeResponse.organizationId': null,
+      ...withinJurisdiction(organization)
+    },
+    {
+      $set: {
+        'policeResponse.organizationId': organization._id,
+        'policeResponse.organizationName': organization.name,
+        'policeResponse.claimedBy': user._id,
+        'policeResponse.claimedAt': now,
+        'policeResponse.status': 'claimed'
+      }
+    },
+    { new: true }
+  );
+
+  if (!alert) {
+    const existing = await SOSAlert.findById(alertId);
+    if (!existing) {
+      throw new DispatchError('SOS alert not found', 404);
+    }
+    if (existing.status !== 'active' || existing.inGracePeriod) {
+      throw new DispatchError('Only active alerts can be claimed', 409);
+    }
+    if (existing.policeResponse && existing.policeResponse.organizationId) {
+      throw new DispatchError(`Alert already claimed by ${existing.policeResponse.organizationName}`, 409);
+    }
+    throw new DispatchError('Alert is outside your jurisdiction', 403);
+  }
+
+  // Someone is now handling it, so stop escalating to more people
+  await escalation.stop(alert, `Claimed by ${organization.name}`);
+  await alert.save();
+
+  await announce(alert, organization, user, { status: 'claimed' });
+  return alert;
+}
+
+// Move a claimed alert forward (dispatched -> arrived -> resolved), with an
+// optional note. Arrival sets responseTime; resolving also closes the alert.
+async function advanceStatus(alertId, organization, user, status, note) {
+  const alert = await SOSAlert.findById(alertId);
+  if (!alert) {
+    throw new DispatchError('SOS alert not found', 404);
+  }
+  if (!claimedBy(alert, organization)) {
+    throw new DispatchError('Your organization has not claimed this alert', 403);
+  }
+
+  const current = DISPATCH_STATUSES.indexOf(alert.policeResponse.status);
+  const next = DISPATCH_STATUSES.indexOf(status);
+  if (next <= current) {
+    throw new DispatchError(`Alert is already ${alert.policeResponse.status}`, 409);
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      'policeResponse.status': status,
+      [`policeResponse.${STATUS_TIMESTAMPS[status]}`]: now
+    }
+  };
+  // Minutes from the SOS to help arriving; resolving without an arrival
+  // (e.g. handled by phone) counts the time to resolution instead
+  if (status === 'arrived' || (status === 'resolved' && !alert.policeResponse.arrivedAt)) {
+    update.$set['policeResponse.responseTime'] = Math.round((now - alert.createdAt) / 6000) / 10;
+  }
+  if (note) {
+    update.$push = { 'policeResponse.notes': { text: note, authorId: user._id, authorName: user.name, at: now } };
+  }
+
+  // The status condition keeps two staff members from racing each other
+  const updated = await SOSAlert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      'policeResponse.organizationId': organization._id,
+      'policeResponse.status': { $in: DISPATCH_STATUSES.slice(0, next) }
+    },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw new DispatchError('Alert status changed; reload and try again', 409);
+  }
+
+  await announce(updated, organization, user, {
+    status,
+    note,
+    responseTime: updated.policeResponse.responseTime
+  });
+
+  if (status === 'resolved' && updated.status === 'active') {
+    await alertClosure.closeAlert(updated, 'resolved', {
+      user,
+      role: 'organization',
+      resolutionNotes: note
+    });
+  }
+  return updated;
+}
+
+async function addNote(alertId, organization, user, text) {
+  const alert = await SOSAlert.findById(alertId).select('policeResponse');
+  if (!alert) {
+    throw new DispatchError('SOS alert not found', 404);
+  }
+  if (!claimedBy(alert, organization)) {
+    throw new DispatchError('Your organization has not claimed this alert', 403);
+  }
+
+  const updated = await SOSAlert.findByIdAndUpdate(
+    alert._id,
+    { $push: { 'policeResponse.notes': { text, authorId: user._id, authorName: user.name, at: new Date() } } },
+    { new: true }
+  );
+
+  await announce(updated, organization, user, {
+    status: updated.policeResponse.status,
+    note: text
+  });
+  return updated;
+}
+
+module.exports = {
+  DISPATCH_STATUSES,
+  DispatchError,
+  visibleToOrganization,
+  getQueue,
+  claimAlert,
+  advanceStatus,
+  addNote
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const outbox = require('./outbox');
+const responders = require('./responders');
+const events = require('./events');
+const timeline = require('./timeline');
+const triage = require('./triage');
+const { buildEmergencyMessage, buildPoliceMessage } = require('./notifications/messages');
+
+const POLICY_FILE = process.env.ESCALATION_POLICY_FILE || path.join(__dirname, '..', 'config', 'escalation.json');
+const POLL_INTERVAL_MS = parseInt(process.env.ESCALATION_POLL_INTERVAL_MS || '15000', 10);
+const LOCK_MS = 60 * 1000;
+
+// Responses that mean someone is dealing with the alert
+const ACKNOWLEDGED_RESPONSES = ['acknowledged', 'responding'];
+
+let policy = null;
+let workerTimer = null;
+let workerRunning = false;
+
+function loadPolicy() {
+  if (!policy) {
+    policy = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+  }
+  return policy;
+}
+
+function setPolicy(newPolicy) {
+  policy = newPolicy;
+}
+
+function isAcknowledged(alert) {
+  return alert.notifiedContacts.some(contact => ACKNOWLEDGED_RESPONSES.includes(contact.response));
+}
+
+function contactKinds() {
+  return process.env.SOS_VOICE_CALLS === 'true' ? ['message', 'call'] : ['message'];
+}
+
+// Emergency contacts in one tier (contacts without a tier are tier 1)
+async function notifyContactTier(alert, owner, step) {
+  const contacts = (owner.emergencyContacts || []).filter(contact => (contact.tier || 1) === step.tier);
+  if (contacts.length === 0) {
+    return { recipients: 0, note: `No contacts in tier ${step.tier}` };
+  }
+
+  const results = await outbox.queueForAlert(
+    alert,
+    contacts.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      relationship: contact.relationship,
+      language: contact.language || owner.preferredLanguage
+    })),
+    recipient => buildEmergencyMessage(owner, alert, recipient.language),
+    { purpose: 'contacts', kinds: contactKinds() }
+  );
+  return { recipients: results.length };
+}
+
+// Opted-in volunteers around the alert, nearest first. The alert's priority
+// (the triage fanOut.volunteers settings) overrides the step's search, and
+// can skip volunteers altogether with maxCount 0.
+async function notifyVolunteers(alert, owner, step) {
+  if (alert.locationUnknown) {
+    return { recipients: 0, note: 'Location unknown; no volunteers searched' };
+  }
+  const { radiusKm, results } = await responders.notifyNearbyResponders(alert, owner, {
+    radiusKm: step.radiusKm,
+    maxRadiusKm: step.maxRadiusKm || step.radiusKm,
+    maxCount: step.limit,
+    ...triage.getFanOut(alert.priority).volunteers
+  });
+
+  if (results.length === 0) {
+    return { recipients: 0, note: `No volunteers within ${radiusKm} km` };
+  }
+  return { recipients: results.length, note: `Volunteers within ${radiusKm} km` };
+}
+
+// Police control room configured through the environment
+async function notifyPolice(alert) {
+  const recipient = {
+    name: process.env.POLICE_CONTACT_NAME || 'Police control room',
+    phone: process.env.POLICE_CONTACT_PHONE,
+    email: process.env.POLICE_CONTACT_EMAIL,
+    relationship: 'Police',
+    language: process.env.POLICE_CONTACT_LANGUAGE
+  };
+  if (!recipient.phone && !recipient.email) {
+    return { recipients: 0, note: 'No police contact configured' };
+  }
+
+  alert.policeNotified = true;
+  alert.policeResponse.notifiedAt = new Date();
+  alert.policeResponse.status = 'pending';
+
+  const results = await outbox.queueForAlert(alert, [recipient], buildPoliceMessage(alert, recipient.language), { purpose: 'police' });
+  await timeline.record(alert, 'police_update', {
+    status: alert.policeResponse.status,
+    notifiedAt: alert.policeResponse.notifiedAt,
+    recipient: recipient.name
+  });
+  return { recipients: results.length };
+}
+
+const STEP_HANDLERS = {
+  contacts: notifyContactTier,
+  volunteers: notifyVolunteers,
+  police: notifyPolice
+};
+
+// Higher-priority alerts move up the ladder faster
+function stepWaitMs(alert, step) {
+  return step.waitMinutes * triage.waitMultiplier(alert.priority) * 60 * 1000;
+}
+
+async function stopLadder(alert, reason) {
+  alert.escalation.nextStepAt = undefined;
+  alert.escalation.stoppedAt = new Date();
+  alert.escalation.stopReason = reason;
+  await timeline.record(alert, 'escalation_stopped', { level: alert.escalation.level, reason });
+}
+
+// Run the alert's current step and schedule the next one
+async function runStep(alert) {
+  const steps = loadPolicy().steps;
+
+  if (alert.status !== 'active') {
+    await stopLadder(alert, `Alert ${alert.status}`);
+    return alert.save();
+  }
+  if (isAcknowledged(alert)) {
+    await stopLadder(alert, 'Acknowledged by a contact');
+    return alert.save();
+  }
+
+  const level = alert.escalation.level;
+  const step = steps[level];
+  if (!step) {
+    // The policy lost steps since this alert was scheduled
+    console.warn(`Alert ${alert._id} is at escalation step ${level}, but the policy has ${steps.length}`);
+    await stopLadder(alert, `No escalation step ${level} in the policy`);
+    return alert.save();
+  }
+  const owner = await User.findById(alert.userId);
+  const handler = STEP_HANDLERS[step.type];
+
+  let outcome;
+  try {
+    outcome = handler ? await handler(alert, owner, step) : { recipients: 0, note: `Unknown step type ${step.type}` };
+  } catch (error) {
+    console.error(`Escalation step ${level} failed for alert ${alert._id}:`, error);
+    outcome = { recipients: 0, note: `Step failed: ${error.message}` };
+  }
+
+  alert.escalation.log.push({
+    step: level,
+    type: step.type,
+    tier: step.tier,
+    at: new Date(),
+    recipients: outcome.recipients,
+    note: outcome.note
+  });
+  alert.escalation.level = level + 1;
+  await timeline.record(alert, 'escalation_step', {
+    step: level,
+    type: step.type,
+    tier: step.tier,
+    recipients: outcome.recipients,
+    note: outcome.note
+  });
+  events.publish(events.EVENT_TYPES.ESCALATED, alert, {
+    step: level,
+    type: step.type,
+    tier: step.tier,
+    recipients: outcome.recipients
+  });
+
+  if (level + 1 >= steps.length) {
+    await stopLadder(alert, 'Escalation ladder exhausted');
+  } else {
+    alert.escalation.nextStepAt = new Date(Date.now() + stepWaitMs(alert, steps[level + 1]));
+  }
+  return alert.save();
+}
+
+// Begin the ladder for a new alert; steps with no wait run straight away
+async function start(alert) {
+  const steps = loadPolicy().steps;
+  if (steps.length === 0) return alert;
+
+  alert.escalation = {
+    level: 0,
+    nextStepAt: new Date(Date.now() + stepWaitMs(alert, steps[0])),
+    log: []
+  };
+  if (alert.escalation.nextStepAt > new Date()) {
+    return alert.save();
+  }
+
+  while (alert.escalation.nextStepAt && alert.escalation.nextStepAt <= new Date()) {
+    await runStep(alert);
+  }
+  return alert;
+}
+
+// Stop the ladder without saving (callers save the alert themselves)
+async function stop(alert, reason) {
+  if (alert.escalation && alert.escalation.nextStepAt && !alert.escalation.stoppedAt) {
+    await stopLadder(alert, reason);
+  }
+}
+
+// Run every step that is due
+async function runDueEscalations() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    let alert;
+    while ((alert = await SOSAlert.findOneAndUpdate(
+      { 'escalation.nextStepAt': { $lte: new Date() } },
+      { $set: { 'escalation.nextStepAt': new Date(Date.now() + LOCK_MS) } },
+      { new: true, sort: { 'escalation.nextStepAt': 1 } }
+    ))) {
+      try {
+        await runStep(alert);
+      } catch (error) {
+        console.error(`Escalation error for alert ${alert._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Escalation worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runDueEscalations, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  console.log('SOS escalation worker started');
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  loadPolicy,
+  setPolicy,
+  isAcknowledged,
+  start,
+  stop,
+  runDueEscalations,
+  startWorker,
+  stopWorker
+};
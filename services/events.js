@@ -0,0 +1,102 @@
+const { distanceKm } = require('../utils/geo');
+
+// In-process publish/subscribe for live alert updates. Subscribers either
+// follow one alert or every alert inside a circle (for responders).
+const subscribers = new Set();
+let nextEventId = 1;
+
+// Event types pushed to clients
+const EVENT_TYPES = {
+  CREATED: 'alert.created',
+  LOCATION: 'alert.location',
+  CONTACT_RESPONSE: 'alert.contact_response',
+  STATUS: 'alert.status',
+  ESCALATED: 'alert.escalated',
+  PRIORITY: 'alert.priority',
+  DISPATCH: 'alert.dispatch'
+};
+
+// Fields of each event's data that volunteers may see: nothing that names
+// the person, their contacts or the responders' notes
+const PUBLIC_FIELDS = {
+  [EVENT_TYPES.LOCATION]: ['point'],
+  [EVENT_TYPES.CONTACT_RESPONSE]: ['response'],
+  [EVENT_TYPES.STATUS]: ['status', 'resolvedAt'],
+  [EVENT_TYPES.ESCALATED]: ['step', 'type'],
+  [EVENT_TYPES.PRIORITY]: ['priority', 'previous'],
+  [EVENT_TYPES.DISPATCH]: ['status']
+};
+
+function toPublicEvent(event, alert) {
+  const data = {};
+  if (event.type === EVENT_TYPES.CREATED) {
+    data.alert = alert.getPublicSummary();
+  } else {
+    for (const field of PUBLIC_FIELDS[event.type] || []) {
+      if (event.data[field] !== undefined) data[field] = event.data[field];
+    }
+  }
+  return { ...event, data };
+}
+
+function matches(subscriber, event, alert) {
+  if (subscriber.alertId) {
+    return subscriber.alertId === event.alertId;
+  }
+  // Silent alerts are never shown to people nearby, and nobody is told
+  // about an alert during its grace period
+  if (alert.silent || alert.inGracePeriod) return false;
+  if (subscriber.area && event.location) {
+    const { latitude, longitude, radiusKm } = subscriber.area;
+    return distanceKm(latitude, longitude, event.location.latitude, event.location.longitude) <= radiusKm;
+  }
+  return false;
+}
+
+// subscriber: { alertId } or { area: { latitude, longitude, radiusKm },
+// publicOnly }, plus send(event). publicOnly subscribers (volunteers) get
+// events without personal details.
+function subscribe(subscriber) {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+function publish(type, alert, data = {}) {
+  const event = {
+    id: nextEventId++,
+    type,
+    alertId: alert._id.toString(),
+    location: alert.location && alert.location.latitude != null && !alert.locationUnknown
+      ? { latitude: alert.location.latitude, longitude: alert.location.longitude }
+      : null,
+    data,
+    at: new Date().toISOString()
+  };
+
+  let publicEvent = null;
+  for (const subscriber of subscribers) {
+    if (!matches(subscriber, event, alert)) continue;
+    try {
+      if (subscriber.publicOnly) {
+        publicEvent = publicEvent || toPublicEvent(event, alert);
+        subscriber.send(publicEvent);
+      } else {
+        subscriber.send(event);
+      }
+    } catch (error) {
+      console.error('Failed to push alert event:', error);
+    }
+  }
+  return event;
+}
+
+function subscriberCount() {
+  return subscribers.size;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  publish,
+  subscriberCount
+};
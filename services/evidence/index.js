@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Evidence = require('../../models/Evidence');
+const timeline = require('../timeline');
+const access = require('../access');
+const contactResponses = require('../contactResponses');
+const createLocalDiskStorage = require('./storage/localDisk');
+
+const MAX_FILE_MB = parseFloat(process.env.EVIDENCE_MAX_FILE_MB || '25');
+const MAX_FILE_BYTES = Math.round(MAX_FILE_MB * 1024 * 1024);
+const MAX_FILES_PER_UPLOAD = parseInt(process.env.EVIDENCE_MAX_FILES_PER_UPLOAD || '5', 10);
+const MAX_FILES_PER_ALERT = parseInt(process.env.EVIDENCE_MAX_FILES_PER_ALERT || '20', 10);
+// Longer uploaded file names are cut to this
+const MAX_ORIGINAL_NAME_LENGTH = 255;
+
+// Accepted MIME types: the kind of evidence each one is, and the
+// extension it is stored under (the uploaded file name is never used)
+const ALLOWED_TYPES = {
+  'audio/mpeg': { kind: 'audio', extension: 'mp3' },
+  'audio/mp4': { kind: 'audio', extension: 'm4a' },
+  'audio/aac': { kind: 'audio', extension: 'aac' },
+  'audio/ogg': { kind: 'audio', extension: 'ogg' },
+  'audio/webm': { kind: 'audio', extension: 'weba' },
+  'audio/wav': { kind: 'audio', extension: 'wav' },
+  'audio/3gpp': { kind: 'audio', extension: '3gp' },
+  'image/jpeg': { kind: 'photo', extension: 'jpg' },
+  'image/png': { kind: 'photo', extension: 'png' },
+  'image/webp': { kind: 'photo', extension: 'webp' },
+  'image/heic': { kind: 'photo', extension: 'heic' },
+  'video/mp4': { kind: 'video', extension: 'mp4' },
+  'video/webm': { kind: 'video', extension: 'webm' },
+  'video/quicktime': { kind: 'video', extension: 'mov' },
+  'video/3gpp': { kind: 'video', extension: '3gp' }
+};
+
+class EvidenceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Where files go; swap in another backend with the same interface
+// (name, save(key, buffer), createReadStream(key), exists(key), remove(key))
+let storage = createLocalDiskStorage();
+
+function getStorage() {
+  return storage;
+}
+
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+function isAllowedType(mimeType) {
+  return Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, mimeType);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Alert roles (see access.getAlertRole) that may add and view evidence.
+// A contact qualifies only once they have said they are on their way.
+const EVIDENCE_ROLES = ['owner', access.ROLES.GUARDIAN, access.ROLES.RESPONDER, access.ROLES.PLATFORM_ADMIN];
+
+async function getAccessRole(alert, user) {
+  const role = await access.getAlertRole(alert, user);
+  if (EVIDENCE_ROLES.includes(role)) return role;
+  return role === 'contact' && contactResponses.isResponding(alert, user.phone) ? role : null;
+}
+
+// Hash and store uploaded files (multer memory-storage objects) and
+// record each one on the alert's timeline
+async function addEvidence(alert, user, role, files, { description, recordedAt } = {}) {
+  const existing = await Evidence.countDocuments({ alertId: alert._id });
+  if (existing + files.length > MAX_FILES_PER_ALERT) {
+    throw new EvidenceError(`An alert can have at most ${MAX_FILES_PER_ALERT} evidence files`, 400);
+  }
+
+  const stored = [];
+  for (const file of files) {
+    if (!isAllowedType(file.mimetype)) {
+      throw new EvidenceError(`Unsupported file type: ${file.mimetype}`, 415);
+    }
+
+    const evidenceId = new mongoose.Types.ObjectId();
+    const key = `${alert._id}/${evidenceId}.${ALLOWED_TYPES[file.mimetype].extension}`;
+    const evidence = new Evidence({
+      _id: evidenceId,
+      alertId: alert._id,
+      uploadedBy: user._id,
+      uploaderRole: role,
+      kind: ALLOWED_TYPES[file.mimetype].kind,
+      mimeType: file.mimetype,
+      originalName: (file.originalname || '').slice(0, MAX_ORIGINAL_NAME_LENGTH),
+      size: file.size,
+      sha256: sha256(file.buffer),
+      storage: storage.name,
+      storageKey: key,
+      description,
+      recordedAt
+    });
+
+    // Check the record before the file is written, and remove the file if
+    // the record still can't be saved, so no file is left without one
+    try {
+      await evidence.validate();
+    } catch (error) {
+      throw new EvidenceError(error.message, 400);
+    }
+    await storage.save(key, file.buffer);
+    try {
+      await evidence.save();
+    } catch (error) {
+      await storage.remove(key).catch(removeError =>
+        console.error(`Failed to remove unrecorded evidence file ${key}:`, removeError));
+      throw error;
+    }
+
+    await timeline.record(alert, 'evidence_added', {
+      evidenceId: evidence._id,
+      kind: evidence.kind,
+      mimeType: evidence.mimeType,
+      size: evidence.size,
+      sha256: evidence.sha256
+    }, timeline.actorFor(alert, user));
+
+    stored.push(evidence);
+  }
+  return stored;
+}
+
+function listEvidence(alertId) {
+  return Evidence.find({ alertId }).sort({ uploadedAt: 1 });
+}
+
+function checkStorage(evidence) {
+  if (evidence.storage !== storage.name) {
+    throw new EvidenceError(`Evidence is held in the '${evidence.storage}' store, which is not configured`, 503);
+  }
+}
+
+async function openEvidence(evidence) {
+  checkStorage(evidence);
+  if (!(await storage.exists(evidence.storageKey))) {
+    throw new EvidenceError('Evidence file is missing from storage', 410);
+  }
+  return storage.createReadStream(evidence.storageKey);
+}
+
+// Re-hash the stored file and compare it with the hash taken on upload
+async function verifyEvidence(evidence) {
+  checkStorage(evidence);
+  if (!(await storage.exists(evidence.storageKey))) {
+    return { sha256: null, matches: false, missing: true };
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of storage.createReadStream(evidence.storageKey)) {
+    hash.update(chunk);
+  }
+  const current = hash.digest('hex');
+  return { sha256: current, matches: current === evidence.sha256, missing: false };
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_FILES_PER_ALERT,
+  ALLOWED_TYPES,
+  EVIDENCE_ROLES,
+  EvidenceError,
+  getStorage,
+  setStorage,
+  isAllowedType,
+  getAccessRole,
+  addEvidence,
+  listEvidence,
+  openEvidence,
+  verifyEvidence
+};
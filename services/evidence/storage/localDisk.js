@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Evidence files on the local disk under EVIDENCE_STORAGE_DIR, one
+// directory per alert. Keys are relative paths, so the directory can move.
+function createLocalDiskStorage(options = {}) {
+  const root = path.resolve(options.root || process.env.EVIDENCE_STORAGE_DIR || 'uploads/evidence');
+
+  // Keys come from our own records, but never let one escape the root
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid evidence key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // 'wx' refuses to overwrite: stored evidence is never replaced
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx', mode: 0o600 });
+      return { key };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    // Only for a file whose evidence record could not be saved
+    async remove(key) {
+      await fs.promises.unlink(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = createLocalDiskStorage;
@@ -0,0 +1,257 @@
+const PDFDocument = require('pdfkit');
+const NotificationJob = require('../models/NotificationJob');
+const Evidence = require('../models/Evidence');
+const timeline = require('./timeline');
+const { getAlertLocationLink } = require('./notifications/messages');
+const { maskAadhar } = require('../utils/aadhar');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+// The PDF samples long trails; the JSON export always has every point
+const PDF_MAX_TRAIL_POINTS = parseInt(process.env.REPORT_PDF_MAX_TRAIL_POINTS || '100', 10);
+// pdfkit's built-in fonts only cover Latin text. Point these at local
+// TrueType fonts (e.g. Noto Sans Devanagari) to print Hindi, Telugu or Tamil names.
+const PDF_FONT = process.env.REPORT_PDF_FONT;
+const PDF_BOLD_FONT = process.env.REPORT_PDF_BOLD_FONT || PDF_FONT;
+
+function formatTime(date) {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('en-IN', {
+    timeZone: REPORT_TIMEZONE,
+    dateStyle: 'medium',
+    timeStyle: 'medium'
+  });
+}
+
+function formatSeconds(seconds) {
+  if (seconds == null) return '-';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+}
+
+function actorName(actor) {
+  if (!actor || actor.kind === 'system') return 'System';
+  const who = actor.name || actor.phone || 'Unknown';
+  return actor.kind === 'owner' ? `${who} (user)` : who;
+}
+
+// One line per timeline event, for people reading the PDF
+function describeEvent(event) {
+  const data = event.data || {};
+  const recipient = data.recipient ? data.recipient.name || data.recipient.phone || data.recipient.email : '';
+  switch (event.type) {
+    case 'created':
+      return `SOS raised (${data.trigger || 'manual'}), ${data.emergencyType || 'other'}`;
+    case 'repeat_press':
+      return `SOS pressed again (press ${data.pressCount})`;
+    case 'notification_attempt':
+      return `${data.kind === 'call' ? 'Call' : 'Message'} to ${recipient} via ${data.channel || '-'}: ${data.status}${data.error ? ` (${data.error})` : ''}`;
+    case 'notification_cancelled':
+      return `Notification to ${recipient} cancelled: ${data.reason}`;
+    case 'contact_response':
+      return `${actorName(event.actor)} responded: ${data.response} (${data.source})`;
+    case 'location_update':
+      return `Location ${data.latitude}, ${data.longitude}${data.accuracy != null ? ` (±${Math.round(data.accuracy)} m)` : ''}`;
+    case 'status_change':
+      return `Status ${data.from} -> ${data.to}${data.resolutionNotes ? `: ${data.resolutionNotes}` : ''}`;
+    case 'priority_change':
+      return `Priority ${data.from} -> ${data.to}`;
+    case 'escalation_step':
+      return `Escalation step ${data.step}: ${data.type}${data.recipients != null ? `, ${data.recipients} recipient(s)` : ''}`;
+    case 'escalation_stopped':
+      return `Escalation stopped: ${data.reason}`;
+    case 'police_update':
+      return `${data.organization || 'Police'} ${data.status}${data.recipient ? ` (${data.recipient})` : ''}${data.note ? `: ${data.note}` : ''}`;
+    case 'evidence_added':
+      return `Evidence added: ${data.kind}, SHA-256 ${data.sha256}`;
+    default:
+      return event.type;
+  }
+}
+
+// Everything an FIR needs about one alert, as plain JSON
+async function buildReport(alert) {
+  const [events, jobs, evidence] = await Promise.all([
+    timeline.getTimeline(alert._id),
+    NotificationJob.find({ alertId: alert._id }).sort({ createdAt: 1 }),
+    Evidence.find({ alertId: alert._id }).sort({ uploadedAt: 1 })
+  ]);
+  const metrics = timeline.computeMetrics(alert, events);
+  const policeUpdates = events.filter(event => event.type === 'police_update');
+
+  return {
+    generatedAt: new Date(),
+    timezone: REPORT_TIMEZONE,
+    alert: {
+      id: alert._id,
+      status: alert.status,
+      priority: alert.priority,
+      emergencyType: alert.emergencyType,
+      trigger: alert.trigger,
+      description: alert.description,
+      pressCount: alert.pressCount,
+      createdAt: alert.createdAt,
+      resolvedAt: alert.resolvedAt,
+      resolutionNotes: alert.resolutionNotes
+    },
+    complainant: {
+      name: alert.userName,
+      phone: alert.userPhone,
+      aadhar: maskAadhar(alert.userAadhar)
+    },
+    location: {
+      latitude: alert.location.latitude,
+      longitude: alert.location.longitude,
+      address: alert.location.address,
+      mapLink: getAlertLocationLink(alert)
+    },
+    locationTrail: alert.locationTrail.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      speed: point.speed,
+      recordedAt: point.recordedAt
+    })),
+    notifications: jobs.map(job => job.getDeliverySummary()),
+    responses: alert.notifiedContacts
+      .filter(contact => contact.response && contact.response !== 'pending')
+      .map(contact => ({
+        name: contact.name,
+        phone: contact.phone,
+        response: contact.response,
+        respondedAt: contact.respondedAt,
+        source: contact.responseSource
+      })),
+    police: {
+      notified: alert.policeNotified,
+      notifiedAt: alert.policeResponse && alert.policeResponse.notifiedAt,
+      ...alert.getDispatchSummary(),
+      timeToPoliceNotifiedSeconds: metrics.timeToPoliceNotified,
+      updates: policeUpdates.map(event => ({ at: event.at, status: event.data.status }))
+    },
+    evidence: evidence.map(item => item.getSummary()),
+    metrics,
+    timeline: events.map(event => ({
+      at: event.at,
+      type: event.type,
+      actor: event.actor,
+      summary: describeEvent(event),
+      data: event.data
+    }))
+  };
+}
+
+// Evenly spaced points, always keeping the first and last
+function sampleTrail(points, max) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+// Render a report as a PDF, entirely in-process. Returns the document
+// stream; the caller pipes it to the response.
+function renderPdf(report) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Incident report ${report.alert.id}` } });
+  const regular = PDF_FONT ? 'Body' : 'Helvetica';
+  const bold = PDF_FONT ? 'Body-Bold' : 'Helvetica-Bold';
+  if (PDF_FONT) {
+    doc.registerFont('Body', PDF_FONT);
+    doc.registerFont('Body-Bold', PDF_BOLD_FONT);
+  }
+
+  const heading = (text) => {
+    doc.moveDown(0.8).font(bold).fontSize(13).text(text).moveDown(0.3);
+    doc.font(regular).fontSize(10);
+  };
+  const field = (label, value) => {
+    doc.font(bold).text(`${label}: `, { continued: true })
+      .font(regular).text(value == null || value === '' ? '-' : String(value));
+  };
+
+  doc.font(bold).fontSize(18).text('Incident Report', { align: 'center' });
+  doc.font(regular).fontSize(9)
+    .text(`Generated ${formatTime(report.generatedAt)} (${report.timezone})`, { align: 'center' });
+
+  heading('Complainant');
+  field('Name', report.complainant.name);
+  field('Phone', report.complainant.phone);
+  field('Aadhaar', report.complainant.aadhar);
+
+  heading('Incident');
+  field('Alert ID', report.alert.id);
+  field('Raised', formatTime(report.alert.createdAt));
+  field('How', report.alert.trigger);
+  field('Type', report.alert.emergencyType);
+  field('Priority', report.alert.priority);
+  field('Description', report.alert.description);
+  field('SOS presses', report.alert.pressCount);
+  field('Status', report.alert.status);
+  field('Closed', formatTime(report.alert.resolvedAt));
+  field('Resolution notes', report.alert.resolutionNotes);
+
+  heading('Location');
+  field('Address', report.location.address);
+  field('Coordinates', `${report.location.latitude}, ${report.location.longitude}`);
+  field('Map', report.location.mapLink);
+
+  heading('Police');
+  field('Notified', report.police.notified ? formatTime(report.police.notifiedAt) : 'No');
+  field('Time to notify police', formatSeconds(report.police.timeToPoliceNotifiedSeconds));
+  field('Handled by', report.police.organizationName);
+  field('Police status', report.police.status);
+  field('Claimed', formatTime(report.police.claimedAt));
+  field('Dispatched', formatTime(report.police.dispatchedAt));
+  field('Arrived', formatTime(report.police.arrivedAt));
+  field('Police response time', report.police.responseTime != null ? `${report.police.responseTime} min` : '-');
+
+  for (const note of report.police.notes) {
+    doc.text(`${formatTime(note.at)}  ${note.authorName || 'Staff'}: ${note.text}`);
+  }
+
+  heading('Response times');
+  field('First notification delivered', formatSeconds(report.metrics.timeToFirstNotification));
+  field('First response', formatSeconds(report.metrics.timeToFirstResponse));
+  field('First acknowledgement', formatSeconds(report.metrics.timeToFirstAcknowledgement));
+  field('Alert closed', formatSeconds(report.metrics.timeToClose));
+  field('Notification attempts', `${report.metrics.notificationAttempts} (${report.metrics.failedNotificationAttempts} failed)`);
+
+  heading('Responses');
+  if (report.responses.length === 0) {
+    doc.text('No responses recorded.');
+  }
+  for (const response of report.responses) {
+    doc.text(`${formatTime(response.respondedAt)}  ${response.name || response.phone}: ${response.response} (${response.source || '-'})`);
+  }
+
+  heading('Evidence');
+  if (report.evidence.length === 0) {
+    doc.text('No evidence attached.');
+  }
+  for (const item of report.evidence) {
+    doc.font(bold).text(`${item.kind}: ${item.originalName || item.id} (${item.size} bytes)`);
+    doc.font(regular).text(`Uploaded ${formatTime(item.uploadedAt)}${item.recordedAt ? `, recorded ${formatTime(item.recordedAt)}` : ''} by ${item.uploaderRole}`);
+    doc.font('Courier').fontSize(8).text(`SHA-256 ${item.sha256}`).font(regular).fontSize(10).moveDown(0.3);
+  }
+
+  heading('Location trail');
+  const trail = sampleTrail(report.locationTrail, PDF_MAX_TRAIL_POINTS);
+  if (trail.length < report.locationTrail.length) {
+    doc.text(`${trail.length} of ${report.locationTrail.length} points shown; the JSON export has the full trail.`).moveDown(0.3);
+  }
+  for (const point of trail) {
+    doc.text(`${formatTime(point.recordedAt)}  ${point.latitude}, ${point.longitude}${point.accuracy != null ? `  ±${Math.round(point.accuracy)} m` : ''}`);
+  }
+
+  heading('Timeline');
+  for (const event of report.timeline) {
+    doc.text(`${formatTime(event.at)}  ${event.summary}`);
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  buildReport,
+  renderPdf,
+  describeEvent
+};
@@ -0,0 +1,196 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const notifications = require('./notifications');
+const { buildAccountLockedMessage } = require('./notifications/messages');
+
+// After this many failures in a row each attempt must wait, twice as long
+// each time, up to LOGIN_MAX_DELAY_SECONDS
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10);
+const BASE_DELAY_SECONDS = parseInt(process.env.LOGIN_BASE_DELAY_SECONDS || '2', 10);
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10);
+// This many failures in a row lock the Aadhar number; every lockout before
+// the next successful login doubles the length, up to LOGIN_MAX_LOCKOUT_MINUTES
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES || '1440', 10);
+
+class LoginThrottleError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.status = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function delaySeconds(failures) {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(BASE_DELAY_SECONDS * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+}
+
+function lockoutMinutes(previousLockouts) {
+  return Math.min(LOCKOUT_MINUTES * 2 ** previousLockouts, MAX_LOCKOUT_MINUTES);
+}
+
+// Store one attempt for review. Never throws, so a history write can't
+// block a login.
+async function recordAttempt(aadhar, user, req, outcome) {
+  try {
+    await LoginAttempt.create({
+      aadhar,
+      userId: user ? user._id : undefined,
+      outcome,
+      ipAddress: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error);
+  }
+}
+
+function throttleError(throttle, now) {
+  if (!throttle || !(throttle.lockedUntil > now || throttle.nextAttemptAt > now)) {
+    // Lost a race with a parallel attempt for the same number
+    return new LoginThrottleError('Please try again', 1);
+  }
+  if (throttle.lockedUntil > now) {
+    const minutes = Math.ceil((throttle.lockedUntil - now) / 60000);
+    return new LoginThrottleError(
+      `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password`,
+      Math.ceil((throttle.lockedUntil - now) / 1000)
+    );
+  }
+  const seconds = Math.max(1, Math.ceil((throttle.nextAttemptAt - now) / 1000));
+  return new LoginThrottleError(`Too many failed login attempts. Wait ${seconds} seconds and try again`, seconds);
+}
+
+// Take an attempt for the Aadhar number before the password is checked, so
+// parallel guesses can't slip past the delay. Throws LoginThrottleError while
+// the number is locked or waiting out its delay. The attempt counts as a
+// failure until recordSuccess() clears it.
+async function reserveAttempt(aadhar, req) {
+  const now = new Date();
+  let throttle;
+  try {
+    throttle = await LoginThrottle.findOneAndUpdate(
+      {
+        aadhar,
+        lockedUntil: { $not: { $gt: now } },
+        nextAttemptAt: { $not: { $gt: now } }
+      },
+      { $inc: { failures: 1 }, $set: { lastAttemptAt: now } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert hits the unique index when the existing record is closed
+    if (error.code !== 11000) throw error;
+    throttle = await LoginThrottle.findOne({ aadhar });
+    const locked = Boolean(throttle && throttle.lockedUntil > now);
+    await recordAttempt(aadhar, null, req, locked ? 'locked' : 'throttled');
+    throw throttleError(throttle, now);
+  }
+
+  const delay = delaySeconds(throttle.failures);
+  if (delay > 0) {
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { nextAttemptAt: new Date(now.getTime() + delay * 1000) } }
+    );
+  }
+  return throttle;
+}
+
+// The password was right: start the count over
+async function recordSuccess(aadhar, user, req, outcome = 'success') {
+  await LoginThrottle.updateOne(
+    { aadhar },
+    { $set: { failures: 0, lockouts: 0, nextAttemptAt: null, lockedUntil: null } }
+  );
+  await recordAttempt(aadhar, user, req, outcome);
+}
+
+// The attempt taken by reserveAttempt() failed. Locks the number once the
+// failures reach the threshold and texts the account's owner in the
+// background.
+async function recordFailure(throttle, user, req, outcome) {
+  await recordAttempt(throttle.aadhar, user, req, outcome);
+  if (throttle.failures < LOCKOUT_THRESHOLD) return;
+
+  const minutes = lockoutMinutes(throttle.lockouts);
+  const now = new Date();
+  const locked = await LoginThrottle.updateOne(
+    { _id: throttle._id, lockedUntil: { $not: { $gt: now } } },
+    {
+      $set: {
+        failures: 0,
+        nextAttemptAt: null,
+        lockedUntil: new Date(now.getTime() + minutes * 60 * 1000)
+      },
+      $inc: { lockouts: 1 }
+    }
+  );
+
+  if (locked.modifiedCount > 0 && user) {
+    console.warn(`Locked login for user ${user._id} for ${minutes} minutes`);
+    // Not awaited: a slow or failing SMS provider mustn't hold up or fail
+    // the login response
+    notifications.notify(
+      { name: user.name, phone: user.phone },
+      buildAccountLockedMessage(minutes, user.preferredLanguage),
+      { channels: ['sms'] }
+    ).catch(error => console.error('Lockout SMS error:', error));
+  }
+}
+
+// A wrong second-factor code counts like a wrong password, so knowing the
+// password doesn't allow unlimited guesses at the code
+async function recordSecondFactorFailure(user, req) {
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { aadhar: user.aadhar },
+    { $inc: { failures: 1 }, $set: { lastAttemptAt: new Date() } },
+    { upsert: true, new: true }
+  );
+  await recordFailure(throttle, user, req, 'bad_second_factor');
+}
+
+// Throws LoginThrottleError while the Aadhar number is locked
+async function assertNotLocked(aadhar) {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOne({ aadhar });
+  if (throttle && throttle.lockedUntil > now) {
+    throw throttleError(throttle, now);
+  }
+}
+
+// Lift a lockout or delay (platform admins). Returns whether one was in force.
+async function unlock(aadhar) {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { aadhar },
+    { $set: { failures: 0, lockouts: 0, nextAttemptAt: null, lockedUntil: null } }
+  );
+  return Boolean(throttle) && (throttle.lockedUntil > now || throttle.nextAttemptAt > now);
+}
+
+// Where the Aadhar number stands, for admins reviewing an account
+async function getStatus(aadhar) {
+  const throttle = await LoginThrottle.findOne({ aadhar });
+  const now = new Date();
+  return {
+    failures: throttle ? throttle.failures : 0,
+    lockouts: throttle ? throttle.lockouts : 0,
+    lockedUntil: throttle && throttle.lockedUntil > now ? throttle.lockedUntil : null,
+    nextAttemptAt: throttle && throttle.nextAttemptAt > now ? throttle.nextAttemptAt : null
+  };
+}
+
+module.exports = {
+  LoginThrottleError,
+  recordAttempt,
+  reserveAttempt,
+  recordSuccess,
+  recordFailure,
+  recordSecondFactorFailure,
+  assertNotLocked,
+  unlock,
+  getStatus
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Local stand-in channel for development: logs to the console and,
+// if NOTIFICATION_LOG_FILE is set, appends one JSON line per message
+function createLocalChannel(options = {}) {
+  const logFile = options.logFile || process.env.NOTIFICATION_LOG_FILE;
+
+  return {
+    name: 'local',
+
+    isConfigured() {
+      return true;
+    },
+
+    supports() {
+      return true;
+    },
+
+    async send(recipient, message) {
+      const providerMessageId = `local-${crypto.randomBytes(8).toString('hex')}`;
+
+      console.log(`🚨 EMERGENCY ALERT - Manual notification required:`);
+      console.log(`Recipient: ${recipient.name || 'Unknown'} (${recipient.phone || recipient.email})`);
+      console.log(message.body);
+      if (message.alertId) {
+        console.log(`Alert ID: ${message.alertId}`);
+      }
+
+      if (logFile) {
+        const entry = {
+          id: providerMessageId,
+          recipient,
+          subject: message.subject,
+          body: message.body,
+          alertId: message.alertId ? message.alertId.toString() : undefined,
+          loggedAt: new Date().toISOString()
+        };
+        await fs.promises.appendFile(logFile, JSON.stringify(entry) + '\n');
+      }
+
+      return {
+        providerMessageId,
+        status: 'logged'
+      };
+    }
+  };
+}
+
+module.exports = createLocalChannel;
@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+// SMTP email channel
+function createSmtpEmailChannel(options = {}) {
+  const host = options.host || process.env.SMTP_HOST;
+  const port = parseInt(options.port || process.env.SMTP_PORT || '587', 10);
+  const user = options.user || process.env.SMTP_USER;
+  const pass = options.pass || process.env.SMTP_PASS;
+  const from = options.from || process.env.SMTP_FROM || user;
+  const transport = options.transport || (host ? nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  }) : null);
+
+  return {
+    name: 'email',
+
+    isConfigured() {
+      return !!(transport && from);
+    },
+
+    supports(recipient) {
+      return !!recipient.email;
+    },
+
+    async send(recipient, message) {
+      const info = await transport.sendMail({
+        from,
+        to: recipient.email,
+        subject: message.subject,
+        text: message.body
+      });
+
+      if (info.rejected && info.rejected.length > 0) {
+        throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+      }
+
+      return {
+        providerMessageId: info.messageId,
+        status: 'sent'
+      };
+    }
+  };
+}
+
+module.exports = createSmtpEmailChannel;
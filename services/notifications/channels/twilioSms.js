@@ -0,0 +1,38 @@
+const twilio = require('twilio');
+const { formatPhoneNumber } = require('../../../utils/phone');
+const { normalizeStatus } = require('../status');
+
+// Twilio SMS channel
+function createTwilioSmsChannel(options = {}) {
+  const accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const from = options.from || process.env.TWILIO_PHONE_NUMBER;
+  const client = options.client || (accountSid && authToken ? new twilio(accountSid, authToken) : null);
+
+  return {
+    name: 'sms',
+
+    isConfigured() {
+      return !!(client && from);
+    },
+
+    supports(recipient) {
+      return !!recipient.phone;
+    },
+
+    async send(recipient, message) {
+      const result = await client.messages.create({
+        body: message.sms || message.body,
+        from,
+        to: formatPhoneNumber(recipient.phone)
+      });
+
+      return {
+        providerMessageId: result.sid,
+        status: normalizeStatus(result.status)
+      };
+    }
+  };
+}
+
+module.exports = createTwilioSmsChannel;
@@ -0,0 +1,60 @@
+const twilio = require('twilio');
+const { formatPhoneNumber } = require('../../../utils/phone');
+const { normalizeStatus } = require('../status');
+
+// Escape text for use inside TwiML
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// <Say> languages for the message languages we send
+const SAY_LANGUAGES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  te: 'te-IN',
+  ta: 'ta-IN'
+};
+
+// Twilio voice call channel: reads the message out loud, twice
+function createTwilioVoiceChannel(options = {}) {
+  const accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const from = options.from || process.env.TWILIO_PHONE_NUMBER;
+  const client = options.client || (accountSid && authToken ? new twilio(accountSid, authToken) : null);
+
+  return {
+    name: 'voice',
+    kind: 'call',
+
+    isConfigured() {
+      return !!(client && from);
+    },
+
+    supports(recipient) {
+      return !!recipient.phone;
+    },
+
+    async send(recipient, message) {
+      // Emoji don't read well over a call (combining marks are kept for Indic scripts)
+      const spoken = escapeXml(message.body.replace(/[^\p{L}\p{M}\p{N}\p{P}\s]/gu, ''));
+      const say = `<Say language="${SAY_LANGUAGES[message.language] || SAY_LANGUAGES.en}">${spoken}</Say>`;
+      const result = await client.calls.create({
+        twiml: `<Response>${say}<Pause length="1"/>${say}</Response>`,
+        from,
+        to: formatPhoneNumber(recipient.phone)
+      });
+
+      return {
+        providerMessageId: result.sid,
+        status: normalizeStatus(result.status)
+      };
+    }
+  };
+}
+
+module.exports = createTwilioVoiceChannel;
@@ -0,0 +1,93 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { normalizeStatus } = require('../status');
+
+// POST a JSON payload and resolve with the parsed response body
+function postJson(url, payload, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const data = JSON.stringify(payload);
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+        }
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (err) {
+          resolve({});
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+    req.on('error', reject);
+    req.write(data);
+    req.end();
+  });
+}
+
+// Generic HTTP webhook channel
+function createWebhookChannel(options = {}) {
+  const url = options.url || process.env.NOTIFICATION_WEBHOOK_URL;
+  const secret = options.secret || process.env.NOTIFICATION_WEBHOOK_SECRET;
+  const timeoutMs = options.timeoutMs || 10000;
+
+  return {
+    name: 'webhook',
+
+    isConfigured() {
+      return !!url;
+    },
+
+    supports(recipient) {
+      return !!(recipient.phone || recipient.email);
+    },
+
+    async send(recipient, message) {
+      const payload = {
+        recipient: {
+          name: recipient.name,
+          phone: recipient.phone,
+          email: recipient.email
+        },
+        subject: message.subject,
+        body: message.body,
+        alertId: message.alertId ? message.alertId.toString() : undefined,
+        sentAt: new Date().toISOString()
+      };
+
+      // Sign the payload so the receiver can verify it came from us
+      const headers = {};
+      if (secret) {
+        headers['X-VoiceOfHer-Signature'] = crypto
+          .createHmac('sha256', secret)
+          .update(JSON.stringify(payload))
+          .digest('hex');
+      }
+
+      const response = await postJson(url, payload, headers, timeoutMs);
+
+      return {
+        providerMessageId: response.id || response.messageId || null,
+        status: normalizeStatus(response.status)
+      };
+    }
+  };
+}
+
+module.exports = createWebhookChannel;
@@ -0,0 +1,156 @@
+const createTwilioSmsChannel = require('./channels/twilioSms');
+const createTwilioVoiceChannel = require('./channels/twilioVoice');
+const createSmtpEmailChannel = require('./channels/smtpEmail');
+const createWebhookChannel = require('./channels/webhook');
+const createLocalChannel = require('./channels/local');
+const { DELIVERY_STATUSES, normalizeStatus } = require('./status');
+const { formatPhoneNumber } = require('../../utils/phone');
+
+// Registered channels, keyed by name
+const channels = new Map();
+
+// Stand-in used when no real channel can reach a recipient
+let fallbackChannel = createLocalChannel();
+
+function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+function unregisterChannel(name) {
+  channels.delete(name);
+}
+
+function getChannel(name) {
+  return channels.get(name);
+}
+
+function setFallbackChannel(channel) {
+  fallbackChannel = channel;
+}
+
+// Channels carry a kind: 'message' (the default) or 'call'
+function channelKind(channel) {
+  return channel.kind || 'message';
+}
+
+// Delivery order, e.g. NOTIFICATION_CHANNELS=sms,email,webhook
+function getChannelOrder(kind = 'message') {
+  const configured = (process.env.NOTIFICATION_CHANNELS || 'sms,email,webhook')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && (!channels.has(name) || channelKind(channels.get(name)) === kind));
+
+  // Channels registered at runtime but missing from the env list go last
+  for (const [name, channel] of channels) {
+    if (!configured.includes(name) && channelKind(channel) === kind) configured.push(name);
+  }
+  return configured;
+}
+
+function getConfiguredChannels(kind) {
+  const names = kind ? getChannelOrder(kind) : getChannelOrder('message').concat(getChannelOrder('call'));
+  return names
+    .map(name => channels.get(name))
+    .filter(channel => channel && channel.isConfigured())
+    .map(channel => channel.name);
+}
+
+// Send one message to one recipient, trying channels in order until one succeeds.
+// Always resolves with a delivery result; never throws. Pass
+// `fallbackOnFailure: false` to skip the manual-notification log when every
+// channel failed (the outbox does this until a job runs out of attempts).
+async function notify(recipient, message, options = {}) {
+  const order = options.channels || getChannelOrder(options.kind);
+  const candidates = order
+    .map(name => channels.get(name))
+    .filter(channel => channel && channel.isConfigured() && channel.supports(recipient));
+
+  const result = {
+    name: recipient.name,
+    phone: formatPhoneNumber(recipient.phone),
+    email: recipient.email,
+    relationship: recipient.relationship,
+    channel: null,
+    providerMessageId: null,
+    status: 'failed',
+    error: ''
+  };
+
+  const errors = [];
+  for (const channel of candidates) {
+    try {
+      const delivery = await channel.send(recipient, message);
+      return {
+        ...result,
+        channel: channel.name,
+        providerMessageId: delivery.providerMessageId || null,
+        status: normalizeStatus(delivery.status),
+        error: ''
+      };
+    } catch (err) {
+      console.error(`Failed to notify ${recipient.name || 'recipient'} via ${channel.name}:`, err);
+      errors.push(`${channel.name} failed: ${err.message}`);
+    }
+  }
+
+  if (errors.length > 0 && options.fallbackOnFailure === false) {
+    return {
+      ...result,
+      channel: candidates[candidates.length - 1].name,
+      error: errors.join('; ')
+    };
+  }
+
+  // Nothing delivered it: record it for manual follow-up
+  try {
+    const delivery = await fallbackChannel.send(recipient, message);
+    if (errors.length > 0) {
+      return {
+        ...result,
+        channel: candidates[candidates.length - 1].name,
+        error: errors.join('; ')
+      };
+    }
+    return {
+      ...result,
+      channel: fallbackChannel.name,
+      providerMessageId: delivery.providerMessageId || null,
+      status: 'logged',
+      error: 'No notification channel configured - emergency logged for manual notification'
+    };
+  } catch (err) {
+    console.error('Fallback notification channel failed:', err);
+    errors.push(`${fallbackChannel.name} failed: ${err.message}`);
+    return { ...result, error: errors.join('; ') };
+  }
+}
+
+// Notify a list of recipients one after another
+async function notifyAll(recipients, message, options = {}) {
+  const results = [];
+  for (const recipient of recipients) {
+    results.push(await notify(recipient, message, options));
+  }
+  return results;
+}
+
+registerChannel(createTwilioSmsChannel());
+registerChannel(createTwilioVoiceChannel());
+registerChannel(createSmtpEmailChannel());
+registerChannel(createWebhookChannel());
+
+module.exports = {
+  DELIVERY_STATUSES,
+  registerChannel,
+  unregisterChannel,
+  getChannel,
+  setFallbackChannel,
+  getConfiguredChannels,
+  notify,
+  notifyAll,
+  createTwilioSmsChannel,
+  createTwilioVoiceChannel,
+  createSmtpEmailChannel,
+  createWebhookChannel,
+  createLocalChannel
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { RESPONSE_LINK_PLACEHOLDER, buildResponseUrl } = require('../responseLinks');
+const { countSegments } = require('./segments');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../../utils/languages');
+
+const TEMPLATES_DIR = process.env.MESSAGE_TEMPLATES_DIR || path.join(__dirname, '..', '..', 'config', 'messages');
+const SMS_MAX_SEGMENTS = parseInt(process.env.SMS_MAX_SEGMENTS || '4', 10);
+
+let catalogs = null;
+
+// Load config/messages/<language>.json for every supported language and
+// warn about SMS templates that would run past the segment limit
+function loadTemplates() {
+  if (!catalogs) {
+    catalogs = {};
+    for (const language of SUPPORTED_LANGUAGES) {
+      const file = path.join(TEMPLATES_DIR, `${language}.json`);
+      if (fs.existsSync(file)) {
+        catalogs[language] = JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    }
+    if (!catalogs[DEFAULT_LANGUAGE]) {
+      throw new Error(`Missing ${DEFAULT_LANGUAGE}.json in ${TEMPLATES_DIR}`);
+    }
+    checkTemplateLengths();
+  }
+  return catalogs;
+}
+
+function setTemplates(newCatalogs) {
+  catalogs = newCatalogs;
+}
+
+// Replace {variable} placeholders; unknown ones are left as they are
+function fillTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : match);
+}
+
+// The SMS as it will be sent, with a real-length response link in place
+function measureSms(sms) {
+  const sampleLink = buildResponseUrl('0'.repeat(24));
+  return countSegments(sms.split(RESPONSE_LINK_PLACEHOLDER).join(sampleLink));
+}
+
+function checkTemplateLengths() {
+  const sample = {
+    name: 'Sample User Name',
+    phone: '+919876543210',
+    mapLink: 'https://maps.google.com/?q=17.385044,78.486671',
+    alertId: '0'.repeat(24),
+    alertLink: RESPONSE_LINK_PLACEHOLDER
+  };
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    for (const [name, template] of Object.entries(catalog.templates || {})) {
+      if (!template.sms) continue;
+      const emergencyType = (catalog.emergencyTypes || {}).other || 'other';
+      const { segments } = measureSms(fillTemplate(template.sms, { ...sample, emergencyType }));
+      if (segments > SMS_MAX_SEGMENTS) {
+        console.warn(`Message template ${language}/${name} needs ${segments} SMS segments (limit ${SMS_MAX_SEGMENTS})`);
+      }
+    }
+  }
+}
+
+function getTemplate(name, language) {
+  const all = loadTemplates();
+  const catalog = all[language] && all[language].templates[name] ? all[language] : all[DEFAULT_LANGUAGE];
+  return { catalog, template: catalog.templates[name] };
+}
+
+// Render a named template in the recipient's language (English if the
+// language or template is missing). The SMS text falls back to English when
+// the translation would need more than SMS_MAX_SEGMENTS segments.
+function renderTemplate(name, language, variables) {
+  const resolved = SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  const { catalog, template } = getTemplate(name, resolved);
+  if (!template) {
+    throw new Error(`Unknown message template: ${name}`);
+  }
+
+  const localize = (source) => ({
+    ...variables,
+    emergencyType: (source.emergencyTypes || {})[variables.emergencyType] || variables.emergencyType,
+    alertLink: RESPONSE_LINK_PLACEHOLDER
+  });
+  const values = localize(catalog);
+
+  const message = {
+    subject: fillTemplate(template.subject, values),
+    body: fillTemplate(template.body, values),
+    language: resolved
+  };
+
+  if (template.sms) {
+    let sms = fillTemplate(template.sms, values);
+    if (measureSms(sms).segments > SMS_MAX_SEGMENTS && resolved !== DEFAULT_LANGUAGE) {
+      const fallback = getTemplate(name, DEFAULT_LANGUAGE);
+      sms = fillTemplate(fallback.template.sms, localize(fallback.catalog));
+    }
+    const { segments } = measureSms(sms);
+    if (segments > SMS_MAX_SEGMENTS) {
+      // Never hold back an SOS over its length
+      console.warn(`SMS for template ${name} needs ${segments} segments (limit ${SMS_MAX_SEGMENTS})`);
+    }
+    message.sms = sms;
+  }
+
+  return message;
+}
+
+// Google Maps link for an alert's location
+function getAlertLocationLink(alert) {
+  return alert.location && !alert.locationUnknown && alert.location.latitude && alert.location.longitude
+    ? `https://maps.google.com/?q=${alert.location.latitude},${alert.location.longitude}`
+    : 'Location not available';
+}
+
+// Emergency message sent to everyone notified about an alert
+function buildEmergencyMessage(user, alert, language = DEFAULT_LANGUAGE) {
+  return {
+    ...renderTemplate('emergency', language, {
+      name: user.name || 'A user',
+      phone: user.phone,
+      mapLink: getAlertLocationLink(alert),
+      emergencyType: alert.emergencyType,
+      alertId: alert._id
+    }),
+    alertId: alert._id
+  };
+}
+
+// Message sent to the police channel when an alert escalates that far
+function buildPoliceMessage(alert, language = DEFAULT_LANGUAGE) {
+  return {
+    ...renderTemplate('police', language, {
+      name: alert.userName,
+      phone: alert.userPhone,
+      mapLink: getAlertLocationLink(alert),
+      emergencyType: alert.emergencyType,
+      alertId: alert._id
+    }),
+    alertId: alert._id
+  };
+}
+
+// Follow-up telling everyone who was notified that the user is safe
+function buildAllClearMessage(alert, language = DEFAULT_LANGUAGE) {
+  return {
+    ...renderTemplate('allClear', language, {
+      name: alert.userName,
+      phone: alert.userPhone,
+      alertId: alert._id
+    }),
+    alertId: alert._id
+  };
+}
+
+// One-time verification code for registration or login
+function buildOtpMessage(code, minutes, language = DEFAULT_LANGUAGE) {
+  return renderTemplate('otp', language, { code, minutes });
+}
+
+// Email with a single-use link for choosing a new password
+function buildPasswordResetMessage(link, minutes, language = DEFAULT_LANGUAGE) {
+  return renderTemplate('passwordReset', language, { link, minutes });
+}
+
+// Warning that repeated failed logins locked the account
+function buildAccountLockedMessage(minutes, language = DEFAULT_LANGUAGE) {
+  return renderTemplate('accountLocked', language, { minutes });
+}
+
+// Invitation to join a responder organization's staff
+function buildStaffInvitationMessage(organization, language = DEFAULT_LANGUAGE) {
+  return renderTemplate('staffInvitation', language, { organization });
+}
+
+const SMS_REPLY_TEMPLATES = {
+  acknowledged: 'smsReplyAcknowledged',
+  responding: 'smsReplyResponding',
+  declined: 'smsReplyDeclined'
+};
+
+// Answer to an SMS reply about an alert: a confirmation of the recorded
+// response, or how to reply when it wasn't understood (response null)
+function buildSmsReplyMessage(alert, response, language = DEFAULT_LANGUAGE) {
+  return renderTemplate(SMS_REPLY_TEMPLATES[response] || 'smsReplyHelp', language, {
+    name: alert.userName,
+    mapLink: getAlertLocationLink(alert)
+  });
+}
+
+module.exports = {
+  SMS_MAX_SEGMENTS,
+  loadTemplates,
+  setTemplates,
+  renderTemplate,
+  getAlertLocationLink,
+  buildEmergencyMessage,
+  buildPoliceMessage,
+  buildAllClearMessage,
+  buildOtpMessage,
+  buildPasswordResetMessage,
+  buildAccountLockedMessage,
+  buildStaffInvitationMessage,
+  buildSmsReplyMessage
+};
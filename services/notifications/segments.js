@@ -0,0 +1,37 @@
+// SMS segment counting. Text that fits the GSM 03.38 alphabet is sent as
+// GSM-7 (160 characters, or 153 per part when split); anything else,
+// including Indic scripts and emoji, goes as UCS-2 (70, or 67 per part).
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+function countSegments(text) {
+  let gsmUnits = 0;
+  for (const char of text) {
+    if (GSM7_BASIC.includes(char)) {
+      gsmUnits += 1;
+    } else if (GSM7_EXTENDED.includes(char)) {
+      gsmUnits += 2; // escape character plus the character itself
+    } else {
+      gsmUnits = -1;
+      break;
+    }
+  }
+
+  const encoding = gsmUnits >= 0 ? 'GSM-7' : 'UCS-2';
+  // UCS-2 counts UTF-16 code units, so an emoji takes two
+  const units = encoding === 'GSM-7' ? gsmUnits : text.length;
+  const limit = LIMITS[encoding];
+  const segments = units === 0 ? 0 : units <= limit.single ? 1 : Math.ceil(units / limit.multipart);
+
+  return { encoding, units, segments };
+}
+
+module.exports = {
+  countSegments
+};
@@ -0,0 +1,34 @@
+// Delivery statuses stored on SOSAlert.notifiedContacts[].status
+const DELIVERY_STATUSES = ['queued', 'sent', 'delivered', 'failed', 'logged'];
+
+// Map provider-specific statuses onto our delivery statuses
+const PROVIDER_STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  ringing: 'queued',
+  'in-progress': 'sent',
+  completed: 'delivered',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  receiving: 'delivered',
+  received: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed',
+  busy: 'failed',
+  'no-answer': 'failed',
+  logged: 'logged'
+};
+
+function normalizeStatus(providerStatus) {
+  if (!providerStatus) return 'sent';
+  return PROVIDER_STATUS_MAP[String(providerStatus).toLowerCase()] || 'sent';
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  normalizeStatus
+};
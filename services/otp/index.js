@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const OtpCode = require('../../models/OtpCode');
+const { buildOtpMessage } = require('../notifications/messages');
+const createSmsSender = require('./senders/sms');
+const createMemorySender = require('./senders/memory');
+
+const CODE_LENGTH = parseInt(process.env.OTP_LENGTH || '6', 10);
+const TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '5', 10);
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS || '60', 10);
+const MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR || '5', 10);
+
+class OtpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// How codes reach the phone; swap in another sender with the same
+// interface (name, send(phone, message)), e.g. createMemorySender() in tests
+let sender = createSmsSender();
+
+function getSender() {
+  return sender;
+}
+
+function setSender(newSender) {
+  sender = newSender;
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+// Refuse to text a phone again too soon or too often
+async function checkSendLimits(phone) {
+  const now = Date.now();
+  const recent = await OtpCode.find({
+    phone,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+  }).select('createdAt').sort({ createdAt: -1 });
+
+  if (recent.length > 0) {
+    const waitSeconds = Math.ceil((recent[0].createdAt.getTime() + RESEND_INTERVAL_SECONDS * 1000 - now) / 1000);
+    if (waitSeconds > 0) {
+      throw new OtpError(`Please wait ${waitSeconds} seconds before requesting another code`, 429);
+    }
+  }
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    throw new OtpError('Too many codes requested for this number; try again later', 429);
+  }
+}
+
+// Text a new code to the phone, replacing any earlier one for the same purpose
+async function requestCode(phone, purpose, { language } = {}) {
+  await checkSendLimits(phone);
+
+  const code = generateCode();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + TTL_MINUTES * 60 * 1000);
+
+  await OtpCode.updateMany(
+    { phone, purpose, consumedAt: null, supersededAt: null },
+    { $set: { supersededAt: now } }
+  );
+  const otp = await OtpCode.create({
+    phone,
+    purpose,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt,
+    createdAt: now
+  });
+
+  try {
+    await sender.send(phone, { ...buildOtpMessage(code, TTL_MINUTES, language), code });
+  } catch (error) {
+    console.error(`Failed to send OTP via ${sender.name}:`, error);
+    await OtpCode.deleteOne({ _id: otp._id });
+    throw new OtpError('Could not send the code; please try again', 502);
+  }
+
+  return {
+    expiresAt,
+    resendAfter: new Date(now.getTime() + RESEND_INTERVAL_SECONDS * 1000)
+  };
+}
+
+// Whether the phone's latest code for the purpose can still be entered
+async function hasOpenCode(phone, purpose) {
+  return Boolean(await OtpCode.exists({
+    phone,
+    purpose,
+    consumedAt: null,
+    supersededAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+}
+
+// Check a code and use it up. Every try counts against the code's attempt
+// limit; once it is reached the code is dead and a new one must be requested.
+async function verifyCode(phone, purpose, code) {
+  const latest = await OtpCode.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    supersededAt: null
+  }).sort({ createdAt: -1 });
+
+  if (!latest || latest.expiresAt <= new Date()) {
+    throw new OtpError('Code has expired or was already used; request a new one', 400);
+  }
+
+  // Take the attempt before comparing, so parallel guesses can't exceed the limit
+  const otp = await OtpCode.findOneAndUpdate(
+    { _id: latest._id, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    throw new OtpError('Too many incorrect attempts; request a new code', 429);
+  }
+
+  if (!(await bcrypt.compare(String(code), otp.codeHash))) {
+    const attemptsLeft = MAX_ATTEMPTS - otp.attempts;
+    throw new OtpError(
+      attemptsLeft > 0
+        ? `Incorrect code; ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`
+        : 'Too many incorrect attempts; request a new code',
+      attemptsLeft > 0 ? 401 : 429
+    );
+  }
+
+  // A code works once, even if two requests race with it
+  const consumed = await OtpCode.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (consumed.modifiedCount === 0) {
+    throw new OtpError('Code has already been used; request a new one', 400);
+  }
+}
+
+module.exports = {
+  CODE_LENGTH,
+  TTL_MINUTES,
+  OtpError,
+  getSender,
+  setSender,
+  requestCode,
+  hasOpenCode,
+  verifyCode,
+  createSmsSender,
+  createMemorySender
+};
@@ -0,0 +1,26 @@
+// Stand-in sender for tests: keeps every message in memory instead of
+// sending it. lastCode(phone) returns the most recent code sent to a phone.
+function createMemorySender() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+
+    async send(phone, message) {
+      messages.push({ phone, ...message, sentAt: new Date() });
+      return { providerMessageId: `memory-${messages.length}`, status: 'sent' };
+    },
+
+    lastCode(phone) {
+      const sent = messages.filter(message => message.phone === phone);
+      return sent.length > 0 ? sent[sent.length - 1].code : null;
+    },
+
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+module.exports = createMemorySender;
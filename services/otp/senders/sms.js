@@ -0,0 +1,23 @@
+const notifications = require('../../notifications');
+
+// Sends codes through the notification layer's SMS channel. Without Twilio
+// configured the local stand-in channel logs the message instead, so codes
+// can be read from the console (or NOTIFICATION_LOG_FILE) in development.
+function createSmsSender() {
+  return {
+    name: 'sms',
+
+    async send(phone, message) {
+      const result = await notifications.notify({ phone }, message, {
+        channels: ['sms'],
+        fallbackOnFailure: false
+      });
+      if (result.status === 'failed') {
+        throw new Error(result.error || 'SMS delivery failed');
+      }
+      return { providerMessageId: result.providerMessageId, status: result.status };
+    }
+  };
+}
+
+module.exports = createSmsSender;
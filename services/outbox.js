@@ -0,0 +1,344 @@
+const NotificationJob = require('../models/NotificationJob');
+const SOSAlert = require('../models/SOSAlert');
+const notifications = require('./notifications');
+const responseLinks = require('./responseLinks');
+const timeline = require('./timeline');
+const { formatPhoneNumber } = require('../utils/phone');
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10);
+const BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS || '15000', 10);
+const BACKOFF_MAX_MS = parseInt(process.env.OUTBOX_BACKOFF_MAX_MS || '600000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '5000', 10);
+const LOCK_MS = 60 * 1000;
+
+// Provider accepted the message; nothing left for us to retry
+const ACCEPTED_STATUSES = ['queued', 'sent', 'delivered', 'logged'];
+
+// Messages that are about a closed alert, so they still go out once it closes
+const FOLLOW_UP_PURPOSES = ['all_clear'];
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Exponential backoff with up to 20% jitter
+function computeBackoff(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX_MS);
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+// Stable key so the same alert never messages the same person twice for the same reason
+function buildIdempotencyKey(alertId, purpose, recipient, kind = 'message') {
+  const address = formatPhoneNumber(recipient.phone) || recipient.email;
+  return `${alertId}:${purpose}:${kind}:${address}`;
+}
+
+// Create a job, or return the existing one with the same idempotency key
+async function enqueue({ alertId, recipient, message, idempotencyKey, purpose, kind = 'message', maxAttempts = MAX_ATTEMPTS }) {
+  try {
+    return await NotificationJob.findOneAndUpdate(
+      { idempotencyKey },
+      {
+        $setOnInsert: {
+          alertId,
+          idempotencyKey,
+          purpose,
+          kind,
+          recipient,
+          message: { subject: message.subject, body: message.body, sms: message.sms, language: message.language },
+          maxAttempts,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts on the same key: the loser reads the winner's job
+    if (error.code === 11000) {
+      return NotificationJob.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+}
+
+async function enqueueMany(jobs) {
+  const created = [];
+  for (const job of jobs) {
+    created.push(await enqueue(job));
+  }
+  return created;
+}
+
+// Atomically take a due job so only one worker attempts it
+function claimJob(filter) {
+  const now = new Date();
+  return NotificationJob.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { state: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { state: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { state: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// Mirror a job's delivery state onto its SOSAlert.notifiedContacts entry
+function syncNotifiedContact(job) {
+  return SOSAlert.updateOne(
+    { _id: job.alertId, 'notifiedContacts.deliveryJobId': job._id },
+    {
+      $set: {
+        'notifiedContacts.$.channel': job.channel,
+        'notifiedContacts.$.providerMessageId': job.providerMessageId,
+        'notifiedContacts.$.status': job.deliveryStatus,
+        'notifiedContacts.$.error': job.lastError || '',
+        'notifiedContacts.$.attempts': job.attempts
+      }
+    }
+  );
+}
+
+function recipientSummary(job) {
+  return {
+    name: job.recipient.name,
+    phone: job.recipient.phone,
+    email: job.recipient.email,
+    relationship: job.recipient.relationship
+  };
+}
+
+// Run one delivery attempt for a claimed job
+async function processJob(job) {
+  const alert = await SOSAlert.findById(job.alertId).select('status');
+  const sendsAfterClose = FOLLOW_UP_PURPOSES.includes(job.purpose);
+  if (!alert || (alert.status !== 'active' && !sendsAfterClose)) {
+    job.state = 'cancelled';
+    job.lastError = 'Alert is no longer active';
+    job.lockedUntil = undefined;
+    job.completedAt = new Date();
+    await job.save();
+    await timeline.record(job.alertId, 'notification_cancelled', {
+      jobId: job._id,
+      kind: job.kind,
+      recipient: recipientSummary(job),
+      reason: job.lastError
+    });
+    return job;
+  }
+
+  const isLastAttempt = job.attempts + 1 >= job.maxAttempts;
+  // Each recipient gets their own response link (calls can't use one)
+  const fillLink = (text) => job.kind === 'call'
+    ? text.split(responseLinks.RESPONSE_LINK_PLACEHOLDER).join('')
+    : responseLinks.personalize(text, job._id);
+  const message = {
+    subject: job.message.subject,
+    body: fillLink(job.message.body),
+    sms: job.message.sms ? fillLink(job.message.sms) : undefined,
+    language: job.message.language,
+    alertId: job.alertId
+  };
+  const result = await notifications.notify(job.recipient, message, {
+    kind: job.kind,
+    fallbackOnFailure: isLastAttempt
+  });
+
+  job.attempts += 1;
+  job.channel = result.channel;
+  job.lockedUntil = undefined;
+  job.history.push({
+    attemptedAt: new Date(),
+    channel: result.channel,
+    status: result.status,
+    error: result.error
+  });
+
+  if (ACCEPTED_STATUSES.includes(result.status)) {
+    job.state = 'completed';
+    job.deliveryStatus = result.status;
+    job.providerMessageId = result.providerMessageId;
+    job.lastError = result.status === 'logged' ? result.error : '';
+    job.completedAt = new Date();
+  } else if (isLastAttempt) {
+    job.state = 'dead';
+    job.deliveryStatus = 'failed';
+    job.lastError = result.error;
+    job.completedAt = new Date();
+    console.error(`Notification job ${job._id} dead-lettered after ${job.attempts} attempts: ${result.error}`);
+  } else {
+    job.state = 'retrying';
+    job.deliveryStatus = 'queued';
+    job.lastError = result.error;
+    job.nextAttemptAt = new Date(Date.now() + computeBackoff(job.attempts));
+  }
+
+  await job.save();
+  await syncNotifiedContact(job);
+  await timeline.record(job.alertId, 'notification_attempt', {
+    jobId: job._id,
+    kind: job.kind,
+    recipient: recipientSummary(job),
+    attempt: job.attempts,
+    channel: result.channel,
+    status: result.status,
+    providerMessageId: result.providerMessageId,
+    error: result.error,
+    state: job.state,
+    nextAttemptAt: job.state === 'retrying' ? job.nextAttemptAt : undefined
+  });
+  return job;
+}
+
+// Attempt the given jobs right away instead of waiting for the next poll
+async function dispatch(jobs) {
+  const processed = [];
+  for (const job of jobs) {
+    const claimed = await claimJob({ _id: job._id });
+    processed.push(claimed ? await processJob(claimed) : await NotificationJob.findById(job._id));
+  }
+  return processed;
+}
+
+// Work through every due job
+async function runDueJobs() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    let job;
+    while ((job = await claimJob({}))) {
+      try {
+        await processJob(job);
+      } catch (error) {
+        console.error(`Notification job ${job._id} error:`, error);
+        await NotificationJob.updateOne(
+          { _id: job._id },
+          { $set: { state: 'retrying', nextAttemptAt: new Date(Date.now() + computeBackoff(job.attempts + 1)) }, $unset: { lockedUntil: 1 } }
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Outbox worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  console.log('Notification outbox worker started');
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// Shape a job for SOSAlert.notifiedContacts
+function toNotifiedContact(job) {
+  return {
+    name: job.recipient.name,
+    phone: formatPhoneNumber(job.recipient.phone),
+    email: job.recipient.email,
+    channel: job.channel,
+    providerMessageId: job.providerMessageId,
+    status: job.deliveryStatus,
+    error: job.lastError || '',
+    attempts: job.attempts,
+    deliveryJobId: job._id,
+    response: 'pending',
+    notifiedAt: new Date()
+  };
+}
+
+// Add entries for jobs the alert isn't tracking yet; existing entries keep their responses
+function attachToAlert(alert, jobs) {
+  const tracked = new Set(
+    alert.notifiedContacts
+      .filter(contact => contact.deliveryJobId)
+      .map(contact => contact.deliveryJobId.toString())
+  );
+  for (const job of jobs) {
+    if (!tracked.has(job._id.toString())) {
+      alert.notifiedContacts.push(toNotifiedContact(job));
+    }
+  }
+}
+
+// Queue messages (and optionally calls) about an alert, track them on the
+// alert and make the first attempt now; failures are retried by the worker
+// `message` may be a function of the recipient, for per-language messages
+async function queueForAlert(alert, recipients, message, { purpose, kinds = ['message'] }) {
+  const pending = [];
+  for (const recipient of recipients) {
+    const recipientMessage = typeof message === 'function' ? message(recipient) : message;
+    for (const kind of kinds) {
+      pending.push({
+        alertId: alert._id,
+        recipient,
+        kind,
+        message: recipientMessage,
+        purpose,
+        idempotencyKey: buildIdempotencyKey(alert._id, purpose, recipient, kind)
+      });
+    }
+  }
+  const jobs = await enqueueMany(pending);
+
+  attachToAlert(alert, jobs);
+  await alert.save();
+  return (await dispatch(jobs)).map(toDeliveryResult);
+}
+
+// Queue a follow-up about an alert (e.g. the all-clear) without adding
+// its recipients to notifiedContacts, and make the first attempt now
+async function queueFollowUp(alert, recipients, message, { purpose }) {
+  const pending = recipients.map(recipient => ({
+    alertId: alert._id,
+    recipient,
+    kind: 'message',
+    message: typeof message === 'function' ? message(recipient) : message,
+    purpose,
+    idempotencyKey: buildIdempotencyKey(alert._id, purpose, recipient, 'message')
+  }));
+  const jobs = await enqueueMany(pending);
+  return (await dispatch(jobs)).map(toDeliveryResult);
+}
+
+// Shape a job for API responses
+function toDeliveryResult(job) {
+  return {
+    name: job.recipient.name,
+    phone: formatPhoneNumber(job.recipient.phone),
+    relationship: job.recipient.relationship,
+    kind: job.kind,
+    channel: job.channel,
+    providerMessageId: job.providerMessageId,
+    status: job.deliveryStatus,
+    state: job.state,
+    attempts: job.attempts,
+    error: job.lastError || ''
+  };
+}
+
+module.exports = {
+  buildIdempotencyKey,
+  computeBackoff,
+  enqueue,
+  enqueueMany,
+  dispatch,
+  processJob,
+  runDueJobs,
+  startWorker,
+  stopWorker,
+  toNotifiedContact,
+  attachToAlert,
+  queueForAlert,
+  queueFollowUp,
+  toDeliveryResult
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const notifications = require('./notifications');
+const { buildPasswordResetMessage } = require('./notifications/messages');
+const otp = require('./otp');
+const sessions = require('./sessions');
+const loginProtection = require('./loginProtection');
+
+const TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const MAX_EMAILS_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_EMAILS_PER_HOUR || '3', 10);
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3002').replace(/\/$/, '');
+
+const RESET_METHODS = ['sms', 'email'];
+
+class PasswordResetError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Accounts that can reset their password, found by Aadhar or phone number
+function findAccounts({ aadhar, phone }) {
+  const filter = { isActive: true, phoneVerified: { $ne: false } };
+  if (aadhar) {
+    filter.aadhar = aadhar;
+  } else {
+    filter.phone = phone;
+  }
+  return User.find(filter).select('+duressPassword');
+}
+
+async function sendResetEmail(user) {
+  const sentLastHour = await PasswordResetToken.countDocuments({
+    userId: user._id,
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+  });
+  if (sentLastHour >= MAX_EMAILS_PER_HOUR) {
+    console.warn(`Password reset email limit reached for user ${user._id}`);
+    return;
+  }
+
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await PasswordResetToken.updateMany(
+    { userId: user._id, consumedAt: null, supersededAt: null },
+    { $set: { supersededAt: now } }
+  );
+  const record = await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(now.getTime() + TTL_MINUTES * 60 * 1000),
+    createdAt: now
+  });
+
+  const link = `${PUBLIC_APP_URL}/reset-password.html?token=${record._id}.${secret}`;
+  const result = await notifications.notify(
+    { name: user.name, email: user.email },
+    buildPasswordResetMessage(link, TTL_MINUTES, user.preferredLanguage),
+    { channels: ['email'], fallbackOnFailure: false }
+  );
+  if (result.status === 'failed') {
+    console.error(`Failed to send password reset email to user ${user._id}: ${result.error}`);
+    await PasswordResetToken.deleteOne({ _id: record._id });
+  }
+}
+
+// Start a reset by texting a code to the account's phone ('sms') or
+// emailing it a link ('email'). Never says whether an account was found, and
+// send limits or delivery failures are only logged, so callers can give
+// every request the same answer.
+async function requestReset({ aadhar, phone, method = 'sms' }) {
+  const accounts = await findAccounts({ aadhar, phone });
+  if (accounts.length === 0) return;
+
+  if (method === 'email') {
+    // Several accounts can share a phone; each gets its own link
+    for (const user of accounts.filter(account => account.email)) {
+      await sendResetEmail(user);
+    }
+    return;
+  }
+
+  try {
+    await otp.requestCode(accounts[0].phone, 'password_reset', { language: accounts[0].preferredLanguage });
+  } catch (error) {
+    if (!(error instanceof otp.OtpError)) throw error;
+    console.warn(`Password reset code not sent to ${accounts[0].phone}: ${error.message}`);
+  }
+}
+
+// Set the new password, sign the account out everywhere and lift any
+// login lockout (the lockout SMS tells the owner to reset their password)
+async function setNewPassword(user, newPassword) {
+  // The duress password must keep raising an SOS
+  if (await user.compareDuressPassword(newPassword)) {
+    throw new PasswordResetError('New password must be different from your duress password', 400);
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await PasswordResetToken.updateMany(
+    { userId: user._id, consumedAt: null, supersededAt: null },
+    { $set: { supersededAt: new Date() } }
+  );
+  const signedOut = await sessions.revokeOtherSessions(user._id, null, 'password_reset');
+  await loginProtection.unlock(user.aadhar);
+  return { user, signedOut };
+}
+
+// Finish a reset with the code texted to the account's phone. The account is
+// named the same way as when the reset was requested.
+async function resetWithCode({ aadhar, phone, code, newPassword }) {
+  const accounts = await findAccounts({ aadhar, phone });
+  if (accounts.length === 0) {
+    // Same answer as a wrong or stale code
+    throw new otp.OtpError('Code has expired or was already used; request a new one', 400);
+  }
+
+  await otp.verifyCode(accounts[0].phone, 'password_reset', code);
+
+  if (accounts.length > 1) {
+    throw new PasswordResetError(
+      'More than one account uses this phone number; reset with your Aadhar number',
+      409
+    );
+  }
+  return setNewPassword(accounts[0], newPassword);
+}
+
+// Finish a reset with the token from an emailed link. The token works once.
+async function resetWithToken(token, newPassword) {
+  const invalid = new PasswordResetError('Reset link has expired or was already used; request a new one', 400);
+  const [tokenId, secret] = String(token || '').split('.');
+  if (!mongoose.isValidObjectId(tokenId) || !secret) throw invalid;
+
+  const filter = {
+    _id: tokenId,
+    tokenHash: hashSecret(secret),
+    consumedAt: null,
+    supersededAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+  const record = await PasswordResetToken.findOne(filter);
+  if (!record) throw invalid;
+
+  const user = await User.findOne({ _id: record.userId, isActive: true }).select('+duressPassword');
+  if (!user) throw invalid;
+
+  // Check the new password first so a rejected one doesn't use up the link
+  if (await user.compareDuressPassword(newPassword)) {
+    throw new PasswordResetError('New password must be different from your duress password', 400);
+  }
+
+  // A link works once, even if two requests race with it
+  const consumed = await PasswordResetToken.updateOne(filter, { $set: { consumedAt: new Date() } });
+  if (consumed.modifiedCount === 0) throw invalid;
+
+  return setNewPassword(user, newPassword);
+}
+
+module.exports = {
+  RESET_METHODS,
+  TTL_MINUTES,
+  PasswordResetError,
+  requestReset,
+  resetWithCode,
+  resetWithToken
+};
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const outbox = require('./outbox');
+const { buildEmergencyMessage } = require('./notifications/messages');
+const { distanceKm } = require('../utils/geo');
+const { toPoint } = require('../models/pointSchema');
+
+const DEFAULTS = {
+  radiusKm: parseFloat(process.env.RESPONDER_RADIUS_KM || '2'),
+  maxRadiusKm: parseFloat(process.env.RESPONDER_MAX_RADIUS_KM || '20'),
+  growthFactor: parseFloat(process.env.RESPONDER_RADIUS_GROWTH || '2'),
+  minCount: parseInt(process.env.RESPONDER_MIN_COUNT || '3', 10),
+  maxCount: parseInt(process.env.RESPONDER_MAX_COUNT || '20', 10)
+};
+
+// Opted-in users within radiusKm, nearest first
+async function findWithinRadius(latitude, longitude, radiusKm, limit, excludeUserIds, excludePhones) {
+  const candidates = await User.find({
+    isActive: true,
+    isVolunteer: true,
+    _id: { $nin: excludeUserIds },
+    phone: { $nin: excludePhones },
+    location: {
+      $nearSphere: {
+        $geometry: toPoint(latitude, longitude),
+        $maxDistance: radiusKm * 1000
+      }
+    }
+  })
+    .select('name phone email location preferredLanguage')
+    .limit(limit);
+
+  return candidates.map(user => ({
+    user,
+    distanceKm: distanceKm(latitude, longitude, user.location.latitude, user.location.longitude)
+  }));
+}
+
+// Pick the nearest opted-in responders around a point. The search radius
+// grows until at least minCount are found or maxRadiusKm is reached, and
+// never more than maxCount are returned.
+async function findNearbyResponders(latitude, longitude, options = {}) {
+  const settings = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (options[key] != null) settings[key] = options[key];
+  }
+  const excludeUserIds = options.excludeUserIds || [];
+  const excludePhones = options.excludePhones || [];
+
+  // A fan-out of zero (e.g. low-priority alerts) notifies nobody
+  if (settings.maxCount <= 0) {
+    return { radiusKm: 0, responders: [] };
+  }
+
+  let radiusKm = Math.min(settings.radiusKm, settings.maxRadiusKm);
+  let found = await findWithinRadius(latitude, longitude, radiusKm, settings.maxCount, excludeUserIds, excludePhones);
+
+  while (found.length < settings.minCount && radiusKm < settings.maxRadiusKm) {
+    radiusKm = Math.min(radiusKm * settings.growthFactor, settings.maxRadiusKm);
+    found = await findWithinRadius(latitude, longitude, radiusKm, settings.maxCount, excludeUserIds, excludePhones);
+  }
+
+  return {
+    radiusKm,
+    responders: found
+  };
+}
+
+// Responders as notification recipients
+function toRecipients(responders) {
+  return responders.map(({ user, distanceKm }) => ({
+    name: user.name,
+    phone: user.phone,
+    email: user.email,
+    relationship: `Volunteer (${distanceKm.toFixed(1)} km away)`,
+    language: user.preferredLanguage
+  }));
+}
+
+// Phones already messaged about an alert, in both stored formats
+function notifiedPhones(alert) {
+  const phones = [];
+  for (const contact of alert.notifiedContacts) {
+    if (!contact.phone) continue;
+    phones.push(contact.phone, contact.phone.replace(/^\+91/, ''));
+  }
+  return phones;
+}
+
+// Find responders around an alert and queue the emergency message to them
+async function notifyNearbyResponders(alert, owner, options = {}) {
+  const { radiusKm, responders } = await findNearbyResponders(
+    alert.location.latitude,
+    alert.location.longitude,
+    {
+      ...options,
+      excludeUserIds: [alert.userId],
+      excludePhones: notifiedPhones(alert)
+    }
+  );
+
+  if (responders.length === 0) {
+    return { radiusKm, results: [] };
+  }
+
+  const results = await outbox.queueForAlert(
+    alert,
+    toRecipients(responders),
+    recipient => buildEmergencyMessage(owner, alert, recipient.language),
+    { purpose: 'responders' }
+  );
+  return { radiusKm, results };
+}
+
+module.exports = {
+  findNearbyResponders,
+  notifyNearbyResponders,
+  toRecipients
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const SECRET = process.env.RESPONSE_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const TTL_HOURS = parseFloat(process.env.RESPONSE_LINK_TTL_HOURS || '24');
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'http://localhost:3002').replace(/\/$/, '');
+
+// Placeholder in queued messages, replaced per recipient when the job is sent
+const RESPONSE_LINK_PLACEHOLDER = '{responseLink}';
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url').slice(0, 22);
+}
+
+// Compact token, short enough for an SMS: <deliveryJobId>.<expiry>.<signature>
+function createToken(deliveryJobId, expiresAt = new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)) {
+  const payload = `${deliveryJobId}.${Math.floor(expiresAt.getTime() / 1000).toString(36)}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { deliveryJobId, expiresAt } for a valid token, or null
+function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3 || !/^[a-f0-9]{24}$/.test(parts[0])) return null;
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const expiresAt = new Date(parseInt(parts[1], 36) * 1000);
+  if (isNaN(expiresAt.getTime()) || expiresAt < new Date()) return null;
+
+  return { deliveryJobId: parts[0], expiresAt };
+}
+
+function buildResponseUrl(deliveryJobId) {
+  return `${PUBLIC_APP_URL}/respond.html?t=${createToken(deliveryJobId)}`;
+}
+
+// Fill in the recipient's own response link
+function personalize(body, deliveryJobId) {
+  return body.split(RESPONSE_LINK_PLACEHOLDER).join(buildResponseUrl(deliveryJobId));
+}
+
+module.exports = {
+  RESPONSE_LINK_PLACEHOLDER,
+  createToken,
+  verifyToken,
+  buildResponseUrl,
+  personalize
+};
@@ -0,0 +1,241 @@
+const SafetyTimer = require('../models/SafetyTimer');
+const User = require('../models/User');
+const sosPipeline = require('./sosPipeline');
+const { toPoint } = require('../models/pointSchema');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SAFETY_TIMER_POLL_INTERVAL_MS || '15000', 10);
+const MAX_DURATION_MINUTES = parseInt(process.env.SAFETY_TIMER_MAX_MINUTES || '240', 10);
+const MAX_PIN_ATTEMPTS = parseInt(process.env.SAFETY_TIMER_MAX_PIN_ATTEMPTS || '5', 10);
+// A timer left 'expiring' this long was claimed by a process that died
+// before its SOS was raised; the worker puts it back to be raised again
+const EXPIRING_STALE_MS = 5 * 60 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+class SafetyTimerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function getActiveTimer(userId) {
+  return SafetyTimer.findOne({ userId, status: 'active' });
+}
+
+// Start a timer; a user has at most one running at a time, which the
+// unique index enforces when two starts race
+async function startTimer(user, { destination, durationMinutes, latitude, longitude }) {
+  const alreadyRunning = new SafetyTimerError('A safety timer is already running', 409);
+  if (await getActiveTimer(user._id)) {
+    throw alreadyRunning;
+  }
+
+  const timer = new SafetyTimer({
+    userId: user._id,
+    destination: destination || '',
+    durationMinutes,
+    expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+  });
+  if (latitude != null && longitude != null) {
+    timer.lastLocation = toPoint(latitude, longitude);
+    timer.lastLocationAt = new Date();
+  }
+  try {
+    return await timer.save();
+  } catch (error) {
+    if (error.code === 11000) throw alreadyRunning;
+    throw error;
+  }
+}
+
+// Push the deadline back, capped so the whole walk stays within the maximum
+async function extendTimer(timer, minutes) {
+  const newExpiry = new Date(timer.expiresAt.getTime() + minutes * 60 * 1000);
+  if (newExpiry - timer.startedAt > MAX_DURATION_MINUTES * 60 * 1000) {
+    throw new SafetyTimerError(`Safety timers cannot run longer than ${MAX_DURATION_MINUTES} minutes`, 400);
+  }
+
+  const updated = await SafetyTimer.findOneAndUpdate(
+    { _id: timer._id, status: 'active' },
+    {
+      $set: { expiresAt: newExpiry },
+      $push: { extensions: { minutes } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new SafetyTimerError('Safety timer is no longer running', 409);
+  }
+  return updated;
+}
+
+async function recordLocation(timer, { latitude, longitude, address }) {
+  const updated = await SafetyTimer.findOneAndUpdate(
+    { _id: timer._id, status: 'active' },
+    { $set: { lastLocation: toPoint(latitude, longitude, address || ''), lastLocationAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new SafetyTimerError('Safety timer is no longer running', 409);
+  }
+  return updated;
+}
+
+// Check in ("I'm safe") or cancel; both need the safety PIN. Too many wrong
+// PINs suggests someone else has the phone, so the SOS is raised at once.
+async function stopWithPin(timer, pin, status) {
+  const user = await User.findById(timer.userId).select('+safetyPin');
+  if (!user || !user.safetyPin) {
+    throw new SafetyTimerError('Set a safety PIN before using safety timers', 400);
+  }
+
+  if (!(await user.compareSafetyPin(pin))) {
+    const failed = await SafetyTimer.findOneAndUpdate(
+      { _id: timer._id, status: 'active' },
+      { $inc: { failedPinAttempts: 1 } },
+      { new: true }
+    );
+    if (failed && failed.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+      await expireTimer(failed._id, 'too many incorrect PIN attempts');
+    }
+    throw new SafetyTimerError('Incorrect safety PIN', 401);
+  }
+
+  const stampField = status === 'checked_in' ? 'checkedInAt' : 'cancelledAt';
+  const updated = await SafetyTimer.findOneAndUpdate(
+    { _id: timer._id, status: 'active' },
+    { $set: { status, [stampField]: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new SafetyTimerError('Safety timer is no longer running', 409);
+  }
+  return updated;
+}
+
+function checkIn(timer, pin) {
+  return stopWithPin(timer, pin, 'checked_in');
+}
+
+function cancelTimer(timer, pin) {
+  return stopWithPin(timer, pin, 'cancelled');
+}
+
+// Claim an active timer and raise its SOS. The claim ('expiring') is
+// atomic, so an alert is raised once even if the worker and a PIN failure
+// race. The timer is only 'expired' once the SOS exists: if raising it fails,
+// the timer goes back to 'active' and due, and the worker tries again.
+async function expireTimer(timerId, reason) {
+  const timer = await SafetyTimer.findOneAndUpdate(
+    { _id: timerId, status: 'active' },
+    { $set: { status: 'expiring', expiringAt: new Date() } },
+    { new: true }
+  );
+  if (!timer) return null;
+
+  let alert = null;
+  try {
+    const user = await User.findById(timer.userId);
+    if (user) {
+      // Prefer the last position the timer saw, then the profile location
+      const lastKnown = timer.lastLocation && timer.lastLocation.coordinates
+        ? timer.lastLocation
+        : user.location && user.location.coordinates ? user.location : null;
+      const destinationNote = timer.destination ? ` on the way to ${timer.destination}` : '';
+
+      // With neither, the alert is raised without a location (see SOSAlert.locationUnknown)
+      ({ alert } = await sosPipeline.raiseAlert(user, {
+        latitude: lastKnown ? lastKnown.latitude : null,
+        longitude: lastKnown ? lastKnown.longitude : null,
+        address: lastKnown ? lastKnown.address : 'Location unknown',
+        description: `Safety timer: no check-in${destinationNote} (${reason})`,
+        trigger: 'timer'
+      }));
+    }
+  } catch (error) {
+    await releaseTimer(timer._id);
+    throw error;
+  }
+
+  const update = { status: 'expired', expiredAt: new Date() };
+  if (alert) update.alertId = alert._id;
+  const expired = await SafetyTimer.findOneAndUpdate(
+    { _id: timer._id, status: 'expiring' },
+    { $set: update, $unset: { expiringAt: 1 } },
+    { new: true }
+  );
+  if (alert) {
+    console.log(`Safety timer ${timer._id} expired, SOS raised: ${alert._id}`);
+  }
+  return expired;
+}
+
+// Hand a claimed timer back, due now, so the worker raises its SOS on the next poll
+async function releaseTimer(timerId) {
+  await SafetyTimer.updateOne(
+    { _id: timerId, status: 'expiring' },
+    { $set: { status: 'active', expiresAt: new Date() }, $unset: { expiringAt: 1 } }
+  );
+}
+
+// Raise an SOS for every timer past its deadline
+async function runExpiredTimers() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    const stale = await SafetyTimer.find({
+      status: 'expiring',
+      expiringAt: { $lte: new Date(Date.now() - EXPIRING_STALE_MS) }
+    }).select('_id');
+    for (const { _id } of stale) {
+      await releaseTimer(_id);
+    }
+
+    const due = await SafetyTimer.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .sort({ expiresAt: 1 });
+    for (const { _id } of due) {
+      try {
+        await expireTimer(_id, 'timer expired');
+      } catch (error) {
+        console.error(`Safety timer error for ${_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Safety timer worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+// Timers live in MongoDB, so any that expired while the server was down
+// fire on the first poll after a restart
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runExpiredTimers, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  runExpiredTimers();
+  console.log('Safety timer worker started');
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  MAX_DURATION_MINUTES,
+  SafetyTimerError,
+  getActiveTimer,
+  startTimer,
+  extendTimer,
+  recordLocation,
+  checkIn,
+  cancelTimer,
+  expireTimer,
+  runExpiredTimers,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+// An already-rotated refresh token presented this soon after rotation is
+// taken as two tabs refreshing at once rather than a replayed stolen token
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '30', 10);
+// lastUsedAt is written at most this often per session
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<random secret>"; only the secret's hash is stored
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return null;
+  return { sessionId, hash: hashSecret(secret) };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` });
+}
+
+function issueTokens(session, refreshToken) {
+  return {
+    token: signAccessToken(session.userId, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    sessionId: session._id
+  };
+}
+
+// Start a session for a user who just proved who they are.
+// method: 'password', 'otp' or 'register'; secondFactor: 'totp' or 'recovery_code'
+async function createSession(user, req, { method, secondFactor, deviceName } = {}) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refresh = newRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: refresh.hash,
+    deviceName,
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    method,
+    secondFactor,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return issueTokens(session, refresh.token);
+}
+
+async function revokeSession(session, reason) {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Swap a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; replaying it later signs the
+// session out, since it means someone else holds a copy.
+async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new SessionError('Invalid refresh token', 401);
+  }
+
+  const now = new Date();
+  const next = newRefreshToken(parsed.sessionId);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: parsed.hash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: next.hash,
+        previousTokenHash: parsed.hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ipAddress: req.ip
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    const user = await User.findById(session.userId).select('isActive');
+    if (!user || !user.isActive) {
+      await revokeSession(session, 'revoked');
+      throw new SessionError('Account is deactivated', 401);
+    }
+    return issueTokens(session, next.token);
+  }
+
+  const existing = await Session.findById(parsed.sessionId);
+  if (existing && existing.isUsable() && existing.previousTokenHash === parsed.hash) {
+    if (now - existing.rotatedAt <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+      throw new SessionError('Refresh token has already been used; use the newest one', 409);
+    }
+    await revokeSession(existing, 'refresh_token_reuse');
+    throw new SessionError('Refresh token was reused; the session has been signed out', 401);
+  }
+
+  throw new SessionError('Session has expired or been signed out; log in again', 401);
+}
+
+// Check an access token and the session it belongs to. Throws the JWT
+// library's errors for bad or expired tokens, SessionError otherwise.
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.sid) {
+    throw new SessionError('Session has expired; log in again', 401);
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isUsable() || session.userId.toString() !== decoded.userId) {
+    throw new SessionError('Session has been signed out; log in again', 401);
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    session.lastUsedAt = new Date();
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: session.lastUsedAt } });
+  }
+
+  return { userId: decoded.userId, session };
+}
+
+// The user's sessions that can still be used, most recently used first
+function listSessions(userId) {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+}
+
+async function revokeUserSession(userId, sessionId, reason = 'revoked') {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new SessionError('Session not found', 404);
+  }
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.matchedCount === 0) {
+    throw new SessionError('Session not found', 404);
+  }
+}
+
+// Sign out every session but one (or all of them when keepSessionId is unset)
+async function revokeOtherSessions(userId, keepSessionId, reason = 'revoked') {
+  const filter = { userId, revokedAt: null };
+  if (keepSessionId) filter._id = { $ne: keepSessionId };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  SessionError,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  listSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeOtherSessions
+};
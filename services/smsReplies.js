@@ -0,0 +1,102 @@
+const SOSAlert = require('../models/SOSAlert');
+const NotificationJob = require('../models/NotificationJob');
+const notifications = require('./notifications');
+const contactResponses = require('./contactResponses');
+const { buildSmsReplyMessage } = require('./notifications/messages');
+const { formatPhoneNumber } = require('../utils/phone');
+
+// Reply words (after normalizing) and the response each one records
+const REPLY_KEYWORDS = {
+  acknowledged: ['OK', 'OKAY', 'YES', 'Y', 'ACK', 'SEEN', 'GOT IT', 'RECEIVED'],
+  responding: ['COMING', 'ON MY WAY', 'OMW', 'ON THE WAY', 'RESPONDING', 'GOING'],
+  declined: ['CANT', 'CANNOT', 'CAN NOT', 'NO', 'N', 'BUSY', 'UNABLE', 'DECLINE', 'SORRY']
+};
+
+// Upper-case, drop apostrophes and punctuation, collapse spaces
+function normalizeReply(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/['’]/g, '')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The response a reply stands for, or null. The whole reply or its
+// opening words must match a keyword ("OK thanks", "Coming now").
+function parseReply(text) {
+  const normalized = normalizeReply(text);
+  if (!normalized) return null;
+
+  for (const [response, keywords] of Object.entries(REPLY_KEYWORDS)) {
+    const matched = keywords.some(keyword =>
+      normalized === keyword || normalized.startsWith(`${keyword} `));
+    if (matched) return response;
+  }
+  return null;
+}
+
+// The most recent active alert this phone number was notified about
+function findOpenAlertForPhone(phone) {
+  return SOSAlert.findOne({
+    status: 'active',
+    'notifiedContacts.phone': formatPhoneNumber(phone)
+  }).sort({ createdAt: -1 });
+}
+
+// The language the sender was alerted in, from the delivery job that
+// reached them (the default language if it can't be found)
+async function getReplyLanguage(contacts) {
+  const jobIds = contacts.map(contact => contact.deliveryJobId).filter(Boolean);
+  if (jobIds.length === 0) return undefined;
+  const job = await NotificationJob.findOne({ _id: { $in: jobIds } })
+    .select('message.language')
+    .sort({ createdAt: -1 });
+  return job ? job.message.language : undefined;
+}
+
+// Handle one inbound SMS: record the response on the sender's open alert
+// and text them a confirmation in their language. Numbers with no open alert
+// get no answer, so the number can't be probed. Returns what happened, for
+// logging.
+async function handleInboundSms({ from, body, messageSid }) {
+  const phone = formatPhoneNumber(from);
+  const response = parseReply(body);
+  const alert = await findOpenAlertForPhone(phone);
+
+  if (!alert) {
+    console.log(`Inbound SMS ${messageSid || ''} from ${phone}: no_open_alert`);
+    return { outcome: 'no_open_alert', response, alertId: null, reply: null, confirmation: null };
+  }
+
+  const contacts = contactResponses.findContactsByPhone(alert, phone);
+  let outcome = 'unrecognized';
+  if (response) {
+    await contactResponses.recordResponse(alert, contacts, response, 'sms');
+    outcome = 'recorded';
+  }
+
+  const reply = buildSmsReplyMessage(alert, response, await getReplyLanguage(contacts));
+  const confirmation = await notifications.notify(
+    { phone },
+    { ...reply, alertId: alert._id },
+    { channels: ['sms'] }
+  );
+
+  console.log(`Inbound SMS ${messageSid || ''} from ${phone}: ${outcome}${response ? ` (${response})` : ''}`);
+  return {
+    outcome,
+    response,
+    alertId: alert._id,
+    reply: reply.body,
+    confirmation
+  };
+}
+
+module.exports = {
+  REPLY_KEYWORDS,
+  normalizeReply,
+  parseReply,
+  findOpenAlertForPhone,
+  handleInboundSms
+};
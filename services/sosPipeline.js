@@ -0,0 +1,274 @@
+const SOSAlert = require('../models/SOSAlert');
+const NotificationJob = require('../models/NotificationJob');
+const outbox = require('./outbox');
+const escalation = require('./escalation');
+const events = require('./events');
+const timeline = require('./timeline');
+const triage = require('./triage');
+const { toPoint } = require('../models/pointSchema');
+const { distanceKm } = require('../utils/geo');
+
+const MERGE_WINDOW_MINUTES = parseFloat(process.env.SOS_MERGE_WINDOW_MINUTES || '10');
+const MERGE_RADIUS_METERS = parseFloat(process.env.SOS_MERGE_RADIUS_METERS || '500');
+const GRACE_PERIOD_SECONDS = parseFloat(process.env.SOS_GRACE_PERIOD_SECONDS || '10');
+const GRACE_POLL_INTERVAL_MS = parseInt(process.env.SOS_GRACE_POLL_INTERVAL_MS || '5000', 10);
+
+let workerTimer = null;
+let workerRunning = false;
+
+// The client sends 0,0 when it couldn't get a position
+function isUnknownLocation(latitude, longitude) {
+  return !latitude && !longitude;
+}
+
+// The user's open alert that a new press belongs to: pressed again within
+// the window, and near the same place (or with no position to compare).
+// Silent alerts never take part, so the device can't learn about them.
+async function findMergeTarget(user, latitude, longitude) {
+  if (MERGE_WINDOW_MINUTES <= 0) return null;
+
+  const since = new Date(Date.now() - MERGE_WINDOW_MINUTES * 60 * 1000);
+  const candidates = await SOSAlert.find({
+    userId: user._id,
+    status: 'active',
+    silent: { $ne: true },
+    lastPressAt: { $gte: since }
+  }).sort({ lastPressAt: -1 });
+
+  return candidates.find(alert => {
+    const current = alert.location;
+    if (isUnknownLocation(latitude, longitude) || isUnknownLocation(current.latitude, current.longitude)) {
+      return true;
+    }
+    return distanceKm(current.latitude, current.longitude, latitude, longitude) * 1000 <= MERGE_RADIUS_METERS;
+  }) || null;
+}
+
+// Fold a repeated press into an open alert: a fresh position and an
+// urgency signal for triage, but no new round of notifications
+async function attachPress(alert, user, { latitude, longitude, accuracy, description, emergencyType, trigger }) {
+  const now = new Date();
+  const update = {
+    $inc: { pressCount: 1 },
+    $set: { lastPressAt: now }
+  };
+
+  const point = { latitude, longitude, accuracy, recordedAt: now };
+  const hasLocation = !isUnknownLocation(latitude, longitude);
+  if (hasLocation) {
+    update.$push = { locationTrail: { $each: [point], $slice: -SOSAlert.MAX_TRAIL_POINTS } };
+    update.$set['location.coordinates'] = [longitude, latitude];
+    update.$set.locationUnknown = false;
+  }
+  // A specific emergency type is more useful than the default
+  if (emergencyType && emergencyType !== 'other' && alert.emergencyType === 'other') {
+    update.$set.emergencyType = emergencyType;
+  }
+
+  const updated = await SOSAlert.findOneAndUpdate(
+    { _id: alert._id, status: 'active' },
+    update,
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await timeline.record(updated, 'repeat_press', {
+    pressCount: updated.pressCount,
+    trigger,
+    emergencyType,
+    description,
+    latitude,
+    longitude,
+    accuracy
+  }, timeline.actorFor(updated, user));
+
+  if (hasLocation) {
+    events.publish(events.EVENT_TYPES.LOCATION, updated, { point });
+  }
+
+  await triage.reevaluate(updated);
+  return updated;
+}
+
+// Create an SOS alert for a user and start the escalation ladder, which
+// reaches contacts tier by tier, then nearby volunteers, then the police.
+// A manual SOS waits out a short grace period first, so a mistaken press can
+// be cancelled before anyone is told.
+// A repeated press is merged into the user's open alert instead (merged: true).
+// Used by POST /api/sos/create and by alerts raised on the user's behalf.
+async function raiseAlert(user, {
+  latitude,
+  longitude,
+  address,
+  accuracy,
+  description,
+  emergencyType,
+  trigger = 'manual',
+  silent = false
+}) {
+  if (!silent) {
+    const existing = await findMergeTarget(user, latitude, longitude);
+    const attached = existing && await attachPress(existing, user, {
+      latitude,
+      longitude,
+      accuracy,
+      description,
+      emergencyType,
+      trigger
+    });
+    // Pressing again during the grace period means it wasn't a mistake
+    const fannedOut = attached && attached.inGracePeriod && await endGracePeriod(attached._id);
+    if (fannedOut) {
+      return { ...fannedOut, merged: true };
+    }
+    if (attached) {
+      const jobs = await NotificationJob.find({ alertId: attached._id }).sort({ createdAt: 1 });
+      return {
+        alert: attached,
+        merged: true,
+        notifications: jobs.map(outbox.toDeliveryResult)
+      };
+    }
+  }
+
+  const graceSeconds = trigger === 'manual' ? GRACE_PERIOD_SECONDS : 0;
+  const hasLocation = !isUnknownLocation(latitude, longitude);
+  const now = new Date();
+  const sosAlert = new SOSAlert({
+    userId: user._id,
+    userAadhar: user.aadhar,
+    userName: user.name || 'Anonymous',
+    userPhone: user.phone,
+    location: hasLocation ? toPoint(latitude, longitude, address || '') : toPoint(0, 0, address || ''),
+    locationUnknown: !hasLocation,
+    locationTrail: hasLocation ? [{ latitude, longitude, accuracy }] : [],
+    description: description || '',
+    emergencyType: emergencyType || 'other',
+    trigger,
+    silent,
+    inGracePeriod: graceSeconds > 0,
+    graceEndsAt: graceSeconds > 0 ? new Date(now.getTime() + graceSeconds * 1000) : undefined,
+    fanOutStartedAt: graceSeconds > 0 ? undefined : now
+  });
+
+  // Initial priority decides how quickly and widely people are notified
+  await triage.apply(sosAlert);
+  await sosAlert.save();
+
+  // A missed safety timer check-in is raised by the server, not the user
+  await timeline.record(sosAlert, 'created', {
+    trigger,
+    silent,
+    emergencyType: sosAlert.emergencyType,
+    description: sosAlert.description,
+    latitude,
+    longitude,
+    address: address || '',
+    accuracy,
+    priority: sosAlert.priority,
+    triageScore: sosAlert.triage.score,
+    matchedRules: sosAlert.triage.matchedRules,
+    graceEndsAt: sosAlert.graceEndsAt
+  }, trigger === 'timer' ? timeline.SYSTEM_ACTOR : timeline.actorFor(sosAlert, user));
+
+  // Only the SOS button gets a grace period: the user may have pressed it by mistake
+  if (sosAlert.inGracePeriod) {
+    scheduleFanOut(sosAlert);
+    return {
+      alert: sosAlert,
+      merged: false,
+      notifications: []
+    };
+  }
+
+  const fanOut = await fanOutAlert(sosAlert);
+  return { alert: sosAlert, merged: false, ...fanOut };
+}
+
+// Start notifying people about an alert through the escalation ladder
+// (first-tier contacts now). Nearby volunteers are a step on the ladder, so
+// they are only reached in order, and not once the ladder has stopped.
+async function fanOutAlert(sosAlert) {
+  try {
+    await escalation.start(sosAlert);
+  } catch (escalationError) {
+    console.error('Escalation error during SOS creation:', escalationError);
+  }
+
+  const jobs = await NotificationJob.find({ alertId: sosAlert._id }).sort({ createdAt: 1 });
+
+  events.publish(events.EVENT_TYPES.CREATED, sosAlert, { alert: sosAlert.getSummary() });
+
+  return {
+    notifications: jobs.map(outbox.toDeliveryResult)
+  };
+}
+
+// End an alert's grace period and fan it out. The claim is atomic, so the
+// timer, the worker and a repeated press can't notify people twice; an
+// alert cancelled during its grace period is never claimed.
+async function endGracePeriod(alertId) {
+  const alert = await SOSAlert.findOneAndUpdate(
+    { _id: alertId, status: 'active', inGracePeriod: true },
+    { $set: { inGracePeriod: false, fanOutStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!alert) return null;
+
+  const fanOut = await fanOutAlert(alert);
+  return { alert, ...fanOut };
+}
+
+function scheduleFanOut(alert) {
+  const timer = setTimeout(() => {
+    endGracePeriod(alert._id).catch(error => {
+      console.error(`Fan-out error for alert ${alert._id}:`, error);
+    });
+  }, Math.max(alert.graceEndsAt - Date.now(), 0));
+  timer.unref();
+}
+
+// Fan out alerts whose grace period ended without their timer firing
+// (e.g. the server restarted during the grace period)
+async function runDueFanOuts() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    const due = await SOSAlert.find({
+      status: 'active',
+      inGracePeriod: true,
+      graceEndsAt: { $lte: new Date() }
+    }).select('_id');
+    for (const { _id } of due) {
+      try {
+        await endGracePeriod(_id);
+      } catch (error) {
+        console.error(`Fan-out error for alert ${_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Grace period worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runDueFanOuts, GRACE_POLL_INTERVAL_MS);
+  workerTimer.unref();
+  console.log('SOS grace period worker started');
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  raiseAlert,
+  endGracePeriod,
+  runDueFanOuts,
+  startWorker,
+  stopWorker
+};
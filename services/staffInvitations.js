@@ -0,0 +1,156 @@
+const User = require('../models/User');
+const ResponderOrganization = require('../models/ResponderOrganization');
+const StaffInvitation = require('../models/StaffInvitation');
+const notifications = require('./notifications');
+const { buildStaffInvitationMessage } = require('./notifications/messages');
+
+const TTL_DAYS = parseInt(process.env.ORG_INVITATION_TTL_DAYS || '7', 10);
+
+class StaffInvitationError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Close pending invitations that ran out, so the user can be invited again
+function expireStale(filter) {
+  return StaffInvitation.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+}
+
+// Invite the account that verified this phone number. Someone already on
+// the organization's staff just has their role changed. Returns
+// { invitation } or { user } for a role change.
+async function invite(organization, admin, phone, organizationRole = 'staff') {
+  const user = await User.findOne({ phone, phoneVerified: true, isActive: true });
+  if (!user) {
+    throw new StaffInvitationError('No user has verified this phone number', 404);
+  }
+
+  if (user.organizationId) {
+    if (user.organizationId.toString() !== organization._id.toString()) {
+      throw new StaffInvitationError('User already belongs to another organization', 409);
+    }
+    user.organizationRole = organizationRole;
+    await user.save();
+    return { user };
+  }
+
+  await expireStale({ organizationId: organization._id, userId: user._id });
+
+  let invitation;
+  try {
+    invitation = await StaffInvitation.create({
+      organizationId: organization._id,
+      userId: user._id,
+      organizationRole,
+      invitedBy: admin._id,
+      expiresAt: new Date(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new StaffInvitationError('This user already has a pending invitation', 409);
+    }
+    throw error;
+  }
+
+  // The invitation is listed in the app even if the SMS doesn't arrive
+  const result = await notifications.notify(
+    { name: user.name, phone: user.phone },
+    buildStaffInvitationMessage(organization.name, user.preferredLanguage),
+    { channels: ['sms'] }
+  );
+  if (result.status === 'failed') {
+    console.warn(`Staff invitation SMS to user ${user._id} failed: ${result.error}`);
+  }
+
+  return { invitation };
+}
+
+// The user's pending invitations, with their organizations
+async function listForUser(user) {
+  await expireStale({ userId: user._id });
+  return StaffInvitation.find({ userId: user._id, status: 'pending' })
+    .populate('organizationId', 'name type')
+    .sort({ createdAt: -1 });
+}
+
+// An organization's pending invitations
+async function listForOrganization(organization) {
+  await expireStale({ organizationId: organization._id });
+  return StaffInvitation.find({ organizationId: organization._id, status: 'pending' })
+    .populate('userId', 'name phone')
+    .sort({ createdAt: -1 });
+}
+
+// Close a pending invitation of the user's as accepted or declined. Throws
+// StaffInvitationError when there is none.
+async function respond(invitationId, user, status) {
+  const invitation = await StaffInvitation.findOneAndUpdate(
+    { _id: invitationId, userId: user._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status, respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!invitation) {
+    throw new StaffInvitationError('Invitation not found or no longer open', 404);
+  }
+  return invitation;
+}
+
+// Join the organization. Fails if the user joined another one meanwhile or
+// the organization was deactivated.
+async function accept(invitationId, user) {
+  if (user.organizationId) {
+    throw new StaffInvitationError('Leave your current organization before joining another', 409);
+  }
+  const invitation = await respond(invitationId, user, 'accepted');
+
+  const organization = await ResponderOrganization.findById(invitation.organizationId);
+  const joined = organization && organization.isActive
+    ? await User.updateOne(
+      { _id: user._id, organizationId: null },
+      { $set: { organizationId: organization._id, organizationRole: invitation.organizationRole } }
+    )
+    : { modifiedCount: 0 };
+
+  if (joined.modifiedCount === 0) {
+    await StaffInvitation.updateOne({ _id: invitation._id }, { $set: { status: 'expired' } });
+    throw new StaffInvitationError(
+      organization && organization.isActive
+        ? 'Leave your current organization before joining another'
+        : 'This organization is no longer active',
+      409
+    );
+  }
+
+  return { invitation, organization };
+}
+
+function decline(invitationId, user) {
+  return respond(invitationId, user, 'declined');
+}
+
+// Withdraw an invitation (organization admins)
+async function revoke(invitationId, organization) {
+  const revoked = await StaffInvitation.updateOne(
+    { _id: invitationId, organizationId: organization._id, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } }
+  );
+  if (revoked.modifiedCount === 0) {
+    throw new StaffInvitationError('Invitation not found or no longer open', 404);
+  }
+}
+
+module.exports = {
+  TTL_DAYS,
+  StaffInvitationError,
+  invite,
+  listForUser,
+  listForOrganization,
+  accept,
+  decline,
+  revoke
+};
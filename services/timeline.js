@@ -0,0 +1,82 @@
+const AlertEvent = require('../models/AlertEvent');
+
+const SYSTEM_ACTOR = { kind: 'system' };
+
+// Responses that count as someone taking the alert on
+const ACKNOWLEDGED_RESPONSES = ['acknowledged', 'responding'];
+const DELIVERED_STATUSES = ['queued', 'sent', 'delivered', 'logged'];
+
+// The acting user, as the alert owner or someone else
+function actorFor(alert, user) {
+  if (!user) return SYSTEM_ACTOR;
+  const isOwner = alert.userId && alert.userId.toString() === user._id.toString();
+  return {
+    kind: isOwner ? 'owner' : 'user',
+    userId: user._id,
+    name: user.name,
+    phone: user.phone
+  };
+}
+
+// Append an event to the alert's timeline. Never throws: a timeline write
+// must not break the SOS path it is recording.
+async function record(alert, type, data = {}, actor = SYSTEM_ACTOR) {
+  try {
+    return await AlertEvent.create({
+      alertId: alert._id || alert,
+      type,
+      actor,
+      data
+    });
+  } catch (error) {
+    console.error(`Timeline error for alert ${alert._id || alert} (${type}):`, error);
+    return null;
+  }
+}
+
+function getTimeline(alertId, { types } = {}) {
+  const filter = { alertId };
+  if (types && types.length > 0) {
+    filter.type = { $in: types };
+  }
+  return AlertEvent.find(filter).sort({ at: 1, _id: 1 });
+}
+
+function secondsBetween(from, to) {
+  return from && to ? Math.round((new Date(to) - new Date(from)) / 1000) : null;
+}
+
+// Derived metrics; times are seconds from alert creation
+function computeMetrics(alert, events) {
+  const first = (predicate) => events.find(predicate);
+
+  const firstDelivery = first(event =>
+    event.type === 'notification_attempt' && DELIVERED_STATUSES.includes(event.data.status));
+  const firstAcknowledgement = first(event =>
+    event.type === 'contact_response' && ACKNOWLEDGED_RESPONSES.includes(event.data.response));
+  const firstResponse = first(event => event.type === 'contact_response');
+  const policeNotified = first(event => event.type === 'police_update');
+  const closed = first(event => event.type === 'status_change' && event.data.to !== 'active');
+  const attempts = events.filter(event => event.type === 'notification_attempt');
+
+  return {
+    timeToFirstNotification: secondsBetween(alert.createdAt, firstDelivery && firstDelivery.at),
+    timeToFirstResponse: secondsBetween(alert.createdAt, firstResponse && firstResponse.at),
+    timeToFirstAcknowledgement: secondsBetween(alert.createdAt, firstAcknowledgement && firstAcknowledgement.at),
+    timeToPoliceNotified: secondsBetween(alert.createdAt, policeNotified && policeNotified.at),
+    timeToClose: secondsBetween(alert.createdAt, closed && closed.at),
+    notificationAttempts: attempts.length,
+    failedNotificationAttempts: attempts.filter(event => event.data.status === 'failed').length,
+    contactResponses: events.filter(event => event.type === 'contact_response').length,
+    locationUpdates: events.filter(event => event.type === 'location_update').length,
+    escalationSteps: events.filter(event => event.type === 'escalation_step').length
+  };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  actorFor,
+  record,
+  getTimeline,
+  computeMetrics
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const SOSAlert = require('../models/SOSAlert');
+const timeline = require('./timeline');
+const events = require('./events');
+
+const RULES_FILE = process.env.TRIAGE_RULES_FILE || path.join(__dirname, '..', 'config', 'triage.json');
+const POLL_INTERVAL_MS = parseInt(process.env.TRIAGE_POLL_INTERVAL_MS || '60000', 10);
+
+// Numeric order of priorities, stored on the alert for sorting
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3, critical: 4 };
+const ACKNOWLEDGED_RESPONSES = ['acknowledged', 'responding'];
+
+let rules = null;
+let workerTimer = null;
+let workerRunning = false;
+
+function loadRules() {
+  if (!rules) {
+    rules = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  }
+  return rules;
+}
+
+function setRules(newRules) {
+  rules = newRules;
+}
+
+// Hour of the day (0-23) in the configured time zone
+function localHour(date, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-GB', { hour: '2-digit', hourCycle: 'h23', timeZone }).format(date);
+  return parseInt(hour, 10);
+}
+
+// Ranges may wrap past midnight, e.g. from 21 to 5
+function isWithinHours(hour, { from, to }) {
+  return from > to ? hour >= from || hour < to : hour >= from && hour < to;
+}
+
+// Keywords and phrases match whole words ("car" doesn't match "care"); a
+// trailing * matches any ending ("follow*" matches "following"). Non-Latin
+// keywords match anywhere.
+function hasKeyword(text, keyword) {
+  const prefix = keyword.endsWith('*');
+  const word = (prefix ? keyword.slice(0, -1) : keyword).toLowerCase();
+  if (!/^[a-z0-9 ]+$/.test(word)) {
+    return text.includes(word);
+  }
+  return new RegExp(`(^|[^a-z0-9])${word}${prefix ? '' : '($|[^a-z0-9])'}`).test(text);
+}
+
+// Each condition in a rule's "when" must hold for the rule to match
+const CONDITIONS = {
+  emergencyType: (types, input) => types.includes(input.emergencyType),
+  trigger: (triggers, input) => triggers.includes(input.trigger),
+  descriptionKeywords: (keywords, input) => keywords.some(keyword => hasKeyword(input.description, keyword)),
+  night: (hours, input) => isWithinHours(input.hour, hours),
+  accuracyAbove: (meters, input) => input.accuracy != null && input.accuracy > meters,
+  recentAlertsAtLeast: (count, input) => input.recentAlerts >= count,
+  recentFalseAlarmsAtLeast: (count, input) => input.recentFalseAlarms >= count,
+  pressCountAtLeast: (count, input) => input.pressCount >= count,
+  acknowledged: (expected, input) => input.acknowledged === expected,
+  unacknowledgedForMinutes: (minutes, input) => !input.acknowledged && input.minutesOpen >= minutes
+};
+
+// Everything the rules look at, for one alert at one moment
+async function gatherInputs(alert, now) {
+  const config = loadRules();
+  const since = new Date(now.getTime() - (config.historyDays || 30) * 24 * 60 * 60 * 1000);
+  const history = await SOSAlert.find({
+    userId: alert.userId,
+    _id: { $ne: alert._id },
+    createdAt: { $gte: since }
+  }).select('status');
+
+  const latestPoint = alert.locationTrail.length > 0 ? alert.locationTrail[alert.locationTrail.length - 1] : null;
+
+  return {
+    emergencyType: alert.emergencyType,
+    trigger: alert.trigger,
+    description: (alert.description || '').toLowerCase(),
+    hour: localHour(now, config.timezone || 'Asia/Kolkata'),
+    accuracy: latestPoint ? latestPoint.accuracy : null,
+    recentAlerts: history.length,
+    recentFalseAlarms: history.filter(past => past.status === 'false_alarm').length,
+    pressCount: alert.pressCount || 1,
+    acknowledged: alert.notifiedContacts.some(contact => ACKNOWLEDGED_RESPONSES.includes(contact.response)),
+    minutesOpen: (now - (alert.createdAt || now)) / 60000
+  };
+}
+
+function matches(rule, input) {
+  return Object.entries(rule.when || {}).every(([condition, expected]) => {
+    const check = CONDITIONS[condition];
+    if (!check) {
+      console.warn(`Unknown triage condition "${condition}" in rule "${rule.name}"`);
+      return false;
+    }
+    return check(expected, input);
+  });
+}
+
+function priorityForScore(score) {
+  const match = loadRules().priorities.find(({ minScore }) => minScore == null || score >= minScore);
+  return match ? match.name : 'high';
+}
+
+// Score an alert against the rules: { priority, score, matchedRules }
+async function evaluate(alert, now = new Date()) {
+  const input = await gatherInputs(alert, now);
+  const matched = loadRules().rules.filter(rule => matches(rule, input));
+  const score = matched.reduce((total, rule) => total + rule.points, 0);
+
+  return {
+    priority: priorityForScore(score),
+    score,
+    matchedRules: matched.map(rule => rule.name)
+  };
+}
+
+// How widely and quickly a priority notifies people
+function getFanOut(priority) {
+  return loadRules().fanOut[priority] || {};
+}
+
+function waitMultiplier(priority) {
+  const multiplier = getFanOut(priority).escalationWaitMultiplier;
+  return multiplier != null ? multiplier : 1;
+}
+
+// Set priority and triage details on the alert without saving. A pending
+// escalation step is brought forward (or pushed back) to match the new priority.
+async function apply(alert, now = new Date()) {
+  const result = await evaluate(alert, now);
+  const previous = alert.priority;
+  const changed = previous !== result.priority;
+
+  const nextStepAt = alert.escalation && alert.escalation.nextStepAt;
+  if (changed && nextStepAt && nextStepAt > now) {
+    const remaining = (nextStepAt - now) * waitMultiplier(result.priority) / waitMultiplier(previous);
+    alert.escalation.nextStepAt = new Date(now.getTime() + remaining);
+  }
+
+  alert.priority = result.priority;
+  alert.triage = {
+    score: result.score,
+    rank: PRIORITY_RANKS[result.priority],
+    matchedRules: result.matchedRules,
+    evaluatedAt: now
+  };
+
+  return { ...result, previous, changed };
+}
+
+// Re-run triage on a saved alert; save and announce it if the priority moved
+async function reevaluate(alert) {
+  if (alert.status !== 'active') return alert;
+
+  const result = await apply(alert);
+  await alert.save();
+
+  if (result.changed) {
+    await timeline.record(alert, 'priority_change', {
+      from: result.previous,
+      to: result.priority,
+      score: result.score,
+      matchedRules: result.matchedRules
+    });
+    events.publish(events.EVENT_TYPES.PRIORITY, alert, {
+      priority: alert.priority,
+      previous: result.previous,
+      score: result.score
+    });
+  }
+  return alert;
+}
+
+// Re-triage every active alert: time-based rules change as alerts age
+async function runTriage() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    const alerts = await SOSAlert.find({ status: 'active' });
+    for (const alert of alerts) {
+      try {
+        await reevaluate(alert);
+      } catch (error) {
+        console.error(`Triage error for alert ${alert._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Triage worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runTriage, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  console.log('SOS triage worker started');
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  PRIORITY_RANKS,
+  loadRules,
+  setRules,
+  evaluate,
+  apply,
+  reevaluate,
+  getFanOut,
+  waitMultiplier,
+  runTriage,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const loginProtection = require('./loginProtection');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Voice of Her';
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+  .digest();
+// Time steps either side of now that are accepted, for phones with a drifting clock
+const WINDOW = parseInt(process.env.TWO_FACTOR_WINDOW || '1', 10);
+const RECOVERY_CODE_COUNT = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES || '10', 10);
+const CHALLENGE_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES || '5', 10);
+const MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10);
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+class TwoFactorError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// TOTP secrets must be readable to check codes, so they are encrypted
+// (AES-256-GCM) rather than hashed: "<iv>.<tag>.<ciphertext>"
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Recovery codes look like "7KQ2-M9XD"; dashes, spaces and case don't matter
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+async function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = totp.base32Encode(crypto.randomBytes(5));
+    codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+  }
+  const hashed = await Promise.all(codes.map(async code => ({
+    codeHash: await bcrypt.hash(normalizeRecoveryCode(code), 10)
+  })));
+  return { codes, hashed };
+}
+
+function getStatus(user) {
+  const twoFactor = user.twoFactor || {};
+  return {
+    enabled: Boolean(twoFactor.enabled),
+    enabledAt: twoFactor.enabledAt,
+    recoveryCodesLeft: twoFactor.recoveryCodes
+      ? twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+      : undefined
+  };
+}
+
+function isEnabled(user) {
+  return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+// Start enrolling: a new secret, as text, an otpauth:// URI and a QR code
+// image for the authenticator app. Nothing changes until enable() gets a code.
+async function startSetup(user) {
+  if (isEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is already on', 409);
+  }
+
+  const secret = totp.generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  const otpauthUri = totp.buildOtpauthUri(secret, { issuer: ISSUER, account: user.phone });
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+}
+
+// Finish enrolling with a code from the app. Returns the recovery codes,
+// which are shown this once. Sessions already signed in stay signed in, so
+// an SOS can still be raised from them.
+async function enable(userId, code) {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (isEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is already on', 409);
+  }
+  if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first', 400);
+  }
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactor.pendingSecret), code, { window: WINDOW });
+  if (step === null) {
+    throw new TwoFactorError('Incorrect code; check the time on your phone and try again', 400);
+  }
+
+  const { codes, hashed } = await generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.recoveryCodes': hashed
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+  return { recoveryCodes: codes };
+}
+
+// Check a code from the app or a recovery code and use it up. Returns
+// 'totp' or 'recovery_code'; throws TwoFactorError when neither matches.
+// The user must be loaded with SECRET_FIELDS.
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code, { window: WINDOW });
+    if (step !== null) {
+      // Each code works once, even if two requests race with it
+      const used = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (used.modifiedCount > 0) return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const candidate = normalizeRecoveryCode(recoveryCode);
+    for (const stored of user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt)) {
+      if (await bcrypt.compare(candidate, stored.codeHash)) {
+        const used = await User.updateOne(
+          { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { _id: stored._id, usedAt: null } } },
+          { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+        );
+        if (used.modifiedCount > 0) return 'recovery_code';
+      }
+    }
+  }
+
+  throw new TwoFactorError('Incorrect code', 401);
+}
+
+// verifySecondFactor() for a request: refused while the account's Aadhar
+// number is locked, and a wrong code counts towards locking it, so knowing
+// the password doesn't allow unlimited guesses at the code. checkLock: false
+// skips the lock check, for logins that never went through the password.
+async function checkSecondFactor(user, factors, req, { checkLock = true } = {}) {
+  if (checkLock) {
+    await loginProtection.assertNotLocked(user.aadhar);
+  }
+  try {
+    return await verifySecondFactor(user, factors);
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      await loginProtection.recordSecondFactorFailure(user, req);
+    }
+    throw error;
+  }
+}
+
+// Turn two-factor authentication off; needs a current code or a recovery code
+async function disable(userId, factors, req) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!isEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is not on', 409);
+  }
+  await checkSecondFactor(user, factors, req);
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.enabledAt': 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.recoveryCodes': 1
+    }
+  });
+}
+
+// Replace every recovery code with a new set; needs a current code or a recovery code
+async function regenerateRecoveryCodes(userId, factors, req) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!isEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is not on', 409);
+  }
+  await checkSecondFactor(user, factors, req);
+
+  const { codes, hashed } = await generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashed } });
+  return { recoveryCodes: codes };
+}
+
+// The first factor was right: hand back a short-lived token to send with
+// the second. method: 'password' or 'otp'
+async function createChallenge(user, method) {
+  const challengeId = new mongoose.Types.ObjectId();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000);
+
+  await TwoFactorChallenge.create({
+    _id: challengeId,
+    userId: user._id,
+    tokenHash: hashSecret(secret),
+    method,
+    expiresAt
+  });
+
+  return {
+    twoFactorRequired: true,
+    challengeToken: `${challengeId}.${secret}`,
+    expiresAt,
+    methods: ['totp', 'recovery_code']
+  };
+}
+
+// Finish a login with the second factor. Every try counts against the
+// challenge's attempt limit, and wrong ones against the Aadhar number's lockout. Returns { user, method, secondFactor, recoveryCodesLeft }.
+async function completeChallenge(challengeToken, factors, req) {
+  const expired = new TwoFactorError('Login has expired; start again', 401);
+  const [challengeId, secret] = String(challengeToken || '').split('.');
+  if (!mongoose.isValidObjectId(challengeId) || !secret) throw expired;
+
+  const filter = {
+    _id: challengeId,
+    tokenHash: hashSecret(secret),
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+  // Take the attempt before checking, so parallel guesses can't exceed the limit
+  const challenge = await TwoFactorChallenge.findOneAndUpdate(
+    { ...filter, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!challenge) {
+    if (await TwoFactorChallenge.exists(filter)) {
+      throw new TwoFactorError('Too many incorrect codes; log in again', 429);
+    }
+    throw expired;
+  }
+
+  const user = await User.findOne({ _id: challenge.userId, isActive: true }).select(SECRET_FIELDS);
+  if (!user || !isEnabled(user)) throw expired;
+
+  let secondFactor;
+  try {
+    // A texted code already proved the phone, and the lockout only guards
+    // password logins: OTP login is how a locked-out owner gets back in
+    secondFactor = await checkSecondFactor(user, factors, req, { checkLock: challenge.method !== 'otp' });
+  } catch (error) {
+    if (!(error instanceof TwoFactorError)) throw error;
+    const attemptsLeft = MAX_ATTEMPTS - challenge.attempts;
+    throw attemptsLeft > 0
+      ? new TwoFactorError(`Incorrect code; ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`, 401)
+      : new TwoFactorError('Too many incorrect codes; log in again', 429);
+  }
+
+  const consumed = await TwoFactorChallenge.updateOne(
+    { _id: challenge._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (consumed.modifiedCount === 0) throw expired;
+
+  const recoveryCodesLeft = user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length -
+    (secondFactor === 'recovery_code' ? 1 : 0);
+  return { user, method: challenge.method, secondFactor, recoveryCodesLeft };
+}
+
+module.exports = {
+  TwoFactorError,
+  getStatus,
+  isEnabled,
+  startSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createChallenge,
+  completeChallenge
+};
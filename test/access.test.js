@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ResponderOrganization = require('../models/ResponderOrganization');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const access = require('../services/access');
+
+function newOrganization(isActive) {
+  return new ResponderOrganization({
+    name: 'Station 4',
+    type: 'police',
+    jurisdiction: { type: 'Polygon', coordinates: [[[78, 17], [79, 17], [79, 18], [78, 18], [78, 17]]] },
+    isActive
+  });
+}
+
+function newStaff(organization, organizationRole = 'staff') {
+  return new User({
+    aadhar: '123456789012',
+    password: 'secret1',
+    phone: '9876543210',
+    organizationId: organization._id,
+    organizationRole
+  });
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('staff of an active organization are responders', async () => {
+  const organization = newOrganization(true);
+  const admin = newStaff(organization, 'admin');
+  test.mock.method(ResponderOrganization, 'findById', async () => organization);
+
+  assert.strictEqual(await access.loadOrganization(admin), organization);
+  assert.deepStrictEqual(access.getRoles(admin), ['user', 'responder', 'org_admin']);
+  assert.strictEqual(access.hasPermission(admin, 'alerts:list_active'), true);
+  assert.strictEqual(access.hasPermission(admin, 'users:read'), true);
+
+  // Loaded once per user
+  await access.loadOrganization(admin);
+  assert.strictEqual(ResponderOrganization.findById.mock.callCount(), 1);
+});
+
+test('staff of a deactivated organization lose the responder roles', async () => {
+  const organization = newOrganization(false);
+  const admin = newStaff(organization, 'admin');
+  test.mock.method(ResponderOrganization, 'findById', async () => organization);
+
+  assert.strictEqual(await access.loadOrganization(admin), null);
+  assert.deepStrictEqual(access.getRoles(admin), ['user']);
+  assert.strictEqual(access.hasPermission(admin, 'alerts:list_active'), false);
+  assert.strictEqual(access.hasPermission(admin, 'users:read'), false);
+});
+
+test('staff of an organization that no longer exists lose the responder roles', async () => {
+  const staff = newStaff(newOrganization(true));
+  test.mock.method(ResponderOrganization, 'findById', async () => null);
+
+  await access.loadOrganization(staff);
+  assert.deepStrictEqual(access.getRoles(staff), ['user']);
+});
+
+test('responder roles are left out until the organization is loaded', () => {
+  const staff = newStaff(newOrganization(true));
+  assert.deepStrictEqual(access.getRoles(staff), ['user']);
+});
+
+test('a deactivated organization loses access to the alerts it claimed', async () => {
+  const organization = newOrganization(false);
+  const staff = newStaff(organization);
+  test.mock.method(ResponderOrganization, 'findById', async () => organization);
+  await access.loadOrganization(staff);
+
+  const alert = new SOSAlert({
+    userId: new mongoose.Types.ObjectId(),
+    userAadhar: '123456789013',
+    userName: 'Asha',
+    userPhone: '+919876543211',
+    location: { type: 'Point', coordinates: [78.5, 17.5] },
+    policeResponse: { organizationId: organization._id }
+  });
+  assert.strictEqual(await access.getAlertRole(alert, staff), null);
+
+  organization.isActive = true;
+  delete staff.$locals.organization;
+  await access.loadOrganization(staff);
+  assert.strictEqual(await access.getAlertRole(alert, staff), 'responder');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const sessions = require('../services/sessions');
+const contactResponses = require('../services/contactResponses');
+const sosRoutes = require('../routes/sos');
+
+const owner = new User({ aadhar: '123456789012', password: 'secret1', phone: '9876543210', phoneVerified: true });
+const contact = new User({ aadhar: '123456789013', password: 'secret1', phone: '9876543211', phoneVerified: true });
+const stranger = new User({ aadhar: '123456789014', password: 'secret1', phone: '9876543212', phoneVerified: true });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sos', sosRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/sos`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function newAlert() {
+  return new SOSAlert({
+    userId: owner._id,
+    userAadhar: owner.aadhar,
+    userName: 'Owner',
+    userPhone: owner.phone,
+    location: { type: 'Point', coordinates: [78.48, 17.38] },
+    notifiedContacts: [{ name: 'Contact', phone: '+919876543211' }]
+  });
+}
+
+// Sign every request in as `user`, with `alert` as the only alert
+function setUp(user, alert) {
+  test.mock.method(sessions, 'verifyAccessToken', async () => ({ userId: user._id.toString(), session: {} }));
+  test.mock.method(User, 'findById', () => ({ select: async () => user }));
+  test.mock.method(SOSAlert, 'findById', async () => alert);
+  test.mock.method(contactResponses, 'recordResponse', async () => {});
+}
+
+function respond(alert, contactPhone, response = 'acknowledged') {
+  return fetch(`${baseUrl}/${alert._id}/contact-response`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer token' },
+    body: JSON.stringify({ contactPhone, response })
+  });
+}
+
+test('a notified contact can record their own response', async () => {
+  const alert = newAlert();
+  setUp(contact, alert);
+
+  const res = await respond(alert, contact.phone);
+  assert.strictEqual(res.status, 200);
+  const [, contacts, response, source] = contactResponses.recordResponse.mock.calls[0].arguments;
+  assert.strictEqual(contacts[0].phone, '+919876543211');
+  assert.strictEqual(response, 'acknowledged');
+  assert.strictEqual(source, 'contact');
+});
+
+test('a user who was not notified cannot add themselves as a contact', async () => {
+  const alert = newAlert();
+  setUp(stranger, alert);
+
+  const res = await respond(alert, stranger.phone);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(alert.notifiedContacts.length, 1);
+  assert.strictEqual(contactResponses.recordResponse.mock.callCount(), 0);
+});
+
+test('a user cannot answer for someone else\'s number', async () => {
+  const alert = newAlert();
+  setUp(stranger, alert);
+
+  const res = await respond(alert, contact.phone);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(contactResponses.recordResponse.mock.callCount(), 0);
+});
+
+test('the owner can record a response for a number that was not notified', async () => {
+  const alert = newAlert();
+  setUp(owner, alert);
+
+  const res = await respond(alert, '9876543219', 'responding');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(alert.notifiedContacts.length, 2);
+  assert.strictEqual(alert.notifiedContacts[1].phone, '+919876543219');
+  assert.strictEqual(contactResponses.recordResponse.mock.calls[0].arguments[3], 'owner');
+});
+
+test('an unknown alert is a 404', async () => {
+  setUp(contact, null);
+  const res = await respond({ _id: new mongoose.Types.ObjectId() }, contact.phone);
+  assert.strictEqual(res.status, 404);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const AlertEvent = require('../models/AlertEvent');
+const escalation = require('../services/escalation');
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  escalation.setPolicy(null);
+});
+
+test('an alert past the end of a shortened policy stops its ladder', async () => {
+  const alert = new SOSAlert({
+    userId: new mongoose.Types.ObjectId(),
+    userAadhar: '123456789012',
+    userName: 'Asha',
+    userPhone: '+919876543210',
+    location: { type: 'Point', coordinates: [78.48, 17.38] },
+    escalation: { level: 3, nextStepAt: new Date(), log: [] }
+  });
+  escalation.setPolicy({ steps: [{ type: 'contacts', tier: 'primary', waitMinutes: 0 }] });
+
+  let due = alert;
+  test.mock.method(SOSAlert, 'findOneAndUpdate', async () => {
+    const next = due;
+    due = null;
+    return next;
+  });
+  test.mock.method(SOSAlert.prototype, 'save', async function() {
+    return this;
+  });
+  test.mock.method(AlertEvent, 'create', async () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+
+  await escalation.runDueEscalations();
+
+  assert.strictEqual(console.error.mock.callCount(), 0);
+  assert.strictEqual(alert.escalation.nextStepAt, undefined);
+  assert.ok(alert.escalation.stoppedAt);
+  assert.match(alert.escalation.stopReason, /No escalation step 3/);
+  assert.strictEqual(alert.escalation.log.length, 0);
+  const [event] = AlertEvent.create.mock.calls[0].arguments;
+  assert.strictEqual(event.type, 'escalation_stopped');
+  assert.strictEqual(SOSAlert.prototype.save.mock.callCount(), 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const events = require('../services/events');
+
+const AREA = { latitude: 17.38, longitude: 78.48, radiusKm: 5 };
+
+function newAlert(fields = {}) {
+  return new SOSAlert({
+    userId: new mongoose.Types.ObjectId(),
+    userAadhar: '123456789012',
+    userName: 'Asha',
+    userPhone: '+919876543210',
+    location: { type: 'Point', coordinates: [78.481, 17.381] },
+    ...fields
+  });
+}
+
+// Subscribe for the length of one test; returns the events received
+function listen(t, subscription) {
+  const received = [];
+  const unsubscribe = events.subscribe({ ...subscription, send: event => received.push(event) });
+  t.after(unsubscribe);
+  return received;
+}
+
+test('volunteers on an area stream get no personal details', (t) => {
+  const volunteer = listen(t, { area: AREA, publicOnly: true });
+  const responder = listen(t, { area: AREA });
+  const alert = newAlert();
+
+  events.publish(events.EVENT_TYPES.CREATED, alert, { alert: alert.getSummary() });
+  events.publish(events.EVENT_TYPES.CONTACT_RESPONSE, alert, {
+    contactName: 'Ravi',
+    contactPhone: '+919876543211',
+    response: 'responding',
+    source: 'sms'
+  });
+  events.publish(events.EVENT_TYPES.DISPATCH, alert, { organizationName: 'Station 4', status: 'dispatched', note: 'Van 2' });
+
+  assert.strictEqual(volunteer.length, 3);
+  const text = JSON.stringify(volunteer);
+  for (const secret of ['Asha', '+919876543210', 'Ravi', '+919876543211', 'Van 2']) {
+    assert.ok(!text.includes(secret), `volunteer event leaked ${secret}`);
+  }
+  assert.strictEqual(volunteer[0].data.alert.id.toString(), alert._id.toString());
+  assert.deepStrictEqual(volunteer[1].data, { response: 'responding' });
+  assert.deepStrictEqual(volunteer[2].data, { status: 'dispatched' });
+
+  assert.strictEqual(responder[0].data.alert.userPhone, '+919876543210');
+  assert.strictEqual(responder[1].data.contactName, 'Ravi');
+});
+
+test('silent and grace-period alerts never reach area streams', (t) => {
+  const area = listen(t, { area: AREA });
+  const silent = newAlert({ silent: true });
+  const pending = newAlert({ inGracePeriod: true });
+  const followers = listen(t, { alertId: silent._id.toString() });
+
+  events.publish(events.EVENT_TYPES.CREATED, silent, { alert: silent.getSummary() });
+  events.publish(events.EVENT_TYPES.LOCATION, pending, { point: { latitude: 17.381, longitude: 78.481 } });
+
+  assert.strictEqual(area.length, 0);
+  // Those following the alert itself still get its events
+  assert.strictEqual(followers.length, 1);
+});
+
+test('area streams only get alerts inside the circle with a known location', (t) => {
+  const area = listen(t, { area: AREA });
+
+  events.publish(events.EVENT_TYPES.STATUS, newAlert({ location: { type: 'Point', coordinates: [77.2, 28.6] } }), { status: 'resolved' });
+  events.publish(events.EVENT_TYPES.STATUS, newAlert({ locationUnknown: true }), { status: 'resolved' });
+  events.publish(events.EVENT_TYPES.STATUS, newAlert(), { status: 'resolved' });
+
+  assert.strictEqual(area.length, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const User = require('../models/User');
+const notifications = require('../services/notifications');
+const loginProtection = require('../services/loginProtection');
+const twoFactor = require('../services/twoFactor');
+
+const AADHAR = '123456789012';
+const req = { ip: '127.0.0.1', get: () => 'test' };
+
+function lockedThrottle() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    aadhar: AADHAR,
+    failures: 10,
+    lockouts: 0,
+    lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+  };
+}
+
+test.beforeEach(() => {
+  test.mock.method(LoginAttempt, 'create', async () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('recordFailure does not wait for the lockout SMS', async () => {
+  const user = new User({ aadhar: AADHAR, phone: '9876543210', name: 'Asha' });
+  test.mock.method(LoginThrottle, 'updateOne', async () => ({ modifiedCount: 1 }));
+  test.mock.method(notifications, 'notify', () => new Promise(() => {}));
+
+  await loginProtection.recordFailure(lockedThrottle(), user, req, 'bad_password');
+
+  assert.strictEqual(notifications.notify.mock.callCount(), 1);
+  const [recipient, message, options] = notifications.notify.mock.calls[0].arguments;
+  assert.strictEqual(recipient.phone, user.phone);
+  assert.match(message.body, /locked for 15 minutes/);
+  assert.deepStrictEqual(options, { channels: ['sms'] });
+});
+
+test('a failing lockout SMS does not fail the login request', async () => {
+  const user = new User({ aadhar: AADHAR, phone: '9876543210' });
+  test.mock.method(LoginThrottle, 'updateOne', async () => ({ modifiedCount: 1 }));
+  test.mock.method(notifications, 'notify', async () => {
+    throw new Error('provider down');
+  });
+  test.mock.method(console, 'error', () => {});
+
+  await loginProtection.recordFailure(lockedThrottle(), user, req, 'bad_password');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+// The second step of a login, with the Aadhar number locked and a valid
+// recovery code
+function mockChallenge(method) {
+  const recoveryCodeId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    aadhar: AADHAR,
+    twoFactor: {
+      enabled: true,
+      recoveryCodes: [{ _id: recoveryCodeId, codeHash: bcrypt.hashSync('7KQ2M9XD', 4), usedAt: null }]
+    }
+  };
+  test.mock.method(TwoFactorChallenge, 'findOneAndUpdate', async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    method,
+    attempts: 1
+  }));
+  test.mock.method(TwoFactorChallenge, 'updateOne', async () => ({ modifiedCount: 1 }));
+  test.mock.method(User, 'findOne', () => ({ select: async () => user }));
+  test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  test.mock.method(LoginThrottle, 'findOne', async () => lockedThrottle());
+  return `${new mongoose.Types.ObjectId()}.secret`;
+}
+
+test('the second factor after a password login is refused while locked', async () => {
+  const challengeToken = mockChallenge('password');
+
+  await assert.rejects(
+    twoFactor.completeChallenge(challengeToken, { recoveryCode: '7KQ2-M9XD' }, req),
+    (error) => error instanceof loginProtection.LoginThrottleError && error.status === 429
+  );
+});
+
+test('the second factor after an OTP login ignores the lockout', async () => {
+  const challengeToken = mockChallenge('otp');
+
+  const result = await twoFactor.completeChallenge(challengeToken, { recoveryCode: '7KQ2-M9XD' }, req);
+  assert.strictEqual(result.method, 'otp');
+  assert.strictEqual(result.secondFactor, 'recovery_code');
+  assert.strictEqual(LoginThrottle.findOne.mock.callCount(), 0);
+});
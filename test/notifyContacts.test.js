@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const SOSAlert = require('../models/SOSAlert');
+const User = require('../models/User');
+const outbox = require('../services/outbox');
+const sessions = require('../services/sessions');
+const sosRoutes = require('../routes/sos');
+
+const owner = new User({
+  aadhar: '123456789012',
+  password: 'secret1',
+  phone: '9876543210',
+  phoneVerified: true,
+  emergencyContacts: [{ name: 'Ravi', phone: '9876543211', relationship: 'Brother' }]
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sos', sosRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/sos`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function newAlert(fields) {
+  return new SOSAlert({
+    userId: owner._id,
+    userAadhar: owner.aadhar,
+    userName: 'Asha',
+    userPhone: owner.phone,
+    location: { type: 'Point', coordinates: [78.48, 17.38] },
+    ...fields
+  });
+}
+
+// Signed in as the owner, with `alert` as the only alert
+function setUp(alert) {
+  test.mock.method(sessions, 'verifyAccessToken', async () => ({ userId: owner._id.toString(), session: {} }));
+  // Loaded with .select() by the auth middleware and directly by the route
+  test.mock.method(User, 'findById', () => ({
+    select: async () => owner,
+    then: resolve => resolve(owner)
+  }));
+  test.mock.method(SOSAlert, 'findById', () => ({ populate: async () => alert }));
+  test.mock.method(outbox, 'queueForAlert', async () => [{ status: 'queued' }]);
+}
+
+function notifyContacts(alert) {
+  return fetch(`${baseUrl}/${alert._id}/notify-contacts`, {
+    method: 'POST',
+    headers: { authorization: 'Bearer token' }
+  });
+}
+
+test('contacts are notified for an active alert whose fan-out has started', async () => {
+  const alert = newAlert({ fanOutStartedAt: new Date() });
+  setUp(alert);
+
+  const res = await notifyContacts(alert);
+  assert.strictEqual(res.status, 200);
+  const [queuedAlert, recipients] = outbox.queueForAlert.mock.calls[0].arguments;
+  assert.strictEqual(queuedAlert, alert);
+  assert.deepStrictEqual(recipients.map(recipient => recipient.name), ['Ravi']);
+});
+
+test('contacts are not notified during the grace period', async () => {
+  const graceEndsAt = new Date(Date.now() + 10000);
+  const alert = newAlert({ inGracePeriod: true, graceEndsAt });
+  setUp(alert);
+
+  const res = await notifyContacts(alert);
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual((await res.json()).graceEndsAt, graceEndsAt.toISOString());
+  assert.strictEqual(outbox.queueForAlert.mock.callCount(), 0);
+});
+
+test('contacts are not notified once the alert is closed', async () => {
+  for (const status of ['resolved', 'false_alarm']) {
+    const alert = newAlert({ status, fanOutStartedAt: new Date() });
+    setUp(alert);
+
+    const res = await notifyContacts(alert);
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual((await res.json()).status, status);
+    test.mock.restoreAll();
+  }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const ResponderOrganization = require('../models/ResponderOrganization');
+const User = require('../models/User');
+const dispatch = require('../services/dispatch');
+const sessions = require('../services/sessions');
+const organizationRoutes = require('../routes/organizations');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/organizations', organizationRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/organizations`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+// Signed in as the admin of an active organization
+test.beforeEach(() => {
+  const organization = new ResponderOrganization({
+    name: 'Station 4',
+    type: 'police',
+    jurisdiction: { type: 'Polygon', coordinates: [[[78, 17], [79, 17], [79, 18], [78, 18], [78, 17]]] },
+    isActive: true
+  });
+  const admin = new User({
+    aadhar: '123456789012',
+    phone: '9876543210',
+    organizationId: organization._id,
+    organizationRole: 'admin'
+  });
+  test.mock.method(sessions, 'verifyAccessToken', async () => ({ userId: admin._id, session: {} }));
+  test.mock.method(User, 'findById', () => ({ select: async () => admin }));
+  test.mock.method(ResponderOrganization, 'findById', async () => organization);
+  test.mock.method(User, 'findOne', async () => null);
+  test.mock.method(dispatch, 'claimAlert', async () => {
+    throw new Error('not reached');
+  });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function request(method, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { authorization: 'Bearer token', 'content-type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('removing staff with a malformed user ID is a validation error', async () => {
+  const res = await request('DELETE', '/me/staff/not-an-id');
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await res.json()).details[0].msg, 'Invalid user ID');
+  assert.strictEqual(User.findOne.mock.callCount(), 0);
+});
+
+test('alert routes refuse a malformed alert ID', async () => {
+  const claim = await request('POST', '/alerts/not-an-id/claim');
+  assert.strictEqual(claim.status, 400);
+  assert.strictEqual((await claim.json()).details[0].msg, 'Invalid alert ID');
+  assert.strictEqual(dispatch.claimAlert.mock.callCount(), 0);
+
+  assert.strictEqual((await request('PUT', '/alerts/not-an-id/status', { status: 'dispatched' })).status, 400);
+  assert.strictEqual((await request('POST', '/alerts/not-an-id/notes', { text: 'On scene' })).status, 400);
+});
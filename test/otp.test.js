@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const OtpCode = require('../models/OtpCode');
+const User = require('../models/User');
+const otp = require('../services/otp');
+const sessions = require('../services/sessions');
+const authRoutes = require('../routes/auth');
+
+const PHONE = '+919876543210';
+
+// In-memory stand-in for the OtpCode collection, covering the queries the
+// OTP service makes
+let records = [];
+
+function matchesValue(value, condition) {
+  if (condition === null) return value === null || value === undefined;
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      !(condition instanceof mongoose.Types.ObjectId)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$gt') return value > operand;
+      if (operator === '$lt') return value < operand;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  return String(value) === String(condition);
+}
+
+function matching(filter) {
+  return records.filter(record =>
+    Object.entries(filter).every(([field, condition]) => matchesValue(record[field], condition)));
+}
+
+function newestFirst(list) {
+  return [...list].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function query(list) {
+  return {
+    select: () => query(list),
+    sort: async () => newestFirst(list)
+  };
+}
+
+function applySet(record, update) {
+  Object.assign(record, update.$set || {});
+  for (const [field, amount] of Object.entries(update.$inc || {})) {
+    record[field] += amount;
+  }
+}
+
+test.beforeEach(() => {
+  records = [];
+  test.mock.method(OtpCode, 'find', filter => query(matching(filter)));
+  test.mock.method(OtpCode, 'findOne', filter => ({ sort: async () => newestFirst(matching(filter))[0] || null }));
+  test.mock.method(OtpCode, 'exists', async filter => (matching(filter).length > 0 ? { _id: 1 } : null));
+  test.mock.method(OtpCode, 'create', async fields => {
+    const record = { _id: new mongoose.Types.ObjectId(), attempts: 0, consumedAt: null, supersededAt: null, ...fields };
+    records.push(record);
+    return record;
+  });
+  test.mock.method(OtpCode, 'deleteOne', async filter => {
+    records = records.filter(record => !matching(filter).includes(record));
+  });
+  test.mock.method(OtpCode, 'updateMany', async (filter, update) => {
+    const found = matching(filter);
+    found.forEach(record => applySet(record, update));
+    return { modifiedCount: found.length };
+  });
+  test.mock.method(OtpCode, 'updateOne', async (filter, update) => {
+    const [record] = matching(filter);
+    if (record) applySet(record, update);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  test.mock.method(OtpCode, 'findOneAndUpdate', async (filter, update) => {
+    const [record] = matching(filter);
+    if (record) applySet(record, update);
+    return record || null;
+  });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Route codes to a memory sender for one test
+function useMemorySender(t) {
+  const previous = otp.getSender();
+  const sender = otp.createMemorySender();
+  otp.setSender(sender);
+  t.after(() => otp.setSender(previous));
+  return sender;
+}
+
+// Pretend the latest code was sent `seconds` earlier
+function age(seconds) {
+  for (const record of records) {
+    record.createdAt = new Date(record.createdAt.getTime() - seconds * 1000);
+  }
+}
+
+test('requestCode texts a code and verifyCode accepts it once', async (t) => {
+  const sender = useMemorySender(t);
+
+  const { expiresAt, resendAfter } = await otp.requestCode(PHONE, 'register', { language: 'hi' });
+  assert.ok(expiresAt > new Date());
+  assert.ok(resendAfter > new Date());
+
+  const code = sender.lastCode(PHONE);
+  assert.match(code, new RegExp(`^\\d{${otp.CODE_LENGTH}}$`));
+  assert.ok(sender.messages[0].body.includes(code));
+  // Only the hash is stored
+  assert.ok(!JSON.stringify(records).includes(code));
+  assert.strictEqual(await otp.hasOpenCode(PHONE, 'register'), true);
+
+  await otp.verifyCode(PHONE, 'register', code);
+  assert.strictEqual(await otp.hasOpenCode(PHONE, 'register'), false);
+  await assert.rejects(otp.verifyCode(PHONE, 'register', code), { status: 400 });
+});
+
+test('a code only works for its own purpose', async (t) => {
+  const sender = useMemorySender(t);
+  await otp.requestCode(PHONE, 'login');
+
+  await assert.rejects(otp.verifyCode(PHONE, 'register', sender.lastCode(PHONE)), { status: 400 });
+  await otp.verifyCode(PHONE, 'login', sender.lastCode(PHONE));
+});
+
+test('an expired code is refused', async (t) => {
+  const sender = useMemorySender(t);
+  await otp.requestCode(PHONE, 'register');
+  records[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.strictEqual(await otp.hasOpenCode(PHONE, 'register'), false);
+  await assert.rejects(otp.verifyCode(PHONE, 'register', sender.lastCode(PHONE)), /expired/);
+});
+
+test('a new code replaces the previous one', async (t) => {
+  const sender = useMemorySender(t);
+  await otp.requestCode(PHONE, 'register');
+  const first = sender.lastCode(PHONE);
+  age(120);
+  await otp.requestCode(PHONE, 'register');
+  const second = sender.lastCode(PHONE);
+
+  if (first !== second) {
+    await assert.rejects(otp.verifyCode(PHONE, 'register', first), { status: 401 });
+  }
+  await otp.verifyCode(PHONE, 'register', second);
+});
+
+test('wrong codes use up the attempt limit, after which the right one fails too', async (t) => {
+  const sender = useMemorySender(t);
+  await otp.requestCode(PHONE, 'register');
+  const code = sender.lastCode(PHONE);
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  await assert.rejects(otp.verifyCode(PHONE, 'register', wrong), { status: 401, message: /4 attempts left/ });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(otp.verifyCode(PHONE, 'register', wrong), { status: 401 });
+  }
+  await assert.rejects(otp.verifyCode(PHONE, 'register', wrong), { status: 429 });
+  await assert.rejects(otp.verifyCode(PHONE, 'register', code), { status: 429 });
+});
+
+test('codes cannot be resent too soon or too often', async (t) => {
+  useMemorySender(t);
+  await otp.requestCode(PHONE, 'register');
+  await assert.rejects(otp.requestCode(PHONE, 'register'), { status: 429, message: /Please wait/ });
+
+  for (let i = 0; i < 4; i++) {
+    age(120);
+    await otp.requestCode(PHONE, 'register');
+  }
+  age(120);
+  await assert.rejects(otp.requestCode(PHONE, 'register'), { status: 429, message: /Too many codes/ });
+
+  // Other numbers are unaffected
+  await otp.requestCode('+919876543211', 'register');
+});
+
+test('a code that could not be sent is discarded', async (t) => {
+  const previous = otp.getSender();
+  otp.setSender({
+    name: 'broken',
+    send: async () => {
+      throw new Error('provider down');
+    }
+  });
+  t.after(() => otp.setSender(previous));
+  test.mock.method(console, 'error', () => {});
+
+  await assert.rejects(otp.requestCode(PHONE, 'register'), { status: 502 });
+  assert.strictEqual(records.length, 0);
+});
+
+// Registration and OTP login through the routes, with codes read back from
+// the memory sender
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  return async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+function mockSessions() {
+  test.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'refresh' }));
+}
+
+test('registering texts a code that activates the account', async (t) => {
+  const sender = useMemorySender(t);
+  const post = await startServer(t);
+  let saved = null;
+  test.mock.method(User, 'find', async () => []);
+  test.mock.method(User, 'findOne', async (filter) => (filter.phoneVerified === false ? saved : null));
+  test.mock.method(User.prototype, 'save', async function() {
+    saved = this;
+    return this;
+  });
+  mockSessions();
+
+  const registered = await post('/register', { aadhar: '123456789012', password: 'secret1', phone: '9876543210' });
+  assert.strictEqual(registered.status, 201);
+  assert.strictEqual(registered.body.verificationRequired, true);
+  assert.ok(registered.body.verification.expiresAt);
+  assert.strictEqual(registered.body.token, undefined);
+  assert.strictEqual(saved.phoneVerified, false);
+
+  const code = sender.lastCode('9876543210');
+  const wrong = await post('/register/verify', { phone: '9876543210', code: code === '000000' ? '111111' : '000000' });
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(saved.phoneVerified, false);
+
+  const verified = await post('/register/verify', { phone: '9876543210', code });
+  assert.strictEqual(verified.status, 200);
+  assert.strictEqual(verified.body.token, 'access');
+  assert.strictEqual(saved.phoneVerified, true);
+});
+
+test('a code texted for login signs the account in', async (t) => {
+  const sender = useMemorySender(t);
+  const post = await startServer(t);
+  const user = new User({ aadhar: '123456789012', password: 'secret1', phone: '9876543210', phoneVerified: true });
+  test.mock.method(User, 'findOne', async () => user);
+  test.mock.method(User, 'find', async () => [user]);
+  test.mock.method(User.prototype, 'save', async function() {
+    return this;
+  });
+  mockSessions();
+
+  const requested = await post('/otp/request', { phone: '9876543210', purpose: 'login' });
+  assert.strictEqual(requested.status, 200);
+
+  const loggedIn = await post('/login/otp', { phone: '9876543210', code: sender.lastCode('9876543210') });
+  assert.strictEqual(loggedIn.status, 200);
+  assert.strictEqual(loggedIn.body.token, 'access');
+
+  const replayed = await post('/login/otp', { phone: '9876543210', code: sender.lastCode('9876543210') });
+  assert.strictEqual(replayed.status, 400);
+});
+
+test('a login code is only texted to numbers with an account', async (t) => {
+  const sender = useMemorySender(t);
+  const post = await startServer(t);
+  test.mock.method(User, 'findOne', async () => null);
+
+  const requested = await post('/otp/request', { phone: '9876543210', purpose: 'login' });
+  assert.strictEqual(requested.status, 200);
+  assert.strictEqual(sender.messages.length, 0);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createToken, verifyToken } = require('../services/responseLinks');
+
+const JOB_ID = '65a1f0c2b3d4e5f60718293a';
+
+function inHours(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
+test('verifyToken accepts a token it created', () => {
+  const expiresAt = inHours(1);
+  const result = verifyToken(createToken(JOB_ID, expiresAt));
+  assert.strictEqual(result.deliveryJobId, JOB_ID);
+  // Expiry is kept to the second
+  assert.strictEqual(result.expiresAt.getTime(), Math.floor(expiresAt.getTime() / 1000) * 1000);
+});
+
+test('verifyToken rejects an expired token', () => {
+  assert.strictEqual(verifyToken(createToken(JOB_ID, inHours(-1))), null);
+});
+
+test('verifyToken rejects a tampered signature', () => {
+  const token = createToken(JOB_ID, inHours(1));
+  const last = token.slice(-1);
+  assert.strictEqual(verifyToken(token.slice(0, -1) + (last === 'A' ? 'B' : 'A')), null);
+  assert.strictEqual(verifyToken(token.slice(0, -1)), null);
+});
+
+test('verifyToken rejects a token moved to another job or expiry', () => {
+  const [, expiry, signature] = createToken(JOB_ID, inHours(1)).split('.');
+  assert.strictEqual(verifyToken(`65a1f0c2b3d4e5f60718293b.${expiry}.${signature}`), null);
+
+  const later = Math.floor(inHours(48).getTime() / 1000).toString(36);
+  assert.strictEqual(verifyToken(`${JOB_ID}.${later}.${signature}`), null);
+});
+
+test('verifyToken rejects malformed tokens', () => {
+  assert.strictEqual(verifyToken(''), null);
+  assert.strictEqual(verifyToken(undefined), null);
+  assert.strictEqual(verifyToken('not-a-token'), null);
+  assert.strictEqual(verifyToken(`${JOB_ID}.abc`), null);
+  assert.strictEqual(verifyToken('NOT-AN-OBJECT-ID.abc.def'), null);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SafetyTimer = require('../models/SafetyTimer');
+const User = require('../models/User');
+const sosPipeline = require('../services/sosPipeline');
+const safetyTimers = require('../services/safetyTimers');
+
+const user = new User({ aadhar: '123456789012', password: 'secret1', phone: '9876543210' });
+
+function newTimer(fields = {}) {
+  return new SafetyTimer({
+    userId: user._id,
+    durationMinutes: 30,
+    expiresAt: new Date(Date.now() - 1000),
+    status: 'expiring',
+    ...fields
+  });
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// findOneAndUpdate calls as [filter, update] pairs
+function updates() {
+  return SafetyTimer.findOneAndUpdate.mock.calls.map(call => call.arguments.slice(0, 2));
+}
+
+test('expireTimer marks the timer expired once the SOS is raised', async () => {
+  const timer = newTimer();
+  const alertId = new mongoose.Types.ObjectId();
+  test.mock.method(SafetyTimer, 'findOneAndUpdate', async () => timer);
+  test.mock.method(User, 'findById', async () => user);
+  test.mock.method(sosPipeline, 'raiseAlert', async () => ({ alert: { _id: alertId } }));
+  test.mock.method(console, 'log', () => {});
+
+  await safetyTimers.expireTimer(timer._id, 'timer expired');
+
+  const [claim, finish] = updates();
+  assert.deepStrictEqual(claim[0], { _id: timer._id, status: 'active' });
+  assert.strictEqual(claim[1].$set.status, 'expiring');
+  assert.deepStrictEqual(finish[0], { _id: timer._id, status: 'expiring' });
+  assert.strictEqual(finish[1].$set.status, 'expired');
+  assert.strictEqual(finish[1].$set.alertId, alertId);
+});
+
+test('expireTimer raises the SOS without a location when none is known', async () => {
+  const timer = newTimer();
+  test.mock.method(SafetyTimer, 'findOneAndUpdate', async () => timer);
+  test.mock.method(User, 'findById', async () => user);
+  test.mock.method(sosPipeline, 'raiseAlert', async () => ({ alert: { _id: new mongoose.Types.ObjectId() } }));
+  test.mock.method(console, 'log', () => {});
+
+  await safetyTimers.expireTimer(timer._id, 'timer expired');
+
+  const [, options] = sosPipeline.raiseAlert.mock.calls[0].arguments;
+  assert.strictEqual(options.latitude, null);
+  assert.strictEqual(options.longitude, null);
+  assert.strictEqual(options.trigger, 'timer');
+});
+
+test('expireTimer hands the timer back, due, when the SOS cannot be raised', async () => {
+  const timer = newTimer({ expiresAt: new Date(Date.now() + 10 * 60 * 1000) });
+  test.mock.method(SafetyTimer, 'findOneAndUpdate', async () => timer);
+  test.mock.method(SafetyTimer, 'updateOne', async () => ({ modifiedCount: 1 }));
+  test.mock.method(User, 'findById', async () => user);
+  test.mock.method(sosPipeline, 'raiseAlert', async () => {
+    throw new Error('database unavailable');
+  });
+
+  await assert.rejects(safetyTimers.expireTimer(timer._id, 'too many incorrect PIN attempts'), /database unavailable/);
+
+  // Never marked expired
+  assert.strictEqual(SafetyTimer.findOneAndUpdate.mock.callCount(), 1);
+  const [filter, update] = SafetyTimer.updateOne.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: timer._id, status: 'expiring' });
+  assert.strictEqual(update.$set.status, 'active');
+  assert.ok(update.$set.expiresAt <= new Date());
+});
+
+test('startTimer turns a duplicate active timer into a 409', async () => {
+  test.mock.method(SafetyTimer, 'findOne', async () => null);
+  test.mock.method(SafetyTimer.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+
+  await assert.rejects(
+    safetyTimers.startTimer(user, { durationMinutes: 30 }),
+    (error) => error instanceof safetyTimers.SafetyTimerError && error.status === 409
+  );
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessions = require('../services/sessions');
+
+const req = { ip: '127.0.0.1', get: () => 'test' };
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// A session whose refresh token "<id>.old-secret" was rotated secondsAgo
+function rotatedSession(secondsAgo) {
+  return new Session({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    refreshTokenHash: hashSecret('new-secret'),
+    previousTokenHash: hashSecret('old-secret'),
+    rotatedAt: new Date(Date.now() - secondsAgo * 1000),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('refreshSession rotates a current refresh token', async () => {
+  const session = rotatedSession(600);
+  test.mock.method(Session, 'findOneAndUpdate', async () => session);
+  test.mock.method(User, 'findById', () => ({ select: async () => ({ isActive: true }) }));
+
+  const tokens = await sessions.refreshSession(`${session._id}.new-secret`, req);
+
+  const [filter, update] = Session.findOneAndUpdate.mock.calls[0].arguments;
+  assert.strictEqual(filter.refreshTokenHash, hashSecret('new-secret'));
+  assert.strictEqual(update.$set.previousTokenHash, hashSecret('new-secret'));
+  assert.notStrictEqual(update.$set.refreshTokenHash, hashSecret('new-secret'));
+  assert.ok(tokens.refreshToken.startsWith(`${session._id}.`));
+  assert.ok(tokens.token);
+});
+
+test('refreshSession signs the session out when an old token is replayed', async () => {
+  const session = rotatedSession(600);
+  test.mock.method(Session, 'findOneAndUpdate', async () => null);
+  test.mock.method(Session, 'findById', async () => session);
+  test.mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(
+    sessions.refreshSession(`${session._id}.old-secret`, req),
+    (error) => error instanceof sessions.SessionError && error.status === 401 && /reused/.test(error.message)
+  );
+
+  assert.strictEqual(Session.updateOne.mock.callCount(), 1);
+  const [filter, update] = Session.updateOne.mock.calls[0].arguments;
+  assert.strictEqual(filter._id, session._id);
+  assert.strictEqual(update.$set.revokedReason, 'refresh_token_reuse');
+});
+
+test('refreshSession keeps the session when two refreshes race', async () => {
+  const session = rotatedSession(5);
+  test.mock.method(Session, 'findOneAndUpdate', async () => null);
+  test.mock.method(Session, 'findById', async () => session);
+  test.mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(
+    sessions.refreshSession(`${session._id}.old-secret`, req),
+    (error) => error instanceof sessions.SessionError && error.status === 409
+  );
+  assert.strictEqual(Session.updateOne.mock.callCount(), 0);
+});
+
+test('refreshSession does not revoke for an unknown token', async () => {
+  const session = rotatedSession(600);
+  test.mock.method(Session, 'findOneAndUpdate', async () => null);
+  test.mock.method(Session, 'findById', async () => session);
+  test.mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(
+    sessions.refreshSession(`${session._id}.guessed-secret`, req),
+    (error) => error instanceof sessions.SessionError && error.status === 401 && !/reused/.test(error.message)
+  );
+  assert.strictEqual(Session.updateOne.mock.callCount(), 0);
+});
+
+test('refreshSession rejects malformed tokens without a lookup', async () => {
+  test.mock.method(Session, 'findOneAndUpdate', async () => null);
+
+  for (const token of [undefined, '', 'no-dot', 'not-an-id.secret', `${new mongoose.Types.ObjectId()}.`]) {
+    await assert.rejects(sessions.refreshSession(token, req), { status: 401 });
+  }
+  assert.strictEqual(Session.findOneAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const NotificationJob = require('../models/NotificationJob');
+const notifications = require('../services/notifications');
+const contactResponses = require('../services/contactResponses');
+const smsReplies = require('../services/smsReplies');
+
+const { parseReply, normalizeReply } = smsReplies;
+
+test('normalizeReply upper-cases and strips punctuation', () => {
+  assert.strictEqual(normalizeReply("  can't, sorry!! "), 'CANT SORRY');
+  assert.strictEqual(normalizeReply('On   my-way'), 'ON MY WAY');
+  assert.strictEqual(normalizeReply(undefined), '');
+});
+
+test('parseReply maps keywords to responses', () => {
+  assert.strictEqual(parseReply('ok'), 'acknowledged');
+  assert.strictEqual(parseReply('Got it'), 'acknowledged');
+  assert.strictEqual(parseReply('coming'), 'responding');
+  assert.strictEqual(parseReply('On my way!'), 'responding');
+  assert.strictEqual(parseReply("can't"), 'declined');
+  assert.strictEqual(parseReply('busy'), 'declined');
+});
+
+test('parseReply accepts a keyword followed by more words', () => {
+  assert.strictEqual(parseReply('OK thanks'), 'acknowledged');
+  assert.strictEqual(parseReply('Coming now, 10 mins'), 'responding');
+  assert.strictEqual(parseReply('No sorry I am out of town'), 'declined');
+});
+
+test('parseReply does not match a keyword inside another word', () => {
+  assert.strictEqual(parseReply('Okra'), null);
+  assert.strictEqual(parseReply('Nothing'), null);
+  assert.strictEqual(parseReply('Yesterday'), null);
+});
+
+test('parseReply returns null for empty or unknown replies', () => {
+  assert.strictEqual(parseReply(''), null);
+  assert.strictEqual(parseReply('   '), null);
+  assert.strictEqual(parseReply('?!'), null);
+  assert.strictEqual(parseReply('where are you'), null);
+});
+
+const CONTACT_PHONE = '+919876543211';
+
+function newAlert() {
+  return new SOSAlert({
+    userId: new mongoose.Types.ObjectId(),
+    userAadhar: '123456789012',
+    userName: 'Asha',
+    userPhone: '+919876543210',
+    location: { type: 'Point', coordinates: [78.48, 17.38] },
+    notifiedContacts: [{ name: 'Ravi', phone: CONTACT_PHONE, deliveryJobId: new mongoose.Types.ObjectId() }]
+  });
+}
+
+// Stub the database and the SMS channel; `alert` is the sender's open alert
+// and `language` the one their SOS message went out in
+function setUp(alert, language) {
+  test.mock.method(SOSAlert, 'findOne', () => ({ sort: async () => alert }));
+  test.mock.method(NotificationJob, 'findOne', () => ({
+    select: () => ({ sort: async () => (language ? { message: { language } } : null) })
+  }));
+  test.mock.method(contactResponses, 'recordResponse', async () => {});
+  test.mock.method(notifications, 'notify', async () => ({ status: 'sent' }));
+  test.mock.method(console, 'log', () => {});
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('handleInboundSms ignores numbers with no open alert', async () => {
+  setUp(null);
+
+  const result = await smsReplies.handleInboundSms({ from: '+919999999999', body: 'OK' });
+  assert.strictEqual(result.outcome, 'no_open_alert');
+  assert.strictEqual(notifications.notify.mock.callCount(), 0);
+  assert.strictEqual(contactResponses.recordResponse.mock.callCount(), 0);
+
+  // Only active alerts are looked at
+  const [filter] = SOSAlert.findOne.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { status: 'active', 'notifiedContacts.phone': '+919999999999' });
+});
+
+test('handleInboundSms records the response on the sender\'s entries', async () => {
+  const alert = newAlert();
+  setUp(alert, 'en');
+
+  const result = await smsReplies.handleInboundSms({ from: '9876543211', body: 'On my way!' });
+  assert.strictEqual(result.outcome, 'recorded');
+  assert.strictEqual(result.response, 'responding');
+
+  const [recordedAlert, contacts, response, source] = contactResponses.recordResponse.mock.calls[0].arguments;
+  assert.strictEqual(recordedAlert, alert);
+  assert.deepStrictEqual(contacts.map(contact => contact.phone), [CONTACT_PHONE]);
+  assert.strictEqual(response, 'responding');
+  assert.strictEqual(source, 'sms');
+
+  const [recipient, message, options] = notifications.notify.mock.calls[0].arguments;
+  assert.deepStrictEqual(recipient, { phone: CONTACT_PHONE });
+  assert.deepStrictEqual(options, { channels: ['sms'] });
+  assert.match(message.body, /Asha knows you are on your way/);
+  assert.strictEqual(message.alertId, alert._id);
+});
+
+test('handleInboundSms replies in the language the sender was alerted in', async () => {
+  setUp(newAlert(), 'hi');
+
+  await smsReplies.handleInboundSms({ from: CONTACT_PHONE, body: 'ok' });
+  const [, message] = notifications.notify.mock.calls[0].arguments;
+  assert.strictEqual(message.language, 'hi');
+  assert.match(message.body, /धन्यवाद/);
+});
+
+test('handleInboundSms sends help for a reply it does not understand', async () => {
+  setUp(newAlert(), 'ta');
+
+  const result = await smsReplies.handleInboundSms({ from: CONTACT_PHONE, body: 'where is she?' });
+  assert.strictEqual(result.outcome, 'unrecognized');
+  assert.strictEqual(contactResponses.recordResponse.mock.callCount(), 0);
+  const [, message] = notifications.notify.mock.calls[0].arguments;
+  assert.strictEqual(message.language, 'ta');
+  assert.match(message.body, /COMING/);
+});
+
+test('handleInboundSms falls back to English when the delivery job is gone', async () => {
+  setUp(newAlert(), null);
+
+  await smsReplies.handleInboundSms({ from: CONTACT_PHONE, body: 'cant' });
+  const [, message] = notifications.notify.mock.calls[0].arguments;
+  assert.strictEqual(message.language, 'en');
+  assert.match(message.body, /other contacts/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 key "12345678901234567890", last six digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('base32 round-trips and ignores case, spaces and padding', () => {
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  assert.strictEqual(totp.base32Decode('gezd gnbv gy3t qojq====').toString(), '1234567890');
+  assert.throws(() => totp.base32Decode('GEZD1'), /Invalid base32/);
+});
+
+test('generateCode matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000)), code, `T=${seconds}`);
+  }
+});
+
+test('verifyCode returns the step of a code within the window', () => {
+  const now = 1111111111 * 1000;
+  const step = totp.currentStep(now);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, '050471', { now }), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, ' 050 471 ', { now }), step);
+
+  const previous = totp.generateCode(RFC_SECRET, step - 1);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, previous, { now }), step - 1);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, previous, { now, window: 0 }), null);
+});
+
+test('verifyCode rejects wrong, old and malformed codes', () => {
+  const now = 1111111111 * 1000;
+  const step = totp.currentStep(now);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now }), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, '050472', { now }), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, '50471', { now }), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, '0504711', { now }), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, undefined, { now }), null);
+});
+
+test('generateSecret makes a 160-bit base32 secret', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(totp.base32Decode(secret).length, 20);
+  assert.notStrictEqual(secret, totp.generateSecret());
+});
+
+test('buildOtpauthUri encodes the label and parameters', () => {
+  const uri = totp.buildOtpauthUri(RFC_SECRET, { issuer: 'Voice of Her', account: '+919876543210' });
+  assert.strictEqual(
+    uri,
+    `otpauth://totp/Voice%20of%20Her%3A%2B919876543210?secret=${RFC_SECRET}` +
+      '&issuer=Voice%20of%20Her&algorithm=SHA1&digits=6&period=30'
+  );
+});
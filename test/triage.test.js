@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const triage = require('../services/triage');
+
+// Midday in the rules' timezone, so the night rule stays out of the way
+const NOON = new Date('2026-01-01T06:30:00Z');
+
+function alertWith(description) {
+  return new SOSAlert({
+    userId: new mongoose.Types.ObjectId(),
+    userAadhar: '123456789012',
+    userName: 'Asha',
+    userPhone: '+919876543210',
+    location: { type: 'Point', coordinates: [78.48, 17.38] },
+    emergencyType: 'other',
+    description
+  });
+}
+
+async function matchedRules(description) {
+  return (await triage.evaluate(alertWith(description), NOON)).matchedRules;
+}
+
+test.beforeEach(() => {
+  test.mock.method(SOSAlert, 'find', () => ({ select: async () => [] }));
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('keywords match whole words', async () => {
+  assert.ok((await matchedRules('A man in a car is following me')).includes('Being followed or held'));
+  assert.ok((await matchedRules('Took an auto home')).includes('Being followed or held'));
+  assert.ok((await matchedRules('He has a gun')).includes('Weapon or violence mentioned'));
+});
+
+test('keywords do not match the start of a longer word', async () => {
+  for (const description of ['Please take care', 'Be careful', 'Career fair ran late', 'Automatic door stuck']) {
+    assert.ok(!(await matchedRules(description)).includes('Being followed or held'), description);
+  }
+  assert.ok(!(await matchedRules('Gunther is with me')).includes('Weapon or violence mentioned'));
+});
+
+test('keywords ending in * match any ending', async () => {
+  assert.ok((await matchedRules('Someone followed me')).includes('Being followed or held'));
+  assert.ok((await matchedRules('I am being stalked')).includes('Being followed or held'));
+  assert.ok((await matchedRules('She was attacked')).includes('Weapon or violence mentioned'));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const twilio = require('twilio');
+const smsReplies = require('../services/smsReplies');
+const smsRoutes = require('../routes/sms');
+
+const AUTH_TOKEN = 'test-auth-token';
+const PUBLIC_URL = 'https://voiceofher.example.org';
+const PARAMS = { From: '+919876543211', Body: 'COMING', MessageSid: 'SM123' };
+const ENV_KEYS = ['TWILIO_AUTH_TOKEN', 'TWILIO_WEBHOOK_BASE_URL', 'SMS_WEBHOOK_ALLOW_UNSIGNED'];
+
+let server;
+let baseUrl;
+let savedEnv;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/sms', smsRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  test.mock.method(smsReplies, 'handleInboundSms', async () => ({ outcome: 'recorded' }));
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  test.mock.restoreAll();
+});
+
+function postInbound(params, signature) {
+  const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+  if (signature) headers['x-twilio-signature'] = signature;
+  return fetch(`${baseUrl}/api/sms/inbound`, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params).toString()
+  });
+}
+
+function sign(url, params = PARAMS) {
+  return twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+}
+
+test('a correctly signed request reaches the reply handler', async () => {
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+
+  const res = await postInbound(PARAMS, sign(`${baseUrl}/api/sms/inbound`));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(await res.text(), '<Response></Response>');
+  const [args] = smsReplies.handleInboundSms.mock.calls[0].arguments;
+  assert.deepStrictEqual(args, { from: PARAMS.From, body: PARAMS.Body, messageSid: PARAMS.MessageSid });
+});
+
+test('a missing or wrong signature is refused', async () => {
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+
+  assert.strictEqual((await postInbound(PARAMS)).status, 403);
+  assert.strictEqual((await postInbound(PARAMS, 'bm90IGEgc2lnbmF0dXJl')).status, 403);
+  assert.strictEqual(smsReplies.handleInboundSms.mock.callCount(), 0);
+});
+
+test('a signature over different parameters is refused', async () => {
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+  const signature = sign(`${baseUrl}/api/sms/inbound`);
+
+  const res = await postInbound({ ...PARAMS, Body: 'OK' }, signature);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(smsReplies.handleInboundSms.mock.callCount(), 0);
+});
+
+test('behind a proxy the signature is checked against TWILIO_WEBHOOK_BASE_URL', async () => {
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+  process.env.TWILIO_WEBHOOK_BASE_URL = `${PUBLIC_URL}/`;
+
+  assert.strictEqual((await postInbound(PARAMS, sign(`${baseUrl}/api/sms/inbound`))).status, 403);
+  assert.strictEqual((await postInbound(PARAMS, sign(`${PUBLIC_URL}/api/sms/inbound`))).status, 200);
+});
+
+test('without an auth token requests are refused unless unsigned ones are allowed', async () => {
+  assert.strictEqual((await postInbound(PARAMS)).status, 403);
+  assert.strictEqual(smsReplies.handleInboundSms.mock.callCount(), 0);
+
+  process.env.SMS_WEBHOOK_ALLOW_UNSIGNED = 'true';
+  assert.strictEqual((await postInbound(PARAMS)).status, 200);
+  assert.strictEqual(smsReplies.handleInboundSms.mock.callCount(), 1);
+});
+
+test('a request without a sender is rejected', async () => {
+  process.env.SMS_WEBHOOK_ALLOW_UNSIGNED = 'true';
+
+  const res = await postInbound({ Body: 'OK' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(smsReplies.handleInboundSms.mock.callCount(), 0);
+});
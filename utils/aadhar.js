@@ -0,0 +1,8 @@
+// Only the last four Aadhaar digits are shown outside the owner's own profile
+function maskAadhar(aadhar) {
+  return aadhar ? `XXXX XXXX ${String(aadhar).slice(-4)}` : null;
+}
+
+module.exports = {
+  maskAadhar
+};
@@ -0,0 +1,8 @@
+// Languages SOS messages can be sent in (templates live in config/messages)
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'te', 'ta'];
+const DEFAULT_LANGUAGE = 'en';
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
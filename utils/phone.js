@@ -0,0 +1,13 @@
+// Helper to format phone numbers to E.164 (Indian) format
+function formatPhoneNumber(phone) {
+  if (!phone) return '';
+  phone = phone.trim();
+  if (phone.startsWith('+')) return phone;
+  if (/^[6-9]\d{9}$/.test(phone)) return '+91' + phone;
+  if (/^0[6-9]\d{9}$/.test(phone)) return '+91' + phone.slice(1);
+  return phone;
+}
+
+module.exports = {
+  formatPhoneNumber
+};
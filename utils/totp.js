@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps expect
+// them: HMAC-SHA1, 6 digits, 30-second steps
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32-encoded for authenticator apps
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+// The code for one time step (RFC 4226 HOTP with the step as the counter)
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the time step the code belongs to, or null. `window` steps either
+// side of now are accepted to allow for clock drift.
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateCode(secret, step + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI for enrolling an authenticator app (by link or QR code)
+function buildOtpauthUri(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // Spaces as %20: some apps show a '+' from URLSearchParams literally
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: PERIOD_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  DIGITS,
+  PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};